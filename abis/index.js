@@ -0,0 +1,4 @@
+// abis/index.js
+// Generated by scripts/bundleAbis.js from the contract artifacts, do not edit by hand
+module.exports = {
+};
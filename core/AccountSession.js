@@ -0,0 +1,114 @@
+const ModuleRegistry = require('./ModuleRegistry');
+
+// One named signer on a shared client. Provider, ABIs, caches and the call batcher come from the client;
+// modules are separate instances bound to this account and load on first use
+class AccountSession {
+    constructor(client, name, signer) {
+        this.client = client;
+        this.name = name;
+        this.signer = signer;
+        this.logger = client.logger.child(`account:${name}`);
+        this.contractManager = client.contractManager.forSigner(this.signer);
+        this.moduleRegistry = new ModuleRegistry(this, {
+            disableIncompatible: true,
+            logger: this.logger.child('ModuleRegistry')
+        });
+
+        for (const definition of client.moduleRegistry.definitions.values()) {
+            this.moduleRegistry.register(definition.name, AccountSession.perAccount(definition), {
+                dependencies: definition.dependencies,
+                lazy: true
+            });
+        }
+        // Same ABIs as the client, so whatever it disabled stays disabled here
+        for (const [moduleName, issues] of Object.entries(client.moduleRegistry.getDisabled())) {
+            this.moduleRegistry.disabled.set(moduleName, issues);
+        }
+
+        for (const moduleName of this.moduleRegistry.definitions.keys()) {
+            if (moduleName in this) {
+                continue;
+            }
+            Object.defineProperty(this, moduleName, {
+                enumerable: true,
+                get: () => {
+                    try {
+                        return this.getModule(moduleName);
+                    } catch (error) {
+                        if (this.hasModule(moduleName)) {
+                            throw error;
+                        }
+                        return null;
+                    }
+                }
+            });
+        }
+    }
+
+    // A module registered as an instance cannot serve two accounts, so the session builds its own copy
+    static perAccount(definition) {
+        const {module} = definition;
+        if (typeof module === 'function') {
+            return module;
+        }
+        if (module.constructor.length > 0) {
+            throw new Error(`Module ${definition.name} was registered as an instance whose constructor takes arguments; register a class or factory to use it per account`);
+        }
+        return () => new module.constructor();
+    }
+
+    getModuleContext() {
+        return {
+            contractManager: this.contractManager,
+            configManager: this.client.configManager,
+            provider: this.client.provider,
+            signer: this.signer,
+            logger: this.logger,
+            client: this.client,
+            account: this.name
+        };
+    }
+
+    getModule(name) {
+        return this.moduleRegistry.get(name);
+    }
+
+    hasModule(name) {
+        return this.moduleRegistry.has(name);
+    }
+
+    getAddress() {
+        return this.signer.getAddress();
+    }
+
+    getTransactionManager() {
+        return this.contractManager.getTransactionManager();
+    }
+
+    // Next nonce this account will use, counting transactions sent but not mined yet
+    getNonce() {
+        return this.getTransactionManager().getNextNonce();
+    }
+
+    // Drops the local count, e.g. after transactions were sent from this key outside the SDK
+    resetNonce() {
+        return this.getTransactionManager().resetNonce();
+    }
+
+    onConfigChanged(changes) {
+        this.contractManager.syncView();
+        this.moduleRegistry.notify('onConfigChanged', changes);
+    }
+
+    onNetworkChanged(network, provider) {
+        this.signer = this.signer.connect(provider);
+        this.contractManager.syncView(this.signer);
+        this.moduleRegistry.notify('onNetworkChanged', network, provider, this.signer);
+    }
+
+    dispose() {
+        this.moduleRegistry.disposeAll();
+    }
+}
+
+module.exports = AccountSession;
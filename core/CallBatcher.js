@@ -0,0 +1,105 @@
+const {ethers} = require('ethers');
+const ContractHelpers = require('../utils/ContractHelpers');
+const CONSTANTS = require('../utils/constants');
+const Logger = require('../utils/Logger');
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Collects view calls issued in the same tick and sends them as Multicall3 aggregate3 batches
+class CallBatcher {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.logger = options.logger || Logger.getDefault().child('CallBatcher');
+        this.maxBatchSize = options.maxBatchSize || CONSTANTS.LIMITS.MAX_BATCH_SIZE;
+        this.multicall = options.multicallAddress
+            ? new ethers.Contract(options.multicallAddress, MULTICALL3_ABI, provider)
+            : null;
+        this.queue = [];
+        this.flushScheduled = false;
+        this.stats = {calls: 0, batches: 0, directCalls: 0};
+    }
+
+    isMulticallEnabled() {
+        return !!this.multicall;
+    }
+
+    call(contract, method, params = []) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({contract, method, params, resolve, reject});
+            this.stats.calls++;
+
+            if (!this.flushScheduled) {
+                this.flushScheduled = true;
+                setTimeout(() => this.flush(), 0);
+            }
+        });
+    }
+
+    async flush() {
+        const pending = this.queue;
+        this.queue = [];
+        this.flushScheduled = false;
+
+        if (pending.length === 0) {
+            return;
+        }
+
+        if (!this.multicall) {
+            await Promise.all(pending.map(call => this._callDirect(call)));
+            return;
+        }
+
+        const chunks = [];
+        for (let i = 0; i < pending.length; i += this.maxBatchSize) {
+            chunks.push(pending.slice(i, i + this.maxBatchSize));
+        }
+        await Promise.all(chunks.map(chunk => this._executeChunk(chunk)));
+    }
+
+    async _executeChunk(chunk) {
+        if (chunk.length === 1) {
+            return this._callDirect(chunk[0]);
+        }
+
+        let results;
+        try {
+            results = await ContractHelpers.executeBatchCall(this.multicall, chunk);
+            this.stats.batches++;
+        } catch (error) {
+            this.logger.warn(`Multicall batch of ${chunk.length} calls failed, falling back to single calls`, {error});
+            await Promise.all(chunk.map(call => this._callDirect(call)));
+            return;
+        }
+
+        results.forEach((result, index) => {
+            const call = chunk[index];
+            if (result.success) {
+                call.resolve(result.data.length === 1 ? result.data[0] : result.data);
+            } else {
+                call.reject(this._createCallError(call, result.returnData));
+            }
+        });
+    }
+
+    async _callDirect(call) {
+        this.stats.directCalls++;
+        try {
+            call.resolve(await call.contract.getFunction(call.method).staticCall(...call.params));
+        } catch (error) {
+            call.reject(error);
+        }
+    }
+
+    _createCallError(call, returnData) {
+        return call.contract.interface.makeError(returnData, {
+            to: call.contract.target,
+            data: ContractHelpers.encodeCallData(call.contract.interface, call.method, call.params)
+        });
+    }
+}
+
+CallBatcher.MULTICALL3_ABI = MULTICALL3_ABI;
+
+module.exports = CallBatcher;
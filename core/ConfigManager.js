@@ -1,15 +1,44 @@
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const ConfigValidator = require('../utils/ConfigValidator');
+const ConfigInterpolator = require('../utils/ConfigInterpolator');
+const DeploymentImporter = require('../utils/DeploymentImporter');
+const ConfigMigrator = require('../utils/ConfigMigrator');
+const Logger = require('../utils/Logger');
 
-class ConfigManager {
-    constructor(configPath) {
-        this.configPath = configPath || this._findConfigPath();
+const CHANGE_SECTIONS = ['contracts', 'tokens'];
+const ENV = typeof process !== 'undefined' ? process.env : {};
+
+class ConfigManager extends EventEmitter {
+    // configSource is a path to a file / profile directory, or a plain config object kept in memory
+    constructor(configSource, options = {}) {
+        super();
+        this.options = options;
+        this.logger = options.logger || Logger.getDefault().child('ConfigManager');
+        this.profileName = options.profile || ENV.DEX_PROFILE || null;
+        this.inlineConfig = configSource !== null && typeof configSource === 'object' ? configSource : null;
+        this.configPath = this.inlineConfig ? null : configSource || ENV.DEX_CONFIG_PATH || this._findConfigPath();
+        this.sourcePath = null;
+        this.rawConfig = null;
+        this.profile = null;
+        this.placeholders = new Map();
         this.config = null;
+        this.loadedConfig = null;
+        // Set when the config names no chain and the local 31337 default is used
+        this.chainIdDefaulted = false;
+        this.watcher = null;
+        this.migration = null;
         this.load();
     }
 
     _findConfigPath() {
-        const possiblePaths =  ['./config/anvil_upgradeable-config.json', './config/anvil_final-config.json'];
+        const possiblePaths = [
+            './config/dex-config.json',
+            './config/anvil_upgradeable-config.json',
+            './config/anvil_final-config.json',
+            './config/profiles'
+        ];
 
         for (const configPath of possiblePaths) {
             if (fs.existsSync(configPath)) {
@@ -22,18 +51,143 @@ class ConfigManager {
 
     load() {
         try {
-            if (!fs.existsSync(this.configPath)) {
+            this.chainIdDefaulted = false;
+            if (this.inlineConfig) {
+                this._loadConfigObject();
+            } else if (!fs.existsSync(this.configPath)) {
                 throw new Error(`Config file not found: ${this.configPath}`);
+            } else if (fs.statSync(this.configPath).isDirectory()) {
+                this._loadProfileDirectory();
+            } else {
+                this._loadConfigFile();
             }
 
-            const configData = fs.readFileSync(this.configPath, 'utf8');
-            this.config = JSON.parse(configData);
             this.validateConfig();
-            console.log(`✅ Config loaded from ${this.configPath}`);
+            this.loadedConfig = JSON.parse(JSON.stringify(this.config));
+            this.logger.info(`Config loaded from ${this._sourceName()}`, this.profile ? {profile: this.profile} : undefined);
+            // Configs that only lack the version field are stamped silently
+            if (this.migration.changes.length > 0) {
+                const hint = this.sourcePath ? ', call save() to write it' : '';
+                this.logger.info(`Config migrated in memory ${ConfigMigrator.describe(this.migration)}${hint}`, {
+                    changes: this.migration.changes.map(change => `${change.path}: ${change.message}`)
+                });
+            }
             return this.config;
         } catch (error) {
-            throw new Error(`Failed to load config: ${error.message}`);
+            const loadError = new Error(`Failed to load config: ${error.message}`);
+            if (error.code) {
+                loadError.code = error.code;
+            }
+            if (error.errors) {
+                loadError.errors = error.errors;
+            }
+            throw loadError;
+        }
+    }
+
+    _loadConfigFile() {
+        this.sourcePath = this.configPath;
+        this._applyRawConfig(JSON.parse(fs.readFileSync(this.configPath, 'utf8')));
+    }
+
+    _loadConfigObject() {
+        this.sourcePath = null;
+        // Cloned so defaults and discovered tokens never leak into the caller's object
+        this._applyRawConfig(JSON.parse(JSON.stringify(this.inlineConfig)));
+    }
+
+    _applyRawConfig(rawConfig) {
+        this.rawConfig = this._migrate(rawConfig);
+
+        if (!this.rawConfig.profiles) {
+            this.profile = null;
+            this.config = this._interpolate(this.rawConfig);
+            return;
+        }
+
+        const {profiles, defaultProfile, ...shared} = this.rawConfig;
+        const profileKey = this._resolveProfileKey(profiles, this.profileName || defaultProfile);
+        const profileConfig = profiles[profileKey];
+
+        this.profile = profileKey;
+        this.config = this._interpolate({
+            ...shared,
+            ...profileConfig,
+            contracts: {...shared.contracts, ...profileConfig.contracts},
+            tokens: {...shared.tokens, ...profileConfig.tokens}
+        });
+    }
+
+    _loadProfileDirectory() {
+        const profiles = {};
+        for (const file of fs.readdirSync(this.configPath)) {
+            if (path.extname(file) === '.json') {
+                profiles[path.basename(file, '.json')] = path.join(this.configPath, file);
+            }
+        }
+
+        const profileKey = this._resolveProfileKey(
+            profiles,
+            this.profileName || (profiles.default ? 'default' : null),
+            filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        );
+
+        this.profile = profileKey;
+        this.sourcePath = profiles[profileKey];
+        this.rawConfig = this._migrate(JSON.parse(fs.readFileSync(this.sourcePath, 'utf8')));
+        this.config = this._interpolate(this.rawConfig);
+    }
+
+    // Runs before interpolation so moved placeholders are resolved, and restored by save(), at their new paths
+    _migrate(rawConfig) {
+        this.migration = ConfigMigrator.migrate(rawConfig);
+        return this.migration.config;
+    }
+
+    getMigrationReport() {
+        return this.migration;
+    }
+
+    _interpolate(config) {
+        const {config: resolved, placeholders} = ConfigInterpolator.resolve(config, this.options.env || ENV);
+        this.placeholders = placeholders;
+        return resolved;
+    }
+
+    _resolveProfileKey(profiles, selector, readProfile = profile => profile) {
+        const available = Object.keys(profiles);
+        if (available.length === 0) {
+            throw new Error(`No profiles defined in ${this._sourceName()}`);
+        }
+
+        if (!selector) {
+            if (available.length === 1) {
+                return available[0];
+            }
+            throw new Error(
+                `Multiple profiles in ${this._sourceName()}, select one with the DEX_PROFILE env var or the profile option. ` +
+                `Available profiles: ${available.join(', ')}`
+            );
+        }
+
+        if (profiles[selector]) {
+            return selector;
         }
+
+        // Allow selecting a profile by its network name or chainId as well as by key
+        const key = available.find(name => {
+            const profile = readProfile(profiles[name]);
+            return profile.network === selector || String(profile.chainId) === String(selector);
+        });
+
+        if (!key) {
+            throw new Error(`Profile not found: ${selector}. Available profiles: ${available.join(', ')}`);
+        }
+        return key;
+    }
+
+    _sourceName() {
+        return this.sourcePath || this.configPath || 'in-memory config';
     }
 
     validateConfig() {
@@ -47,10 +201,185 @@ class ConfigManager {
             this.config.network = 'localhost';
         }
         if (!this.config.chainId) {
+            if (this.profile) {
+                throw new Error(`Profile ${this.profile} must define a chainId`);
+            }
             this.config.chainId = 31337;
+            this.chainIdDefaulted = true;
+        }
+
+        if (this.options.validate === false) {
+            return;
+        }
+
+        const result = ConfigValidator.validate(this.config, {
+            strictContracts: this.options.strictContracts
+        });
+        for (const warning of result.warnings) {
+            this.logger.warn(`Config warning ${warning.path}: ${warning.message}`);
+        }
+        if (!result.isValid) {
+            throw ConfigValidator.createError(result, this._sourceName());
         }
     }
 
+    reload() {
+        const previous = {
+            config: this.config,
+            loadedConfig: this.loadedConfig,
+            rawConfig: this.rawConfig,
+            placeholders: this.placeholders,
+            profile: this.profile,
+            sourcePath: this.sourcePath,
+            chainIdDefaulted: this.chainIdDefaulted
+        };
+
+        try {
+            this.load();
+        } catch (error) {
+            Object.assign(this, previous);
+            throw error;
+        }
+
+        const changes = ConfigManager.diffConfigs(previous.loadedConfig, this.loadedConfig);
+
+        // Only what changed on disk is applied, so in-memory additions (setContract, createSDK contracts) survive
+        const config = {...this.config};
+        for (const section of CHANGE_SECTIONS) {
+            const {added, removed, changed} = changes[section];
+            const merged = {...previous.config[section], ...added};
+            for (const name of Object.keys(removed)) {
+                delete merged[name];
+            }
+            for (const [name, {to}] of Object.entries(changed)) {
+                merged[name] = to;
+            }
+            config[section] = merged;
+        }
+        this.config = config;
+
+        if (changes.hasChanges) {
+            this.logger.info(`Config reloaded from ${this._sourceName()}: ${ConfigManager.describeChanges(changes)}`);
+            this.emit('configChanged', changes);
+        }
+        return changes;
+    }
+
+    watch(options = {}) {
+        if (this.watcher) {
+            return;
+        }
+        if (!this.sourcePath) {
+            this.logger.warn('In-memory config has no file to watch');
+            return;
+        }
+
+        const interval = options.interval || 1000;
+        const watchedPath = this.sourcePath;
+
+        const listener = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) {
+                return;
+            }
+            try {
+                this.reload();
+            } catch (error) {
+                // Editors often write files in several steps, keep the last good config until the next change
+                this.logger.warn('Config reload failed, keeping previous config', {error});
+                this.emit('configError', error);
+            }
+        };
+
+        fs.watchFile(watchedPath, {interval, persistent: options.persistent !== false}, listener);
+        this.watcher = {path: watchedPath, listener};
+        this.logger.info(`Watching config ${watchedPath}`);
+    }
+
+    unwatch() {
+        if (!this.watcher) {
+            return;
+        }
+        fs.unwatchFile(this.watcher.path, this.watcher.listener);
+        this.watcher = null;
+    }
+
+    isWatching() {
+        return !!this.watcher;
+    }
+
+    static diffConfigs(previous = {}, next = {}) {
+        const changes = {hasChanges: false};
+
+        for (const section of CHANGE_SECTIONS) {
+            const before = previous[section] || {};
+            const after = next[section] || {};
+            const sectionChanges = {added: {}, removed: {}, changed: {}};
+
+            for (const [name, value] of Object.entries(after)) {
+                if (!(name in before)) {
+                    sectionChanges.added[name] = value;
+                } else if (JSON.stringify(before[name]) !== JSON.stringify(value)) {
+                    sectionChanges.changed[name] = {from: before[name], to: value};
+                }
+            }
+            for (const [name, value] of Object.entries(before)) {
+                if (!(name in after)) {
+                    sectionChanges.removed[name] = value;
+                }
+            }
+
+            changes[section] = sectionChanges;
+            changes.hasChanges = changes.hasChanges ||
+                Object.keys(sectionChanges.added).length > 0 ||
+                Object.keys(sectionChanges.removed).length > 0 ||
+                Object.keys(sectionChanges.changed).length > 0;
+        }
+
+        return changes;
+    }
+
+    static describeChanges(changes) {
+        return CHANGE_SECTIONS
+            .map(section => {
+                const {added, removed, changed} = changes[section];
+                const parts = [
+                    ...Object.keys(added).map(name => `+${name}`),
+                    ...Object.keys(removed).map(name => `-${name}`),
+                    ...Object.keys(changed).map(name => `~${name}`)
+                ];
+                return parts.length > 0 ? `${section} ${parts.join(' ')}` : null;
+            })
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    getProfile() {
+        return this.profile;
+    }
+
+    listProfiles() {
+        if (this.configPath && fs.statSync(this.configPath).isDirectory()) {
+            return fs.readdirSync(this.configPath)
+                .filter(file => path.extname(file) === '.json')
+                .map(file => path.basename(file, '.json'));
+        }
+        return Object.keys(this.rawConfig?.profiles || {});
+    }
+
+    // A provider on another chain is an error once a profile or a chainId is configured; the 31337 default only warns
+    isChainIdEnforced() {
+        return !!this.profile || !this.chainIdDefaulted;
+    }
+
+    verifyChainId(chainId) {
+        const expected = Number(this.getConfig().chainId);
+        if (Number(chainId) !== expected) {
+            const profileInfo = this.profile ? `profile ${this.profile}` : this._sourceName();
+            throw new Error(`Chain ID mismatch: provider is on chain ${chainId}, but ${profileInfo} expects chain ${expected}`);
+        }
+        return true;
+    }
+
     getConfig() {
         if (!this.config) {
             this.load();
@@ -77,6 +406,14 @@ class ConfigManager {
         this.config.contracts[name] = address;
     }
 
+    getImplementations() {
+        return this.getConfig().implementations || {};
+    }
+
+    getImplementation(name) {
+        return this.getImplementations()[name] || null;
+    }
+
     getTokens() {
         return this.getConfig().tokens || {};
     }
@@ -126,19 +463,70 @@ class ConfigManager {
     getNetworkConfig() {
         return {
             name: this.getConfig().network,
-            chainId: this.getConfig().chainId
+            chainId: this.getConfig().chainId,
+            rpcUrl: this.getConfig().rpcUrl,
+            rpcUrls: this.getConfig().rpcUrls,
+            profile: this.profile
         };
     }
 
     save() {
         try {
-            fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2));
-            console.log(`✅ Config saved to ${this.configPath}`);
+            let output = ConfigInterpolator.restore(this.config, this.placeholders);
+            // Profiles living in a shared file are written back in place so the other profiles survive
+            if (this.rawConfig?.profiles && this.profile) {
+                const {profiles, defaultProfile, ...shared} = this.rawConfig;
+                const {version, ...profileOutput} = output;
+                output = {
+                    ...this.rawConfig,
+                    version,
+                    profiles: {...profiles, [this.profile]: ConfigManager.diffProfile(profileOutput, shared, profiles[this.profile])}
+                };
+            }
+
+            if (!this.sourcePath) {
+                this.rawConfig = output;
+                this.loadedConfig = JSON.parse(JSON.stringify(this.config));
+                this.logger.warn('In-memory config, changes are kept but not written to disk');
+                return;
+            }
+
+            fs.writeFileSync(this.sourcePath, JSON.stringify(output, null, 2));
+            this.rawConfig = output;
+            // Our own write must not come back as a change from the file watcher
+            this.loadedConfig = JSON.parse(JSON.stringify(this.config));
+            this.logger.info(`Config saved to ${this.sourcePath}`);
         } catch (error) {
             throw new Error(`Failed to save config: ${error.message}`);
         }
     }
 
+    // Keys of the merged config that belong in the profile section: those the profile already sets and those
+    // that differ from the shared base. contracts and tokens are merged per entry, so they are diffed per entry
+    static diffProfile(merged, shared, profile = {}) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const result = {};
+
+        for (const [key, value] of Object.entries(merged)) {
+            if (key === 'version') {
+                continue;
+            }
+            if (CHANGE_SECTIONS.includes(key) && value && typeof value === 'object') {
+                const entries = Object.entries(value).filter(([name, entry]) =>
+                    (profile[key] && name in profile[key]) || !same(entry, shared[key]?.[name])
+                );
+                if (entries.length > 0 || key in profile) {
+                    result[key] = Object.fromEntries(entries);
+                }
+                continue;
+            }
+            if (key in profile || !same(value, shared[key])) {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
     update(updates) {
         if (!this.config) {
             this.load();
@@ -147,8 +535,87 @@ class ConfigManager {
         this.save();
     }
 
+    importDeployment(source, options = {}) {
+        const config = this.getConfig();
+        const result = DeploymentImporter.import(source, {
+            chainId: options.chainId || config.chainId,
+            nameMap: options.nameMap
+        });
+
+        if (result.chainId && Number(result.chainId) !== Number(config.chainId)) {
+            throw new Error(`Deployment ${result.source} is for chain ${result.chainId}, but config expects chain ${config.chainId}`);
+        }
+
+        const previous = {contracts: {...config.contracts}, tokens: config.tokens};
+        const contracts = {...config.contracts};
+        const implementations = {...config.implementations};
+        result.skipped = [];
+
+        for (const [name, address] of Object.entries(result.contracts)) {
+            if (options.overwrite === false && contracts[name]) {
+                result.skipped.push(name);
+                continue;
+            }
+            contracts[name] = address;
+            if (result.implementations[name]) {
+                implementations[name] = result.implementations[name];
+            } else {
+                delete implementations[name];
+            }
+        }
+
+        this.config = {...config, contracts};
+        if (Object.keys(implementations).length > 0) {
+            this.config.implementations = implementations;
+        }
+        this.validateConfig();
+
+        const imported = Object.keys(result.contracts).filter(name => !result.skipped.includes(name));
+        this.logger.info(`Imported ${imported.length} contract(s) from ${result.format} deployment ${result.source}`, {contracts: imported});
+        for (const {name, address} of result.unmapped) {
+            this.logger.warn(`Deployment contract ${name} has no matching ABI, skipped`, {address});
+        }
+
+        if (options.save) {
+            this.save();
+        }
+
+        const changes = ConfigManager.diffConfigs(previous, this.config);
+        if (changes.hasChanges) {
+            this.emit('configChanged', changes);
+        }
+        result.changes = changes;
+        return result;
+    }
+
+    // Older layouts are migrated first, the same way load() does, so only real problems are reported
+    static validate(configOrPath, options = {}) {
+        let config = configOrPath;
+        if (typeof configOrPath === 'string') {
+            try {
+                config = JSON.parse(fs.readFileSync(configOrPath, 'utf8'));
+            } catch {
+                return ConfigValidator.validateFile(configOrPath, options);
+            }
+        }
+
+        let migration;
+        try {
+            migration = ConfigMigrator.migrate(config);
+        } catch (error) {
+            return {isValid: false, errors: [{path: '$.version', message: error.message}], warnings: []};
+        }
+
+        const result = ConfigValidator.validate(migration.config, options);
+        if (migration.migrated) {
+            result.warnings.unshift({path: '$.version', message: `Config needs migration ${ConfigMigrator.describe(migration)}`});
+        }
+        return result;
+    }
+
     static createDefault(outputPath) {
         const defaultConfig = {
+            version: ConfigMigrator.CURRENT_VERSION,
             network: "localhost",
             chainId: 31337,
             contracts: {},
@@ -156,7 +623,7 @@ class ConfigManager {
         };
 
         fs.writeFileSync(outputPath, JSON.stringify(defaultConfig, null, 2));
-        console.log(`Default config created at ${outputPath}`);
+        Logger.getDefault().child('ConfigManager').info(`Default config created at ${outputPath}`);
         return defaultConfig;
     }
 }
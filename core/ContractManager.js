@@ -1,6 +1,17 @@
 const {ethers} = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const BUNDLED_ABIS = require('../abis');
+const CallBatcher = require('./CallBatcher');
+const TransactionManager = require('./TransactionManager');
+const TransactionJournal = require('./TransactionJournal');
+const GasPricer = require('./GasPricer');
+const ContractHelpers = require('../utils/ContractHelpers');
+const Logger = require('../utils/Logger');
+const ErrorDecoder = require('../utils/ErrorDecoder');
+const CONSTANTS = require('../utils/constants');
+const {DexError, SignerRequiredError, GasCapExceededError} = require('../utils/errors');
 
 
 
@@ -22,23 +33,95 @@ const ABI_MAP = {
     MockERC20: "./artifacts/contracts/tokens/MockERC20.sol/MockERC20.json"
 };
 
+const ERC20_METADATA_ABI = [
+    'function symbol() view returns (string)',
+    'function name() view returns (string)',
+    'function decimals() view returns (uint8)'
+];
 
-class ContractManager {
-    constructor(config, provider, signer) {
+// Some older tokens (MKR, SAI) return bytes32 instead of string
+const ERC20_BYTES32_METADATA_ABI = [
+    'function symbol() view returns (bytes32)',
+    'function name() view returns (bytes32)'
+];
+
+// EIP-1967 storage slots: keccak256('eip1967.proxy.implementation' / '.admin' / '.beacon') - 1
+const EIP1967_SLOTS = {
+    implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+    beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50'
+};
+
+const BEACON_ABI = ['function implementation() view returns (address)'];
+
+// Reads that must agree across RPC endpoints when the provider supports quorum calls
+const DEFAULT_QUORUM_METHODS = ['Oracle.getPrice'];
+
+// Names ethers resolves to BaseContract members even when the ABI has a function with the same name
+const CONTRACT_PROPERTIES = ['target', 'interface', 'runner', 'filters', 'fallback', 'then'];
+
+function isContractProperty(prop) {
+    return CONTRACT_PROPERTIES.includes(prop) || prop in ethers.BaseContract.prototype;
+}
+
+class ContractManager extends EventEmitter {
+    constructor(config, provider, signer, options = {}) {
+        super();
         this.config = config;
         this.provider = provider;
         this.signer = signer;
+        this.options = options;
+        this.logger = options.logger || Logger.getDefault().child('ContractManager');
         this.contracts = new Map();
         this.abiCache = new Map();
-        this.artifactsPath = path.join(process.cwd(), 'artifacts');
+        this.tokenDiscoveries = new Map();
+        this.failedTokenLookups = new Set();
+        this.proxyInfo = new Map();
+        this.implementationTimer = null;
+        // One per signer, shared with the views made by forSigner()
+        this.transactionManagers = new Map();
+        const {journalPath, journalKeepSettled, journalCompactEvery} = options.transactions || {};
+        this.journal = journalPath
+            ? new TransactionJournal(journalPath, {
+                keepSettled: journalKeepSettled,
+                compactEvery: journalCompactEvery,
+                logger: this.logger.child('TransactionJournal')
+            })
+            : null;
+        this.gasPricer = new GasPricer(provider, {...options.gas, logger: this.logger.child('GasPricer')});
+        // Sender for simulations on a read-only client
+        this.watchAddress = options.watchAddress || null;
+        // Artifacts on disk override the ABIs bundled with the package; false disables disk lookups
+        this.artifactsPath = options.artifactsPath !== undefined
+            ? options.artifactsPath
+            : typeof process !== 'undefined' && process.cwd ? path.join(process.cwd(), 'artifacts') : false;
+        this.batcher = this._createBatcher(provider);
+    }
+
+    _createBatcher(provider) {
+        if (this.options.batchReads === false) {
+            return null;
+        }
+        return new CallBatcher(provider, {
+            multicallAddress: this.options.multicallAddress || this.config.getConfig().multicall,
+            maxBatchSize: this.options.maxBatchSize,
+            logger: this.logger.child('CallBatcher')
+        });
     }
 
     async initialize() {
         try {
             await this.loadContracts();
-            console.log('✅ ContractManager initialized');
+            if (this.options.implementationCheckInterval) {
+                await this.watchImplementations(this.options.implementationCheckInterval);
+            }
+            this.logger.info('ContractManager initialized', {contracts: this.contracts.size});
         } catch (error) {
-            throw new Error(`Failed to initialize ContractManager: ${error.message}`);
+            const initError = new Error(`Failed to initialize ContractManager: ${error.message}`);
+            if (error.code) {
+                initError.code = error.code;
+            }
+            throw initError;
         }
     }
 
@@ -47,25 +130,862 @@ class ContractManager {
 
         for (const [name, address] of Object.entries(contractsConfig)) {
             if (address) {
-                await this.loadContract(name, address, ABI_MAP[name]);
+                await this.loadContract(name, address);
             }
         }
     }
 
     async loadContract(name, address, abiPath) {
-        try {
-            // console.log("loadContract", name, address, abiPath);
+        return this._bindContract(name, address, abiPath);
+    }
 
+    _bindContract(name, address, abiPath) {
+        try {
             const abi = abiPath ? this.loadABIFromFile(abiPath) : this.loadABI(name);
 
-            const contract = new ethers.Contract(address, abi, this.signer || this.provider);
+            const contract = this._wrapContract(name, new ethers.Contract(address, abi, this.signer || this.provider));
 
             this.contracts.set(name, contract);
-            // console.log(`Contract ${name} loaded at ${address}`);
             return contract;
         } catch (error) {
-            throw new Error(`Failed to load contract ${name}: ${error.message}`);
+            const loadError = new Error(`Failed to load contract ${name}: ${error.message}`);
+            if (error.code) {
+                loadError.code = error.code;
+            }
+            throw loadError;
+        }
+    }
+
+    // View calls without overrides go through quorum reads or the batcher; every call's failure is decoded into a typed error
+    _wrapContract(name, contract) {
+        const quorumMethods = this._getQuorumMethods(name);
+        const manager = this;
+        const wrappedMethods = new Map();
+
+        return new Proxy(contract, {
+            get(target, prop) {
+                if (typeof prop === 'string' && !isContractProperty(prop)) {
+                    let fragment = null;
+                    try {
+                        fragment = target.interface.getFunction(prop);
+                    } catch {
+                        // Overloaded names stay on the regular path
+                    }
+
+                    if (fragment) {
+                        if (!wrappedMethods.has(prop)) {
+                            wrappedMethods.set(prop, manager._wrapMethod(name, target, fragment, quorumMethods.includes(prop)));
+                        }
+                        return wrappedMethods.get(prop);
+                    }
+                }
+
+                const value = Reflect.get(target, prop);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    _wrapMethod(name, target, fragment, useQuorum) {
+        const manager = this;
+        const method = target.getFunction(fragment.name);
+        const decoded = (promise, args) => promise.catch(error => {
+            throw manager.decodeError(error, {contract: name, method: fragment.name, args});
+        });
+        const variants = new Map();
+
+        // ethers method properties are non-configurable, so the proxy sits on a blank function and forwards to the method
+        return new Proxy(() => {}, {
+            apply(_, thisArg, args) {
+                if (!fragment.constant) {
+                    return decoded(manager._write(name, target, fragment, args), args);
+                }
+                if (args.length !== fragment.inputs.length) {
+                    return decoded(Reflect.apply(method, thisArg, args), args);
+                }
+                if (useQuorum) {
+                    return decoded(manager.quorumCall(target, fragment.name, args), args);
+                }
+                if (!manager.batcher) {
+                    return decoded(Reflect.apply(method, thisArg, args), args);
+                }
+                return decoded(manager.batcher.call(target, fragment.name, args), args);
+            },
+            get(_, prop) {
+                const value = Reflect.get(method, prop);
+                if (!['staticCall', 'estimateGas', 'send', 'staticCallResult'].includes(prop) || typeof value !== 'function') {
+                    return value;
+                }
+                if (!variants.has(prop)) {
+                    variants.set(prop, (...args) => {
+                        if (prop !== 'send') {
+                            return decoded(value(...args), args);
+                        }
+                        return decoded(manager._write(name, target, fragment, args), args);
+                    });
+                }
+                return variants.get(prop);
+            }
+        });
+    }
+
+    // simulate, unsigned and signedTransaction in the overrides work without a signer; anything else is sent by it
+    _write(name, contract, fragment, args) {
+        const {simulate, unsigned, signedTransaction} = ContractManager.splitCallOptions(fragment, args);
+        if (simulate) {
+            return this.simulateTransaction(name, contract, fragment.name, args);
+        }
+        if (unsigned) {
+            return this.buildTransaction(name, contract, fragment.name, args);
+        }
+        if (signedTransaction) {
+            return this.submitSignedCall(name, contract, fragment.name, args);
+        }
+        if (!this.signer) {
+            return Promise.reject(this._signerRequired(name, fragment.name, args));
+        }
+        return this.sendTransaction(name, contract, fragment.name, args);
+    }
+
+    // Writes go through the signer's TransactionManager, which assigns the nonce and tracks the transaction.
+    // Fees and gas limit come from the gas strategy unless the overrides set them
+    async sendTransaction(name, contract, method, args) {
+        const fn = contract.getFunction(method);
+        const {args: callArgs, gas, lifecycle} = ContractManager.splitCallOptions(fn.fragment, args);
+        const populated = await fn.populateTransaction(...callArgs);
+        const context = {contract: name, method, args: callArgs};
+        const request = await this.gasPricer.prepare(populated, this.signer, gas, context);
+        const response = await this.getTransactionManager().send(request, {...context, ...lifecycle});
+        return this.decodeReceipts(response, contract.interface, context);
+    }
+
+    // Receipts come back with the contract's events decoded, as they would from ethers' own contract calls,
+    // and a revert while mining becomes the same typed error as a revert caught at estimation
+    decodeReceipts(response, iface, context = {}) {
+        const wait = response.wait;
+        response.wait = async (...args) => {
+            let receipt;
+            try {
+                receipt = await wait(...args);
+            } catch (error) {
+                throw await this.decodeMinedRevert(error, context);
+            }
+            return receipt && iface ? new ethers.ContractTransactionReceipt(iface, receipt.provider, receipt) : receipt;
+        };
+        return response;
+    }
+
+    // A receipt has no revert data, so the call is replayed on the state it ran against (the parent block,
+    // without the transactions before it in its own block) to get the reason or custom error. Other errors
+    // (timeouts, replacements) are returned as they are
+    async decodeMinedRevert(error, context = {}) {
+        if (error?.code !== 'CALL_EXCEPTION' || !error.receipt || !error.transaction) {
+            return error;
+        }
+        const {receipt, transaction} = error;
+        let replayError = error;
+        try {
+            await this.provider.call({...transaction, blockTag: Math.max(0, receipt.blockNumber - 1)});
+        } catch (callError) {
+            replayError = callError;
+        }
+        const decoded = this.decodeError(replayError, context);
+        decoded.receipt = receipt;
+        decoded.transactionHash = receipt.hash;
+        return decoded;
+    }
+
+    // The populated transaction for someone else to sign (multisig, hardware wallet), with fees, gas limit,
+    // nonce and a summary. Gas estimation failing, e.g. because the multisig is not the sender yet, leaves gasLimit null
+    async buildTransaction(name, contract, method, args) {
+        const fn = contract.getFunction(method);
+        const {args: callArgs, gas} = ContractManager.splitCallOptions(fn.fragment, args);
+        const context = {contract: name, method, args: callArgs};
+        const populated = await fn.populateTransaction(...callArgs);
+        const from = populated.from || (this.signer ? await this.signer.getAddress() : this.watchAddress) || null;
+        const request = {...populated, from: from || undefined};
+
+        const prepared = await this.gasPricer.withFees(request, gas.strategy, context);
+        let gasError = null;
+        if (prepared.gasLimit == null) {
+            try {
+                prepared.gasLimit = await this.gasPricer.estimateGasLimit(request, this.provider, gas.gasLimitMultiplier, context);
+            } catch (error) {
+                if (error instanceof GasCapExceededError) {
+                    throw error;
+                }
+                gasError = this.decodeError(error, context);
+                this.logger.warn(`Could not estimate gas for unsigned ${name}.${method}: ${gasError.reason || gasError.message}`);
+            }
+        }
+
+        let nonce = prepared.nonce ?? null;
+        if (nonce === null && from) {
+            nonce = this.signer && from.toLowerCase() === (await this.signer.getAddress()).toLowerCase()
+                ? await this.getTransactionManager().getNextNonce()
+                : await this.provider.getTransactionCount(from, 'pending');
+        }
+
+        const {chainId} = await this.provider.getNetwork();
+        const transaction = {
+            to: populated.to,
+            data: populated.data,
+            value: BigInt(populated.value || 0),
+            chainId,
+            nonce,
+            gasLimit: prepared.gasLimit ?? null,
+            ...(prepared.gasPrice != null
+                ? {type: 0, gasPrice: prepared.gasPrice}
+                : {type: 2, maxFeePerGas: prepared.maxFeePerGas, maxPriorityFeePerGas: prepared.maxPriorityFeePerGas})
+        };
+
+        return {
+            unsigned: true,
+            contract: name,
+            method,
+            args: callArgs,
+            summary: this.describeCall(name, fn.fragment, callArgs, transaction.value),
+            from,
+            ...transaction,
+            gasError,
+            unsignedSerialized: nonce !== null && transaction.gasLimit !== null
+                ? ethers.Transaction.from(transaction).unsignedSerialized
+                : null
+        };
+    }
+
+    // One line for whoever approves the transaction: arguments by name, configured tokens by symbol
+    describeCall(name, fragment, args, value = 0n) {
+        const params = fragment.inputs.map((input, index) => `${input.name || `arg${index}`}: ${this._describeValue(input, args[index])}`);
+        const sending = value > 0n ? ` sending ${ethers.formatEther(value)} ETH` : '';
+        return `${name}.${fragment.name}(${params.join(', ')})${sending}`;
+    }
+
+    _describeValue(input, value) {
+        if (input.type === 'address' && typeof value === 'string') {
+            if (this.config.isETH(value)) {
+                return `ETH (${value})`;
+            }
+            const tokens = this.config.getTokens();
+            const symbol = Object.keys(tokens).find(key => tokens[key].address && tokens[key].address.toLowerCase() === value.toLowerCase());
+            if (symbol) {
+                return `${symbol} (${value})`;
+            }
+            for (const [name, contract] of this.contracts) {
+                if (typeof contract.target === 'string' && contract.target.toLowerCase() === value.toLowerCase()) {
+                    return `${name} (${value})`;
+                }
+            }
+            return value;
+        }
+        if (input.baseType === 'array' && Array.isArray(value)) {
+            return `[${value.map(item => this._describeValue(input.arrayChildren, item)).join(', ')}]`;
+        }
+        return typeof value === 'string' ? value : String(value);
+    }
+
+    // A write signed elsewhere for this exact call: checked against the call, then submitted and tracked
+    async submitSignedCall(name, contract, method, args) {
+        const fn = contract.getFunction(method);
+        const {args: callArgs, signedTransaction, lifecycle} = ContractManager.splitCallOptions(fn.fragment, args);
+        const populated = await fn.populateTransaction(...callArgs);
+        if (!ContractManager.matchesCall(ethers.Transaction.from(signedTransaction), populated)) {
+            const error = new Error(`Signed transaction does not execute ${name}.${method} with these arguments`);
+            error.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+            throw error;
+        }
+        return this.submitSignedTransaction(signedTransaction, {contract: name, method, args: callArgs, ...lifecycle});
+    }
+
+    // Sent directly, or wrapped by a multisig whose execution calldata embeds the call's
+    static matchesCall(transaction, populated) {
+        const data = populated.data.toLowerCase();
+        if (transaction.to && transaction.to.toLowerCase() === populated.to.toLowerCase()) {
+            return transaction.data.toLowerCase() === data && transaction.value === BigInt(populated.value || 0);
+        }
+        return transaction.data.toLowerCase().includes(data.slice(2));
+    }
+
+    // Broadcasts a raw signed transaction and tracks it with the other transactions of its sender
+    async submitSignedTransaction(rawTransaction, meta = {}) {
+        let transaction;
+        try {
+            transaction = ethers.Transaction.from(rawTransaction);
+        } catch (error) {
+            const invalid = new Error(`Invalid raw transaction: ${error.shortMessage || error.message}`);
+            invalid.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+            throw invalid;
+        }
+        if (!transaction.signature) {
+            const error = new Error('Raw transaction is not signed');
+            error.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+            throw error;
+        }
+        const {chainId} = await this.provider.getNetwork();
+        if (transaction.chainId !== 0n && transaction.chainId !== chainId) {
+            const error = new Error(`Raw transaction is for chain ${transaction.chainId}, connected to ${chainId}`);
+            error.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+            throw error;
+        }
+
+        const described = {...this._identifyCall(transaction), ...meta};
+        const transactionManager = await this._transactionManagerFor(transaction.from);
+        const response = await transactionManager.submitSigned(rawTransaction, described);
+        const contract = described.contract && this.contracts.get(described.contract);
+        return this.decodeReceipts(response, contract ? contract.interface : null, described);
+    }
+
+    _identifyCall(transaction) {
+        for (const [name, contract] of this.contracts) {
+            if (!transaction.to || typeof contract.target !== 'string' || contract.target.toLowerCase() !== transaction.to.toLowerCase()) {
+                continue;
+            }
+            const parsed = contract.interface.parseTransaction({data: transaction.data, value: transaction.value});
+            return parsed ? {contract: name, method: parsed.name, args: Array.from(parsed.args)} : {contract: name};
+        }
+        return {};
+    }
+
+    // The signer's own manager when it signed, so its local nonce count stays right; otherwise one per sender
+    async _transactionManagerFor(address) {
+        if (this.signer && (await this.signer.getAddress()).toLowerCase() === address.toLowerCase()) {
+            return this.getTransactionManager();
+        }
+        return this._externalTransactionManager(address);
+    }
+
+    // Tracks transactions of a sender with no signer here; they cannot be sped up or cancelled
+    _externalTransactionManager(address) {
+        const key = `external:${address.toLowerCase()}`;
+        if (!this.transactionManagers.has(key)) {
+            this.transactionManagers.set(key, this._createTransactionManager(null, {provider: this.provider, address}));
+        }
+        return this.transactionManagers.get(key);
+    }
+
+    // What a write would do at the current block: return value, events, gas and revert reason.
+    // Nothing is signed, so it also works on a read-only client with a watch address
+    async simulateTransaction(name, contract, method, args) {
+        const fn = contract.getFunction(method);
+        const {args: callArgs, gas} = ContractManager.splitCallOptions(fn.fragment, args);
+        const context = {contract: name, method, args: callArgs};
+        const populated = await fn.populateTransaction(...callArgs);
+        const from = populated.from || (this.signer ? await this.signer.getAddress() : this.watchAddress) || null;
+        const blockNumber = await this.provider.getBlockNumber();
+        // Every read below runs against the same block
+        const request = {...populated, from: from || undefined, blockTag: blockNumber};
+
+        const simulation = {
+            simulated: true,
+            contract: name,
+            method,
+            args: callArgs,
+            from,
+            to: populated.to,
+            value: BigInt(populated.value || 0),
+            data: populated.data,
+            blockNumber,
+            success: false,
+            result: null,
+            events: null,
+            gas: null,
+            error: null,
+            revertReason: null
+        };
+
+        try {
+            const result = contract.interface.decodeFunctionResult(fn.fragment, await this.provider.call(request));
+            simulation.result = result.length === 0 ? null : result.length === 1 ? result[0] : result;
+            simulation.success = true;
+        } catch (error) {
+            simulation.error = this.decodeError(error, context);
+            simulation.revertReason = simulation.error.reason || simulation.error.errorName || simulation.error.message;
+            this.logger.debug(`Simulated ${name}.${method} reverts: ${simulation.revertReason}`);
+            return simulation;
+        }
+
+        const [gasEstimate, events] = await Promise.all([
+            this.provider.estimateGas(request).catch(error => {
+                this.logger.warn(`Simulated ${name}.${method} succeeded but gas estimation failed`, {error});
+                return null;
+            }),
+            this.traceEvents(request, name)
+        ]);
+        simulation.gas = gasEstimate === null ? null : await this._describeGas(gasEstimate, gas);
+        simulation.events = events;
+        return simulation;
+    }
+
+    // Logs the call would emit, from the node's call tracer. Null when the node has no debug_traceCall
+    async traceEvents(request, preferred) {
+        if (typeof this.provider.send !== 'function') {
+            return null;
+        }
+        try {
+            const trace = await this.provider.send('debug_traceCall', [
+                ContractManager.toRpcTransaction(request),
+                ethers.toQuantity(request.blockTag),
+                {tracer: 'callTracer', tracerConfig: {withLog: true}}
+            ]);
+            return ContractManager.collectTraceLogs(trace).map(log => this.decodeLog(log, preferred));
+        } catch (error) {
+            this.logger.debug('debug_traceCall unavailable, simulation has no events', {error});
+            return null;
+        }
+    }
+
+    // Decodes with the ABI of the contract at the log's address first, then every other loaded ABI
+    decodeLog(log, preferred) {
+        const address = ethers.getAddress(log.address);
+        let emitter = null;
+        for (const [name, contract] of this.contracts) {
+            if (typeof contract.target === 'string' && contract.target.toLowerCase() === address.toLowerCase()) {
+                emitter = name;
+                break;
+            }
+        }
+
+        const topics = log.topics || [];
+        for (const iface of this.getInterfaces(emitter || preferred)) {
+            let parsed = null;
+            try {
+                parsed = iface.parseLog({topics, data: log.data});
+            } catch {
+                // Same topic, different indexed layout: try the next ABI
+            }
+            if (parsed) {
+                return {address, contract: emitter, name: parsed.name, signature: parsed.signature, args: parsed.args};
+            }
+        }
+        return {address, contract: emitter, name: null, signature: null, args: null, topics, data: log.data};
+    }
+
+    // SDK options in the trailing overrides object, which ethers would otherwise drop: gasStrategy and
+    // gasLimitMultiplier for the fee and limit, simulate for a dry run, unsigned to only build the
+    // transaction and signedTransaction to submit one signed elsewhere
+    static splitCallOptions(fragment, args) {
+        const overrides = args.length === fragment.inputs.length + 1 ? args[args.length - 1] : null;
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            return {args, gas: {}, lifecycle: {}, simulate: false, unsigned: false, signedTransaction: null};
+        }
+        const {
+            gasStrategy, gasLimitMultiplier, simulate, unsigned, signedTransaction,
+            confirmations, timeoutMs, onProgress, ...rest
+        } = overrides;
+        const lifecycle = {};
+        for (const [key, value] of Object.entries({confirmations, timeoutMs, onProgress})) {
+            if (value !== undefined) {
+                lifecycle[key] = value;
+            }
+        }
+        return {
+            args: [...args.slice(0, -1), rest],
+            gas: {strategy: gasStrategy, gasLimitMultiplier},
+            lifecycle,
+            simulate: !!simulate,
+            unsigned: !!unsigned,
+            signedTransaction: signedTransaction || null
+        };
+    }
+
+    // callTracer nests logs per call frame; `position` is the number of subcalls made before the log.
+    // Logs of reverted frames were rolled back and are skipped
+    static collectTraceLogs(frame, logs = []) {
+        if (!frame || frame.error) {
+            return logs;
+        }
+        const calls = frame.calls || [];
+        let next = 0;
+        for (const log of frame.logs || []) {
+            const position = log.position === undefined ? calls.length : Number(log.position);
+            while (next < Math.min(position, calls.length)) {
+                ContractManager.collectTraceLogs(calls[next++], logs);
+            }
+            logs.push(log);
+        }
+        while (next < calls.length) {
+            ContractManager.collectTraceLogs(calls[next++], logs);
+        }
+        return logs;
+    }
+
+    static toRpcTransaction(request) {
+        const transaction = {to: request.to, data: request.data};
+        if (request.from) {
+            transaction.from = request.from;
+        }
+        if (request.value) {
+            transaction.value = ethers.toQuantity(request.value);
+        }
+        return transaction;
+    }
+
+    getTransactionManager(signer = this.signer) {
+        if (!signer) {
+            throw new SignerRequiredError('No signer connected, the client is read-only');
+        }
+        if (!this.transactionManagers.has(signer)) {
+            this.transactionManagers.set(signer, this._createTransactionManager(signer, {gasPricer: this.gasPricer}));
+        }
+        return this.transactionManagers.get(signer);
+    }
+
+    // Lifecycle stages of every managed transaction come out here as 'transactionProgress'
+    _createTransactionManager(signer, options) {
+        const {journalPath, journalKeepSettled, journalCompactEvery, ...transactionOptions} = this.options.transactions || {};
+        const transactionManager = new TransactionManager(signer, {
+            ...transactionOptions,
+            ...options,
+            journal: this.journal,
+            logger: this.logger.child('TransactionManager')
+        });
+        transactionManager.on('progress', event => this.emit('transactionProgress', event));
+        return transactionManager;
+    }
+
+    // Hands what the journal has unsettled to the manager of each sender's signer: this manager's own or one of
+    // `signers` (account sessions). Senders with no signer here get an external manager that only tracks them.
+    // Run once at startup, before any write
+    async recoverTransactions(signers = []) {
+        if (!this.journal) {
+            return [];
+        }
+        const bySender = new Map();
+        for (const entry of this.journal.getUnsettled()) {
+            const sender = entry.from.toLowerCase();
+            bySender.set(sender, [...(bySender.get(sender) || []), entry]);
+        }
+
+        const signerByAddress = new Map();
+        for (const signer of [this.signer, ...signers].filter(Boolean)) {
+            signerByAddress.set((await signer.getAddress()).toLowerCase(), signer);
+        }
+
+        const recovered = [];
+        for (const [sender, entries] of bySender) {
+            const signer = signerByAddress.get(sender);
+            const transactionManager = signer ? this.getTransactionManager(signer) : this._externalTransactionManager(entries[0].from);
+            recovered.push(...await transactionManager.recover(entries));
+        }
+        return recovered;
+    }
+
+    // Senders that have unsettled journal entries, so the client can set up their accounts before recovery
+    getJournalSenders() {
+        return this.journal ? [...new Set(this.journal.getUnsettled().map(entry => entry.from.toLowerCase()))] : [];
+    }
+
+    findTransactionManager(id) {
+        for (const transactionManager of this.transactionManagers.values()) {
+            if (transactionManager.has(id)) {
+                return transactionManager;
+            }
+        }
+        throw new Error(`Unknown transaction ${id}`);
+    }
+
+    getTransactions(status) {
+        const transactions = [];
+        for (const transactionManager of new Set(this.transactionManagers.values())) {
+            transactions.push(...transactionManager.getTransactions(status));
+        }
+        return transactions;
+    }
+
+    // The same account reconnected to another provider keeps its nonce counter and pending transactions
+    _moveTransactionManager(previousSigner, signer) {
+        if (!previousSigner || !signer || previousSigner === signer || !this.transactionManagers.has(previousSigner)) {
+            return;
+        }
+        const transactionManager = this.transactionManagers.get(previousSigner);
+        transactionManager.setSigner(signer);
+        this.transactionManagers.delete(previousSigner);
+        this.transactionManagers.set(signer, transactionManager);
+    }
+
+    disposeTransactionManagers() {
+        for (const transactionManager of this.transactionManagers.values()) {
+            transactionManager.dispose();
+        }
+    }
+
+    _signerRequired(name, method, args) {
+        return new SignerRequiredError(
+            `${name}.${method} sends a transaction, but the client is read-only. Connect a signer with connectSigner() first`,
+            {contract: name, method, args}
+        );
+    }
+
+    // Interfaces of every loaded contract, the one that was called first, so custom errors declared in libraries still decode
+    getInterfaces(preferred) {
+        const interfaces = [];
+        if (preferred && this.contracts.has(preferred)) {
+            interfaces.push(this.contracts.get(preferred).interface);
+        }
+        for (const [name, contract] of this.contracts) {
+            if (name !== preferred) {
+                interfaces.push(contract.interface);
+            }
+        }
+        return interfaces;
+    }
+
+    decodeError(error, context = {}) {
+        return ErrorDecoder.decode(error, {...context, interfaces: this.getInterfaces(context.contract)});
+    }
+
+    _getQuorumMethods(name) {
+        if (!this.provider || typeof this.provider.quorumCall !== 'function') {
+            return [];
+        }
+        const configured = this.options.quorumMethods || DEFAULT_QUORUM_METHODS;
+        return configured
+            .filter(entry => entry.startsWith(`${name}.`))
+            .map(entry => entry.slice(name.length + 1));
+    }
+
+    // Critical reads are answered only when several RPC endpoints return the same data
+    async quorumCall(contract, method, params = []) {
+        const data = await this.provider.quorumCall({
+            to: contract.target,
+            data: ContractHelpers.encodeCallData(contract.interface, method, params)
+        });
+        const result = contract.interface.decodeFunctionResult(method, data);
+        return result.length === 1 ? result[0] : result;
+    }
+
+    // Compares what a module declares it calls against the loaded ABIs; methods map to the argument count the module passes
+    checkRequirements(requirements = {}) {
+        const issues = [];
+
+        for (const [contractName, requirement] of Object.entries(requirements)) {
+            if (!this.contracts.has(contractName)) {
+                if (!requirement.optional) {
+                    issues.push({contract: contractName, kind: 'contract', name: contractName, problem: 'missing'});
+                }
+                continue;
+            }
+
+            const contractInterface = this.contracts.get(contractName).interface;
+
+            for (const [methodName, expected] of Object.entries(requirement.methods || {})) {
+                const fragments = [];
+                contractInterface.forEachFunction(fragment => {
+                    if (fragment.name === methodName) {
+                        fragments.push(fragment);
+                    }
+                });
+                const issue = this._checkFragments('method', contractName, methodName, expected, fragments);
+                if (issue) {
+                    issues.push(issue);
+                }
+            }
+
+            for (const eventName of requirement.events || []) {
+                const fragments = [];
+                contractInterface.forEachEvent(fragment => {
+                    if (fragment.name === eventName) {
+                        fragments.push(fragment);
+                    }
+                });
+                const issue = this._checkFragments('event', contractName, eventName, null, fragments);
+                if (issue) {
+                    issues.push(issue);
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    _checkFragments(kind, contractName, name, expected, fragments) {
+        if (fragments.length === 0) {
+            return {contract: contractName, kind, name, problem: 'missing'};
+        }
+
+        const matches = fragment => {
+            if (expected === null || expected === undefined) return true;
+            if (typeof expected === 'number') return fragment.inputs.length === expected;
+            return fragment.format('sighash') === ethers.FunctionFragment.from(expected).format('sighash');
+        };
+
+        if (fragments.some(matches)) {
+            return null;
+        }
+
+        return {
+            contract: contractName,
+            kind,
+            name,
+            problem: 'signature',
+            expected: typeof expected === 'number' ? `${name} with ${expected} argument(s)` : expected,
+            found: fragments.map(fragment => fragment.format('sighash'))
+        };
+    }
+
+    getBatchStats() {
+        return this.batcher
+            ? {multicall: this.batcher.isMulticallEnabled(), ...this.batcher.stats}
+            : {multicall: false, disabled: true};
+    }
+
+    // Reads the EIP-1967 slots behind a contract address; plain contracts come back with isProxy false
+    async getProxyInfo(name) {
+        const contract = this.getContract(name);
+        const address = await contract.getAddress();
+
+        const [implementationSlot, adminSlot, beaconSlot] = await Promise.all([
+            this.provider.getStorage(address, EIP1967_SLOTS.implementation),
+            this.provider.getStorage(address, EIP1967_SLOTS.admin),
+            this.provider.getStorage(address, EIP1967_SLOTS.beacon)
+        ]);
+
+        const beacon = ContractManager.slotToAddress(beaconSlot);
+        let implementation = ContractManager.slotToAddress(implementationSlot);
+        if (!implementation && beacon) {
+            const beaconContract = new ethers.Contract(beacon, BEACON_ABI, this.provider);
+            implementation = await beaconContract.implementation().then(ethers.getAddress, () => null);
+        }
+
+        const info = {
+            name,
+            address,
+            isProxy: !!implementation,
+            implementation,
+            admin: ContractManager.slotToAddress(adminSlot),
+            beacon,
+            version: await this._readVersion(address),
+            configuredImplementation: this.config.getImplementation ? this.config.getImplementation(name) : null,
+            checkedAt: new Date().toISOString()
+        };
+        return info;
+    }
+
+    // Result of the last checkImplementations() run
+    getImplementationInfo(name) {
+        return this.proxyInfo.get(name) || null;
+    }
+
+    // Compares every proxy's implementation with the previous check (or the implementations section of the config on the first one)
+    async checkImplementations(names = Array.from(this.contracts.keys())) {
+        const results = {};
+
+        await Promise.all(names.map(async name => {
+            const previous = this.proxyInfo.get(name);
+            let info;
+            try {
+                info = await this.getProxyInfo(name);
+            } catch (error) {
+                this.logger.warn(`Could not read proxy slots of ${name}`, {error});
+                return;
+            }
+            results[name] = info;
+            this.proxyInfo.set(name, info);
+
+            const known = previous ? previous.implementation : info.configuredImplementation;
+            if (!info.implementation || !known || known.toLowerCase() === info.implementation.toLowerCase()) {
+                return;
+            }
+
+            const change = {
+                name,
+                proxy: info.address,
+                previousImplementation: known,
+                implementation: info.implementation,
+                previousVersion: previous ? previous.version : null,
+                version: info.version,
+                source: previous ? 'previousCheck' : 'config'
+            };
+            this.logger.warn(`${name} implementation changed`, change);
+            this.emit('implementationChanged', change);
+        }));
+
+        return results;
+    }
+
+    async watchImplementations(interval) {
+        this.unwatchImplementations();
+        await this.checkImplementations();
+
+        this.implementationTimer = setInterval(() => {
+            this.checkImplementations().catch(error => {
+                this.logger.warn('Implementation check failed', {error});
+            });
+        }, interval);
+        if (this.implementationTimer.unref) {
+            this.implementationTimer.unref();
+        }
+    }
+
+    unwatchImplementations() {
+        if (this.implementationTimer) {
+            clearInterval(this.implementationTimer);
+            this.implementationTimer = null;
+        }
+    }
+
+    // version() is called through the proxy, so it reports the version of the current implementation
+    async _readVersion(address) {
+        let data;
+        try {
+            data = await this.provider.call({to: address, data: ethers.id('version()').slice(0, 10)});
+        } catch {
+            return null;
+        }
+        if (!data || data === '0x') {
+            return null;
+        }
+
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        try {
+            return coder.decode(['string'], data)[0];
+        } catch {
+            try {
+                return coder.decode(['uint256'], data)[0].toString();
+            } catch {
+                return null;
+            }
+        }
+    }
+
+    static slotToAddress(value) {
+        if (!value || BigInt(value) === 0n) {
+            return null;
         }
+        return ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(value, 32), 12));
+    }
+
+    applyConfigChanges(changes) {
+        const {added, removed, changed} = changes.contracts;
+        const rebound = [];
+
+        for (const name of Object.keys(removed)) {
+            this.proxyInfo.delete(name);
+            if (this.contracts.delete(name)) {
+                rebound.push(name);
+            }
+        }
+
+        const updates = {...added};
+        for (const [name, {to}] of Object.entries(changed)) {
+            updates[name] = to;
+        }
+
+        for (const [name, address] of Object.entries(updates)) {
+            // A new address is a different proxy, not an upgrade
+            this.proxyInfo.delete(name);
+            if (address) {
+                this._bindContract(name, address);
+            } else {
+                this.contracts.delete(name);
+            }
+            rebound.push(name);
+        }
+
+        if (rebound.length > 0) {
+            this.logger.info('Contracts rebound', {contracts: rebound});
+        }
+        return rebound;
     }
 
     loadABI(contractName) {
@@ -73,12 +993,50 @@ class ContractManager {
             return this.abiCache.get(contractName);
         }
 
+        const provided = this.options.abis && this.options.abis[contractName];
+        if (provided) {
+            const abi = provided.abi || provided;
+            if (!Array.isArray(abi)) {
+                throw new Error(`Invalid ABI format for ${contractName} in options.abis`);
+            }
+            this.abiCache.set(contractName, abi);
+            return abi;
+        }
+
+        const artifactABI = this._loadArtifactABI(contractName);
+        if (artifactABI) {
+            this.abiCache.set(contractName, artifactABI);
+            return artifactABI;
+        }
+
+        if (BUNDLED_ABIS[contractName]) {
+            this.abiCache.set(contractName, BUNDLED_ABIS[contractName]);
+            return BUNDLED_ABIS[contractName];
+        }
+
+        // The published bundle can be empty when the package was built without the contracts project
+        const searched = this.artifactsPath ? `the artifacts under ${this.artifactsPath}` : 'artifacts (lookup disabled)';
+        const error = new Error(
+            `ABI not found for contract ${contractName}: it is not in options.abis, ${searched} or the bundled abis/. ` +
+            'Pass it in options.abis, set artifactsPath to the contracts project\'s artifacts or bundle them with npm run bundle-abis -- <contracts-project-dir>'
+        );
+        error.code = CONSTANTS.ERRORS.ABI_NOT_FOUND;
+        throw error;
+    }
+
+    _loadArtifactABI(contractName) {
+        if (!this.artifactsPath) {
+            return null;
+        }
+
+        const projectRoot = path.dirname(this.artifactsPath);
         const possiblePaths = [
+            ABI_MAP[contractName] && path.join(projectRoot, ABI_MAP[contractName]),
             path.join(this.artifactsPath, 'contracts', `${contractName}.sol`, `${contractName}.json`),
             path.join(this.artifactsPath, `${contractName}.json`),
-            path.join(process.cwd(), 'abi', `${contractName}.json`),
-            path.join(process.cwd(), 'abis', `${contractName}.json`)
-        ];
+            path.join(projectRoot, 'abi', `${contractName}.json`),
+            path.join(projectRoot, 'abis', `${contractName}.json`)
+        ].filter(Boolean);
 
         for (const artifactPath of possiblePaths) {
             if (fs.existsSync(artifactPath)) {
@@ -88,15 +1046,14 @@ class ContractManager {
                     if (!Array.isArray(abi)) {
                         throw new Error(`Invalid ABI format in ${artifactPath}`);
                     }
-                    this.abiCache.set(contractName, abi);
                     return abi;
                 } catch (error) {
-                    console.warn(`Failed to load ABI from ${artifactPath}: ${error.message}`);
+                    this.logger.warn(`Failed to load ABI from ${artifactPath}`, {error});
                 }
             }
         }
 
-        throw new Error(`ABI not found for contract: ${contractName}`);
+        return null;
     }
 
     loadABIFromFile(filePath) {
@@ -127,7 +1084,7 @@ class ContractManager {
 
     addContract(name, address, abi) {
         try {
-            const contract = new ethers.Contract(address, abi, this.signer || this.provider);
+            const contract = this._wrapContract(name, new ethers.Contract(address, abi, this.signer || this.provider));
             this.contracts.set(name, contract);
             this.config.setContract(name, address);
             // console.log(`Contract ${name} added at ${address}`);
@@ -137,12 +1094,143 @@ class ContractManager {
         }
     }
 
+    // A contract from an inline ABI, e.g. an arbitrary ERC20 token. Calls get the same batching, write routing
+    // and error decoding as registered contracts, but nothing is added to this.contracts or the config
+    wrapAdHoc(address, abi, name = 'AdHoc') {
+        return this._wrapContract(name, new ethers.Contract(address, abi, this.signer || this.provider));
+    }
+
+    // A manager for another account: own signer and contract instances, everything else (ABIs, caches,
+    // batcher, provider) read through to this one
+    forSigner(signer) {
+        const view = Object.create(this);
+        view.base = this;
+        view.signer = signer;
+        view.contracts = new Map();
+        view.syncView(signer);
+        return view;
+    }
+
+    // Reconnects a view after the base manager rebound its contracts; ones only the view loaded are kept
+    syncView(signer = this.signer) {
+        const contracts = new Map(this.contracts);
+        for (const [name, contract] of this.base.contracts) {
+            contracts.set(name, contract);
+        }
+
+        this._moveTransactionManager(this.signer, signer);
+        this.signer = signer;
+        this.contracts = new Map();
+        for (const [name, contract] of contracts) {
+            this.contracts.set(name, this._wrapContract(name, contract.connect(signer)));
+        }
+    }
+
     async connectSigner(signer) {
         this.signer = signer;
         for (const [name, contract] of this.contracts) {
-            this.contracts.set(name, contract.connect(signer));
+            this.contracts.set(name, this._wrapContract(name, contract.connect(signer)));
+        }
+        this.logger.info('All contracts connected to new signer');
+    }
+
+    async connectProvider(provider, signer = this.signer) {
+        this.provider = provider;
+        this._moveTransactionManager(this.signer, signer);
+        this.signer = signer;
+        this.batcher = this._createBatcher(provider);
+        this.gasPricer.setProvider(provider);
+        for (const transactionManager of this.transactionManagers.values()) {
+            if (!transactionManager.signer) {
+                transactionManager.setProvider(provider);
+            }
+        }
+        for (const [name, contract] of this.contracts) {
+            this.contracts.set(name, this._wrapContract(name, contract.connect(signer || provider)));
+        }
+        this.logger.info('All contracts connected to new provider');
+    }
+
+    async discoverToken(address, options = {}) {
+        if (!ethers.isAddress(address)) {
+            throw new Error(`Invalid token address: ${address}`);
+        }
+        if (this.config.isETH(address)) {
+            return {symbol: 'ETH', address, decimals: 18, name: 'Ether'};
+        }
+
+        try {
+            return this.config.getToken(address);
+        } catch {
+        }
+
+        const key = address.toLowerCase();
+        if (this.failedTokenLookups.has(key) && !options.force) {
+            throw new Error(`Token metadata unavailable for ${address}`);
+        }
+
+        // Concurrent lookups for the same address share one set of RPC calls
+        if (!this.tokenDiscoveries.has(key)) {
+            const discovery = this._fetchTokenMetadata(address)
+                .catch(error => {
+                    this.failedTokenLookups.add(key);
+                    throw new Error(`Token metadata unavailable for ${address}: ${error.message}`);
+                })
+                .finally(() => this.tokenDiscoveries.delete(key));
+            this.tokenDiscoveries.set(key, discovery);
+        }
+
+        const metadata = await this.tokenDiscoveries.get(key);
+
+        try {
+            return this.config.getToken(address);
+        } catch {
+        }
+
+        const tokens = this.config.getTokens();
+        const registryKey = tokens[metadata.symbol] ? `${metadata.symbol}_${metadata.address.slice(2, 8)}` : metadata.symbol;
+        this.config.addToken(registryKey, metadata);
+
+        const persist = options.persist !== undefined ? options.persist : this.options.persistDiscoveredTokens;
+        if (persist) {
+            this.config.save();
+        }
+
+        this.logger.info(`Discovered token ${metadata.symbol}`, {address: metadata.address, decimals: metadata.decimals});
+        return this.config.getToken(address);
+    }
+
+    async _fetchTokenMetadata(address) {
+        const token = new ethers.Contract(address, ERC20_METADATA_ABI, this.provider);
+        const [symbol, name, decimals] = await Promise.all([
+            this._readTokenString(token, address, 'symbol'),
+            this._readTokenString(token, address, 'name').catch(() => null),
+            token.decimals()
+        ]);
+
+        if (!symbol) {
+            throw new Error('Token has no symbol');
+        }
+
+        const metadata = {
+            address: ethers.getAddress(address),
+            symbol,
+            decimals: Number(decimals),
+            discovered: true
+        };
+        if (name) {
+            metadata.name = name;
+        }
+        return metadata;
+    }
+
+    async _readTokenString(token, address, method) {
+        try {
+            return await token[method]();
+        } catch {
+            const legacyToken = new ethers.Contract(address, ERC20_BYTES32_METADATA_ABI, this.provider);
+            return ethers.decodeBytes32String(await legacyToken[method]());
         }
-        console.log('✅ All contracts connected to new signer');
     }
 
     async validateContract(name) {
@@ -193,19 +1281,26 @@ class ContractManager {
             if (!method) {
                 throw new Error(`Method ${methodName} not found in contract ${contractName}`);
             }
-            const gasEstimate = await method.estimateGas(...args, options);
-            const feeData = await this.provider.getFeeData();
-            return {
-                gasLimit: gasEstimate.toString(),
-                gasPrice: feeData.gasPrice?.toString() || '0',
-                maxFeePerGas: feeData.maxFeePerGas?.toString() || '0',
-                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString() || '0'
-            };
+            const {gasStrategy, gasLimitMultiplier, ...overrides} = options;
+            const gasEstimate = await method.estimateGas(...args, overrides);
+            return await this._describeGas(gasEstimate, {strategy: gasStrategy, gasLimitMultiplier});
         } catch (error) {
             throw new Error(`Gas estimation failed: ${error.message}`);
         }
     }
 
+    async _describeGas(gasEstimate, gas = {}) {
+        const fees = await this.gasPricer.getFees(gas.strategy);
+        return {
+            gasLimit: this.gasPricer.applyMultiplier(gasEstimate, gas.gasLimitMultiplier).toString(),
+            estimatedGas: gasEstimate.toString(),
+            gasPrice: (fees.gasPrice ?? fees.maxFeePerGas).toString(),
+            maxFeePerGas: fees.maxFeePerGas?.toString() || '0',
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() || '0',
+            strategy: fees.strategy
+        };
+    }
+
     async callMethod(contractName, methodName, args = [], options = {}) {
         try {
             const contract = this.getContract(contractName);
@@ -215,6 +1310,9 @@ class ContractManager {
             }
             return await method(...args, options);
         } catch (error) {
+            if (error instanceof DexError) {
+                throw error;
+            }
             throw new Error(`Contract call failed: ${error.message}`);
         }
     }
@@ -232,8 +1330,11 @@ class ContractManager {
 
     clearCache() {
         this.abiCache.clear();
-        console.log('🗑️ ABI cache cleared');
+        this.logger.info('ABI cache cleared');
     }
 }
 
+ContractManager.ABI_MAP = ABI_MAP;
+ContractManager.EIP1967_SLOTS = EIP1967_SLOTS;
+
 module.exports = ContractManager;
\ No newline at end of file
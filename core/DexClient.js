@@ -1,21 +1,99 @@
 // core/DexClient.js
+const EventEmitter = require('events');
 const ConfigManager = require('./ConfigManager');
 const ContractManager = require('./ContractManager');
+const FailoverProvider = require('./FailoverProvider');
+const ModuleRegistry = require('./ModuleRegistry');
+const AccountSession = require('./AccountSession');
+const Logger = require('../utils/Logger');
+const {SignerRequiredError} = require('../utils/errors');
+const CONSTANTS = require('../utils/constants');
 
-class DexClient {
+// Emitted by the client itself; modules cannot publish under these names
+const CLIENT_EVENTS = ['ready', 'signerChanged', 'networkChanged', 'block', 'paused', 'unpaused', 'moduleEvent', 'transaction', 'disposed'];
+
+// Listening to any of these subscribes the client to new blocks on its provider
+const BLOCK_EVENTS = ['block', 'paused', 'unpaused'];
+
+class DexClient extends EventEmitter {
    constructor(config = {}) {
-       this.configManager = new ConfigManager(config.configPath);
+       super();
+       // config.logger is a Logger, logger options ({level, format, silent}) or any object with debug/info/warn/error
+       this.logger = Logger.create(config.logger);
+       // config.config is a plain config object, used instead of reading configPath from disk
+       this.configManager = new ConfigManager(config.config || config.configPath, {
+           profile: config.profile,
+           validate: config.validateConfig,
+           strictContracts: config.strictContracts,
+           logger: this.logger.child('ConfigManager')
+       });
        this.provider = config.provider;
+       this.ownsProvider = false;
+       this.rpcUrls = config.rpcUrls;
+       this.rpcOptions = config.rpcOptions || {};
+       // readOnly skips the wallet from privateKey; watchAddress stands in for the user in view methods
+       if (config.readOnly && config.signer) {
+           throw new Error('readOnly cannot be combined with a signer, connect it later with connectSigner()');
+       }
+       this.readOnly = !!config.readOnly;
        this.signer = config.signer;
+       this.privateKey = config.privateKey;
+       this.watchAddress = null;
+       if (config.watchAddress) {
+           this.setWatchAddress(config.watchAddress);
+       }
+       // Named extra signers: {name: signer or private key}, used through client.as(name)
+       this.accounts = new Map();
+       this.sessions = new Map();
+       for (const [name, signer] of Object.entries(config.accounts || {})) {
+           this.addAccount(name, signer);
+       }
        this.contractManager = null;
-       this.modules = new Map();
+       // Modules whose required contract members are missing from the loaded ABIs are dropped instead of failing initialize()
+       this.moduleRegistry = new ModuleRegistry(this, {
+           disableIncompatible: config.disableIncompatibleModules,
+           logger: this.logger.child('ModuleRegistry')
+       });
        this.initialized = false;
+       this.watchConfig = !!config.watchConfig;
+       this.contractOptions = {
+           autoDiscoverTokens: config.autoDiscoverTokens !== false,
+           persistDiscoveredTokens: !!config.persistDiscoveredTokens,
+           abis: config.abis,
+           artifactsPath: config.artifactsPath,
+           batchReads: config.batchReads,
+           multicallAddress: config.multicallAddress,
+           maxBatchSize: config.maxBatchSize,
+           quorumMethods: config.quorumMethods,
+           implementationCheckInterval: config.implementationCheckInterval,
+           transactions: config.transactions,
+           gas: config.gas,
+           logger: this.logger.child('ContractManager')
+       };
+
+       this._onConfigChanged = changes => this._handleConfigChanged(changes);
+       this.configManager.on('configChanged', this._onConfigChanged);
+
+       this.chainId = null;
+       this.systemPaused = null;
+       this.blockWatch = null;
+       this.on('newListener', event => {
+           if (BLOCK_EVENTS.includes(event)) {
+               this._updateBlockWatch(true);
+           }
+       });
+       this.on('removeListener', event => {
+           if (BLOCK_EVENTS.includes(event)) {
+               this._updateBlockWatch();
+           }
+       });
 
        // Устанавливаем контракты из конфигурации createSDK
        if (config.contracts) {
            const currentConfig = this.configManager.getConfig();
            currentConfig.contracts = {...currentConfig.contracts, ...config.contracts};
            this.configManager.config = currentConfig;
+           this.configManager.validateConfig();
        }
    }
 
@@ -25,68 +103,407 @@ class DexClient {
        }
 
        try {
-           console.log('🚀 Initializing DEX Client...');
+           this.logger.info('Initializing DEX Client');
 
            if (!this.provider) {
+               this.provider = this._createProvider();
+               this.ownsProvider = true;
+           }
+
+           const privateKey = this.privateKey || this.configManager.getConfig().privateKey;
+           if (!this.signer && privateKey && !this.readOnly) {
                const {ethers} = require('ethers');
-               this.provider = new ethers.JsonRpcProvider('http://localhost:8545');
-               console.log('📡 Using default local provider');
+               this.signer = new ethers.Wallet(privateKey, this.provider);
+           }
+
+           if (this.provider instanceof FailoverProvider) {
+               await this._checkProviderHealth();
+           } else {
+               const network = await this.provider.getNetwork();
+               this._checkChainId(network.chainId);
            }
 
            this.contractManager = new ContractManager(
                this.configManager,
                this.provider,
-               this.signer
+               this.signer,
+               {...this.contractOptions, watchAddress: this.watchAddress}
            );
+           // Every stage of every write, for UIs showing progress: {stage, id, hash, receipt, confirmations, ...}
+           this.contractManager.on('transactionProgress', event => this._notify('transaction', event));
 
            await this.contractManager.initialize();
+           this.moduleRegistry.loadAll();
+           await this._recoverTransactions();
+
+           if (this.watchConfig) {
+               this.configManager.watch();
+           }
+
+           this.chainId = Number((await this.provider.getNetwork()).chainId);
            this.initialized = true;
-           console.log('✅ DEX Client initialized successfully');
            this.printInfo();
        } catch (error) {
-           throw new Error(`Failed to initialize DEX Client: ${error.message}`);
+           const wrapped = new Error(`Failed to initialize DEX Client: ${error.message}`);
+           if (error.code) {
+               wrapped.code = error.code;
+           }
+           if (error.incompatibleModules) {
+               wrapped.incompatibleModules = error.incompatibleModules;
+           }
+           throw wrapped;
+       }
+
+       this._updateBlockWatch();
+       this._notify('ready', {
+           chainId: this.chainId,
+           network: this.configManager.getConfig().network,
+           modules: this.moduleRegistry.getLoadedNames(),
+           signer: this.signer ? await this.signer.getAddress() : null,
+           readOnly: this.isReadOnly()
+       });
+   }
+
+   getDisabledModules() {
+       return this.moduleRegistry.getDisabled();
+   }
+
+   getModuleContext() {
+       return {
+           contractManager: this.contractManager,
+           configManager: this.configManager,
+           provider: this.provider,
+           signer: this.signer,
+           logger: this.logger,
+           client: this
+       };
+   }
+
+   _createProvider() {
+       const networkConfig = this.configManager.getNetworkConfig();
+       let rpcUrls = this.rpcUrls || networkConfig.rpcUrls || (networkConfig.rpcUrl ? [networkConfig.rpcUrl] : []);
+
+       if (rpcUrls.length === 0) {
+           if (Number(networkConfig.chainId) !== 31337) {
+               throw new Error(`No RPC endpoint configured for ${networkConfig.name} (chain ${networkConfig.chainId}), set rpcUrl or rpcUrls`);
+           }
+           this.logger.warn('No RPC endpoint configured, using local node at http://localhost:8545');
+           rpcUrls = ['http://localhost:8545'];
+       }
+
+       const provider = new FailoverProvider(rpcUrls, Number(networkConfig.chainId), {
+           logger: this.logger.child('FailoverProvider'),
+           ...this.rpcOptions
+       });
+       this.logger.info(`Using ${rpcUrls.length} RPC endpoint(s)`, {endpoints: rpcUrls.map(FailoverProvider.redactUrl)});
+       return provider;
+   }
+
+   // Same rule for every provider: enforced when the config names its chain, a warning on the 31337 default
+   _checkChainId(chainId) {
+       if (this.configManager.isChainIdEnforced()) {
+           this.configManager.verifyChainId(chainId);
+       } else if (Number(chainId) !== Number(this.configManager.getConfig().chainId)) {
+           this.logger.warn(`Provider is on chain ${chainId}, contract addresses in the config are for chain ${this.configManager.getConfig().chainId}`);
        }
    }
 
+   async _checkProviderHealth() {
+       const health = await this.provider.checkHealth();
+       const expected = this.configManager.getConfig().chainId;
+       const enforced = this.configManager.isChainIdEnforced();
+       const wrongChain = health.endpoints.filter(endpoint => endpoint.wrongChain);
+       if (wrongChain.length > 0) {
+           const details = wrongChain.map(endpoint => `${endpoint.url} (${endpoint.lastError})`).join(', ');
+           const message = `${wrongChain.length} of ${health.endpoints.length} RPC endpoint(s) do not serve chain ${expected}: ${details}`;
+           if (enforced) {
+               throw new Error(`Chain ID mismatch: ${message}`);
+           }
+           this.logger.warn(`${message}, contract addresses in the config are for chain ${expected}`);
+           this.provider.acceptOtherChains();
+       }
+       if (health.endpoints.every(endpoint => endpoint.lastSuccessAt === null)) {
+           // Starting anyway would leave the configured chain unverified until the first request
+           if (enforced) {
+               const error = new Error(`No RPC endpoint answered, cannot verify that they serve chain ${expected}`);
+               error.code = CONSTANTS.ERRORS.NETWORK_ERROR;
+               throw error;
+           }
+           this.logger.warn('No RPC endpoint answered the health check, requests will keep retrying them');
+       }
+   }
+
+   getProviderHealth() {
+       if (this.provider && typeof this.provider.getHealth === 'function') {
+           return this.provider.getHealth();
+       }
+       return {managed: false, endpoints: []};
+   }
+
    async connectSigner(signer) {
+       const previousAddress = this.signer ? await this.signer.getAddress() : null;
        this.signer = signer;
        if (this.contractManager) {
            await this.contractManager.connectSigner(signer);
        }
-       console.log('✅ Signer connected to DEX Client');
+       this.moduleRegistry.notify('onSignerChanged', signer);
+       this.logger.info('Signer connected to DEX Client');
+
+       this._notify('signerChanged', {
+           signer,
+           address: signer ? await signer.getAddress() : null,
+           previousAddress
+       });
+   }
+
+   // Swaps the RPC provider of an initialized client; contracts are reconnected and modules get onNetworkChanged
+   async connectProvider(provider) {
+       await this.ensureInitialized();
+
+       const network = await provider.getNetwork();
+       this._checkChainId(network.chainId);
+
+       if (this.ownsProvider && this.provider !== provider) {
+           this.provider.destroy();
+       }
+       this.provider = provider;
+       this.ownsProvider = false;
+       if (this.signer && typeof this.signer.connect === 'function' && this.signer.provider !== provider) {
+           this.signer = this.signer.connect(provider);
+       }
+
+       // Block subscriptions move to the new provider, pause state is read again from there
+       const watching = !!this.blockWatch;
+       this._stopBlockWatch();
+       this.systemPaused = null;
+
+       await this.contractManager.connectProvider(provider, this.signer);
+       this.moduleRegistry.notify('onNetworkChanged', network, provider, this.signer);
+       for (const session of this.sessions.values()) {
+           session.onNetworkChanged(network, provider);
+       }
+       this.logger.info('Provider connected to DEX Client', {chainId: network.chainId});
+
+       const previousChainId = this.chainId;
+       this.chainId = Number(network.chainId);
+       if (watching) {
+           this._updateBlockWatch();
+       }
+       this._notify('networkChanged', {
+           chainId: this.chainId,
+           previousChainId,
+           chainChanged: previousChainId !== this.chainId,
+           network,
+           provider
+       });
+   }
+
+   // Module domain events (orderCreated, positionClosed, ...) share the client bus; every one is also
+   // re-emitted as 'moduleEvent' for listeners that want all of them
+   publish(eventName, payload = {}, source = null) {
+       if (CLIENT_EVENTS.includes(eventName)) {
+           throw new Error(`Event name "${eventName}" is reserved by DexClient`);
+       }
+       const event = {...payload, module: source};
+       this._notify(eventName, event);
+       this._notify('moduleEvent', {event: eventName, module: source, payload: event});
+   }
+
+   // A throwing listener must not fail the operation that triggered the event
+   _notify(eventName, payload) {
+       try {
+           this.emit(eventName, payload);
+       } catch (error) {
+           this.logger.warn(`Listener for ${eventName} failed`, {error});
+       }
+   }
+
+   _updateBlockWatch(adding = false) {
+       const needed = this.initialized && !!this.provider &&
+           (adding || BLOCK_EVENTS.some(event => this.listenerCount(event) > 0));
+
+       if (needed && !this.blockWatch) {
+           const provider = this.provider;
+           const listener = blockNumber => this._handleBlock(blockNumber);
+           this.blockWatch = {provider, listener};
+           Promise.resolve(provider.on('block', listener)).catch(error => {
+               this.logger.warn('Could not subscribe to new blocks', {error});
+           });
+       } else if (!needed) {
+           this._stopBlockWatch();
+       }
+   }
+
+   _stopBlockWatch() {
+       if (!this.blockWatch) {
+           return;
+       }
+       const {provider, listener} = this.blockWatch;
+       this.blockWatch = null;
+       Promise.resolve(provider.off('block', listener)).catch(() => {});
+   }
+
+   _handleBlock(blockNumber) {
+       this._notify('block', blockNumber);
+       if (this.listenerCount('paused') + this.listenerCount('unpaused') > 0) {
+           this._checkPaused(blockNumber).catch(error => {
+               this.logger.debug('Could not read Router pause state', {error});
+           });
+       }
+   }
+
+   // The first reading is only a baseline; events fire on transitions
+   async _checkPaused(blockNumber) {
+       if (!this.contractManager || !this.contractManager.hasContract('Router')) {
+           return;
+       }
+
+       const paused = await this.contractManager.getContract('Router').isSystemPaused();
+       const previous = this.systemPaused;
+       this.systemPaused = paused;
+
+       if (previous !== null && previous !== paused) {
+           this.logger.warn(paused ? 'System paused' : 'System unpaused', {blockNumber});
+           this._notify(paused ? 'paused' : 'unpaused', {blockNumber});
+       }
+   }
+
+   // Registers a module class, instance or factory; options.dependencies are loaded first, options.lazy defers loading to the first getModule()
+   registerModule(name, module, options = {}) {
+       const definition = this.moduleRegistry.register(name, module, options);
+       if (this.initialized && !definition.lazy) {
+           try {
+               this.moduleRegistry.load(name);
+           } catch (error) {
+               // Already reported and disabled by the registry
+               if (!this.moduleRegistry.disabled.has(name)) {
+                   throw error;
+               }
+           }
+       }
+       return this;
    }
 
    addModule(name, moduleInstance) {
-       if (!moduleInstance) {
-           throw new Error(`Module instance required for ${name}`);
+       this.registerModule(name, moduleInstance);
+       return this.hasModule(name);
+   }
+
+   _handleConfigChanged(changes) {
+       if (!this.contractManager) {
+           return;
        }
 
-       const moduleContext = {
-           contractManager: this.contractManager,
-           configManager: this.configManager,
-           provider: this.provider,
-           signer: this.signer,
-           client: this
-       };
+       try {
+           this.contractManager.applyConfigChanges(changes);
+       } catch (error) {
+           this.logger.warn('Failed to rebind contracts after config change', {error});
+           return;
+       }
 
-       if (typeof moduleInstance.initialize === 'function') {
-           moduleInstance.initialize(moduleContext);
+       this.moduleRegistry.notify('onConfigChanged', changes);
+       for (const session of this.sessions.values()) {
+           session.onConfigChanged(changes);
        }
+   }
 
-       this.modules.set(name, moduleInstance);
-       console.log(`📦 Module ${name} added`);
+   addAccount(name, signerOrPrivateKey) {
+       if (!name || typeof name !== 'string') {
+           throw new Error('Account name must be a non-empty string');
+       }
+       if (this.accounts.has(name)) {
+           throw new Error(`Account ${name} is already registered`);
+       }
+       if (!signerOrPrivateKey) {
+           throw new Error(`Signer or private key required for account ${name}`);
+       }
+       this.accounts.set(name, signerOrPrivateKey);
+       return this;
    }
 
-   getModule(name) {
-       const module = this.modules.get(name);
-       if (!module) {
-           throw new Error(`Module not found: ${name}`);
+   removeAccount(name) {
+       if (this.sessions.has(name)) {
+           this.sessions.get(name).dispose();
+           this.sessions.delete(name);
        }
-       return module;
+       return this.accounts.delete(name);
+   }
+
+   getAccountNames() {
+       return Array.from(this.accounts.keys());
+   }
+
+   // sdk.as('keeper').trading: modules bound to a named account, sharing this client's provider and contracts
+   as(name) {
+       if (!this.accounts.has(name)) {
+           const known = this.getAccountNames();
+           throw new Error(`Unknown account ${name}${known.length > 0 ? `, registered accounts: ${known.join(', ')}` : ''}`);
+       }
+       if (!this.initialized) {
+           throw new Error(`Account ${name} is not available yet, initialize the client first`);
+       }
+       if (!this.sessions.has(name)) {
+           this.sessions.set(name, new AccountSession(this, name, this._resolveAccountSigner(name)));
+       }
+       return this.sessions.get(name);
+   }
+
+   // Journal entries of a named account go to its session's transaction manager, so as(name) can speed them
+   // up or cancel them; the sessions of those accounts are opened here for that
+   async _recoverTransactions() {
+       const senders = this.contractManager.getJournalSenders();
+       if (senders.length === 0) {
+           return;
+       }
+       const signers = [];
+       for (const name of this.getAccountNames()) {
+           const signer = this.sessions.has(name) ? this.sessions.get(name).signer : this._resolveAccountSigner(name);
+           if (senders.includes((await signer.getAddress()).toLowerCase())) {
+               if (!this.sessions.has(name)) {
+                   this.sessions.set(name, new AccountSession(this, name, signer));
+               }
+               signers.push(signer);
+           }
+       }
+
+       const recovered = await this.contractManager.recoverTransactions(signers);
+       const unknown = recovered.filter(transaction => transaction.status === 'unknown');
+       this.logger.info(`Recovered ${recovered.length} transactions from the journal`, {
+           pending: recovered.filter(transaction => ['pending', 'stuck'].includes(transaction.status)).length,
+           unknown: unknown.length
+       });
+       if (unknown.length > 0) {
+           this.logger.warn(`${unknown.length} recovered transaction(s) may have been sent before the process stopped, check them and call reconcileTransaction(id, hash)`, {
+               ids: unknown.map(transaction => transaction.id)
+           });
+       }
+   }
+
+   _resolveAccountSigner(name) {
+       const source = this.accounts.get(name);
+       if (typeof source === 'string') {
+           const {ethers} = require('ethers');
+           const wallet = new ethers.Wallet(source, this.provider);
+           // Two names for one key share a session signer, so their nonces are counted together
+           for (const session of this.sessions.values()) {
+               if (session.signer.address === wallet.address) {
+                   return session.signer;
+               }
+           }
+           return wallet;
+       }
+       if (!source.provider && typeof source.connect === 'function') {
+           return source.connect(this.provider);
+       }
+       return source;
+   }
+
+   getModule(name) {
+       return this.moduleRegistry.get(name);
    }
 
    hasModule(name) {
-       return this.modules.has(name);
+       return this.moduleRegistry.has(name);
    }
 
    async getSystemInfo() {
@@ -103,8 +520,12 @@ class DexClient {
            contracts: contractAddresses,
            tokens: this.configManager.getTokens(),
            signer: this.signer ? await this.signer.getAddress() : null,
-           modules: Array.from(this.modules.keys()),
-           initialized: this.initialized
+           readOnly: this.isReadOnly(),
+           watchAddress: this.watchAddress,
+           modules: this.moduleRegistry.getLoadedNames(),
+           disabledModules: Object.keys(this.moduleRegistry.getDisabled()),
+           initialized: this.initialized,
+           providerHealth: this.getProviderHealth()
        };
    }
 
@@ -144,6 +565,85 @@ class DexClient {
        return this.configManager.getToken(symbolOrAddress);
    }
 
+   async resolveToken(address, options = {}) {
+       await this.ensureInitialized();
+       return this.contractManager.discoverToken(address, options);
+   }
+
+   // Implementation address, admin and version behind every proxied contract; warns about upgrades since the last check
+   async checkImplementations() {
+       await this.ensureInitialized();
+       return this.contractManager.checkImplementations();
+   }
+
+   // Transactions are identified by the id on the response every write returns (tx.id)
+   getTransaction(id) {
+       return this._requireContractManager().findTransactionManager(id).getTransaction(id);
+   }
+
+   getTransactions(status) {
+       return this.contractManager ? this.contractManager.getTransactions(status) : [];
+   }
+
+   getPendingTransactions() {
+       return this.getTransactions().filter(transaction => ['pending', 'stuck'].includes(transaction.status));
+   }
+
+   // Without confirmations or timeoutMs, the ones given to the write or config.transactions apply
+   async waitForTransaction(id, confirmations = null, timeoutMs = null) {
+       const contractManager = this._requireContractManager();
+       const transactionManager = contractManager.findTransactionManager(id);
+       try {
+           return await transactionManager.wait(id, confirmations, timeoutMs);
+       } catch (error) {
+           const {contract, method, args} = transactionManager.getTransaction(id) || {};
+           throw await contractManager.decodeMinedRevert(error, {contract, method, args});
+       }
+   }
+
+   // Resends with the same nonce and higher fees
+   speedUpTransaction(id, options = {}) {
+       return this._requireContractManager().findTransactionManager(id).speedUp(id, options);
+   }
+
+   cancelTransaction(id, options = {}) {
+       return this._requireContractManager().findTransactionManager(id).cancel(id, options);
+   }
+
+   // For a transaction recovered as 'unknown': the hash it was sent under tracks it again, no hash drops it
+   reconcileTransaction(id, hash = null) {
+       return this._requireContractManager().findTransactionManager(id).reconcile(id, hash);
+   }
+
+   // Broadcasts a transaction signed outside the SDK and tracks it; calls to loaded contracts get decoded receipts
+   async submitSignedTransaction(rawTransaction, meta = {}) {
+       await this.ensureInitialized();
+       return this.contractManager.submitSignedTransaction(rawTransaction, meta);
+   }
+
+   // Fees the given strategy (default: the configured one) would pay right now
+   async getGasFees(strategy) {
+       await this.ensureInitialized();
+       return this.contractManager.gasPricer.getFees(strategy);
+   }
+
+   setGasStrategy(strategy) {
+       this._requireContractManager().gasPricer.setStrategy(strategy);
+       return this;
+   }
+
+   registerGasStrategy(name, strategy) {
+       this._requireContractManager().gasPricer.registerStrategy(name, strategy);
+       return this;
+   }
+
+   _requireContractManager() {
+       if (!this.contractManager) {
+           throw new Error('DEX Client is not initialized');
+       }
+       return this.contractManager;
+   }
+
    async validateContracts() {
        await this.ensureInitialized();
        return this.contractManager.validateAllContracts();
@@ -172,11 +672,32 @@ class DexClient {
        }
    }
 
+   isReadOnly() {
+       return !this.signer;
+   }
+
+   setWatchAddress(address) {
+       const {ethers} = require('ethers');
+       if (address !== null && !ethers.isAddress(address)) {
+           const error = new Error(`Invalid watch address: ${address}`);
+           error.code = CONSTANTS.ERRORS.INVALID_ADDRESS;
+           throw error;
+       }
+       this.watchAddress = address === null ? null : ethers.getAddress(address);
+       if (this.contractManager) {
+           this.contractManager.watchAddress = this.watchAddress;
+       }
+   }
+
+   // The signer's address, or the watched address while the client is read-only
    async getUserAddress() {
-       if (!this.signer) {
-           throw new Error('Signer not connected');
+       if (this.signer) {
+           return this.signer.getAddress();
        }
-       return this.signer.getAddress();
+       if (this.watchAddress) {
+           return this.watchAddress;
+       }
+       throw new SignerRequiredError('No user address: the client is read-only. Pass an address explicitly, set watchAddress or connect a signer');
    }
 
    async executeModule(moduleName, methodName, ...args) {
@@ -194,14 +715,15 @@ class DexClient {
        const config = this.configManager.getConfig();
        const contractAddresses = this.contractManager.getAllAddresses();
 
-       console.log('\n🎯 DEX CLIENT INFO');
-       console.log(' Network:', config.network);
-       console.log(' Chain ID:', config.chainId);
-       console.log(' Contracts:', Object.keys(contractAddresses).length);
-       console.log(' Tokens:', Object.keys(config.tokens).length);
-       console.log(' Modules:', this.modules.size);
-       console.log(' Signer:', this.signer ? '✅ Connected' : '❌ Not connected');
-       console.log(' Status: ✅ Ready\n');
+       this.logger.info('DEX Client ready', {
+           network: config.network,
+           chainId: config.chainId,
+           contracts: Object.keys(contractAddresses).length,
+           tokens: Object.keys(config.tokens).length,
+           modules: this.moduleRegistry.getLoadedNames(),
+           signer: !!this.signer,
+           readOnly: this.isReadOnly()
+       });
    }
 
    async ensureInitialized() {
@@ -211,10 +733,28 @@ class DexClient {
    }
 
    dispose() {
-       this.modules.clear();
+       this._stopBlockWatch();
+       this.systemPaused = null;
+       this.configManager.unwatch();
+       this.configManager.off('configChanged', this._onConfigChanged);
+       for (const session of this.sessions.values()) {
+           session.dispose();
+       }
+       this.sessions.clear();
+       this.moduleRegistry.disposeAll();
+       if (this.contractManager) {
+           this.contractManager.unwatchImplementations();
+           this.contractManager.disposeTransactionManagers();
+       }
        this.contractManager = null;
+       if (this.ownsProvider && this.provider) {
+           this.provider.destroy();
+           this.provider = null;
+           this.ownsProvider = false;
+       }
        this.initialized = false;
-       console.log('🗑️ DEX Client disposed');
+       this.logger.info('DEX Client disposed');
+       this._notify('disposed', {});
    }
 }
 
@@ -0,0 +1,284 @@
+const {ethers} = require('ethers');
+const CONSTANTS = require('../utils/constants');
+const Logger = require('../utils/Logger');
+
+const DEFAULT_OPTIONS = {
+    requestTimeoutMs: CONSTANTS.TIMEOUTS.NETWORK_REQUEST_TIMEOUT_MS,
+    maxConsecutiveFailures: 3,
+    cooldownMs: 30000,
+    quorum: 2,
+    quorumSize: 3
+};
+
+// Answers about the request itself that any healthy endpoint would give; everything else
+// (timeouts, HTTP errors, refused connections, garbage responses) fails over to the next endpoint
+const REQUEST_ERROR_CODES = [
+    'CALL_EXCEPTION',
+    'INSUFFICIENT_FUNDS',
+    'NONCE_EXPIRED',
+    'REPLACEMENT_UNDERPRICED',
+    'TRANSACTION_REPLACED',
+    'INVALID_ARGUMENT',
+    'MISSING_ARGUMENT',
+    'UNEXPECTED_ARGUMENT',
+    'NUMERIC_FAULT',
+    'ACTION_REJECTED',
+    'UNCONFIGURED_NAME'
+];
+
+// Latency weight in the score: an endpoint answering in 1s loses 10 points against an instant one
+const LATENCY_PENALTY_PER_SECOND = 10;
+
+class FailoverProvider extends ethers.AbstractProvider {
+    constructor(rpcUrls, network, options = {}) {
+        const staticNetwork = ethers.Network.from(network);
+        super(staticNetwork);
+
+        if (!Array.isArray(rpcUrls) || rpcUrls.length === 0) {
+            throw new Error('FailoverProvider needs at least one RPC URL');
+        }
+
+        const {logger, ...providerOptions} = options;
+        this.options = {...DEFAULT_OPTIONS, ...providerOptions};
+        this.logger = logger || Logger.getDefault().child('FailoverProvider');
+        this.staticNetwork = staticNetwork;
+        this.endpoints = rpcUrls.map((url, index) => ({
+            url,
+            priority: index,
+            provider: new ethers.JsonRpcProvider(url, staticNetwork, {staticNetwork}),
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            latencyMs: null,
+            blockNumber: null,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null,
+            unhealthyUntil: 0,
+            wrongChain: false
+        }));
+    }
+
+    async _detectNetwork() {
+        return this.staticNetwork;
+    }
+
+    async _perform(req) {
+        let lastError;
+
+        for (const endpoint of this.getOrderedEndpoints()) {
+            try {
+                return await this._performOn(endpoint, req);
+            } catch (error) {
+                lastError = error;
+                if (!this.isFailoverError(error)) {
+                    throw error;
+                }
+                this.logger.warn(`RPC ${FailoverProvider.redactUrl(endpoint.url)} failed on ${req.method}, trying next endpoint`, {error});
+            }
+        }
+
+        throw lastError || new Error('No RPC endpoint available');
+    }
+
+    // Raw JSON-RPC for methods ethers has no request type for (e.g. eth_feeHistory), with the same failover
+    send(method, params = []) {
+        return this._perform({method: 'send', rpcMethod: method, params});
+    }
+
+    // Sends the call to several endpoints and only returns data at least `quorum` of them agree on
+    async quorumCall(transaction, options = {}) {
+        const candidates = this.getOrderedEndpoints().filter(endpoint => !endpoint.wrongChain);
+        const quorum = Math.min(options.quorum || this.options.quorum, candidates.length);
+        const targets = candidates.slice(0, Math.max(quorum, options.quorumSize || this.options.quorumSize));
+
+        const request = {method: 'call', transaction: ethers.copyRequest(transaction), blockTag: 'latest'};
+        const responses = await Promise.allSettled(targets.map(endpoint => this._performOn(endpoint, request)));
+
+        const votes = new Map();
+        const errors = [];
+        responses.forEach((response, index) => {
+            if (response.status === 'rejected') {
+                errors.push(`${FailoverProvider.redactUrl(targets[index].url)}: ${response.reason.code || response.reason.message}`);
+                return;
+            }
+            const key = String(response.value).toLowerCase();
+            votes.set(key, {value: response.value, count: (votes.get(key)?.count || 0) + 1});
+        });
+
+        const best = [...votes.values()].sort((a, b) => b.count - a.count)[0];
+        if (best && best.count >= quorum) {
+            return best.value;
+        }
+
+        // A revert every endpoint agrees on is a real answer, not a quorum problem
+        const reverted = responses.filter(response => response.status === 'rejected' && !this.isFailoverError(response.reason));
+        if (reverted.length >= quorum) {
+            throw reverted[0].reason;
+        }
+
+        const error = new Error(
+            `RPC quorum not reached: ${best ? best.count : 0}/${quorum} matching answers ` +
+            `from ${targets.length} endpoint(s)${errors.length > 0 ? ` (${errors.join(', ')})` : ''}`
+        );
+        error.code = CONSTANTS.ERRORS.NETWORK_ERROR;
+        throw error;
+    }
+
+    async _performOn(endpoint, req) {
+        const startedAt = Date.now();
+        endpoint.requests++;
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reject(ethers.makeError(`RPC request timed out after ${this.options.requestTimeoutMs}ms`, 'TIMEOUT', {
+                    operation: req.method
+                }));
+            }, this.options.requestTimeoutMs);
+        });
+
+        try {
+            const request = req.method === 'send'
+                ? endpoint.provider.send(req.rpcMethod, req.params)
+                : endpoint.provider._perform(req);
+            const result = await Promise.race([request, timeout]);
+            this._recordSuccess(endpoint, Date.now() - startedAt);
+            if (req.method === 'getBlockNumber') {
+                endpoint.blockNumber = Number(result);
+            }
+            return result;
+        } catch (error) {
+            if (this.isFailoverError(error)) {
+                this._recordFailure(endpoint, error);
+            } else {
+                // Reverts and nonce errors are valid answers from a working endpoint
+                this._recordSuccess(endpoint, Date.now() - startedAt);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _recordSuccess(endpoint, latencyMs) {
+        endpoint.successes++;
+        endpoint.consecutiveFailures = 0;
+        endpoint.unhealthyUntil = 0;
+        endpoint.lastSuccessAt = Date.now();
+        endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    _recordFailure(endpoint, error) {
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = error.shortMessage || error.message;
+        endpoint.lastErrorAt = Date.now();
+
+        if (endpoint.consecutiveFailures >= this.options.maxConsecutiveFailures) {
+            endpoint.unhealthyUntil = Date.now() + this.options.cooldownMs;
+            this.logger.warn(`RPC ${FailoverProvider.redactUrl(endpoint.url)} marked unhealthy`, {
+                cooldownMs: this.options.cooldownMs,
+                consecutiveFailures: endpoint.consecutiveFailures
+            });
+        }
+    }
+
+    isFailoverError(error) {
+        return !!error && !REQUEST_ERROR_CODES.includes(error.code);
+    }
+
+    isHealthy(endpoint) {
+        return !endpoint.wrongChain && endpoint.unhealthyUntil <= Date.now();
+    }
+
+    getScore(endpoint) {
+        if (endpoint.wrongChain) {
+            return 0;
+        }
+        const successRate = endpoint.requests > 0 ? endpoint.successes / endpoint.requests : 1;
+        const latencyPenalty = ((endpoint.latencyMs || 0) / 1000) * LATENCY_PENALTY_PER_SECOND;
+        const score = successRate * 100 - latencyPenalty - endpoint.consecutiveFailures * 10;
+        return Math.max(0, Math.min(100, Math.round(score)));
+    }
+
+    // Healthy endpoints by score (config order breaks ties), then the ones cooling down as a last resort
+    getOrderedEndpoints() {
+        const byScore = (a, b) => this.getScore(b) - this.getScore(a) || a.priority - b.priority;
+        const healthy = this.endpoints.filter(endpoint => this.isHealthy(endpoint)).sort(byScore);
+        const cooling = this.endpoints
+            .filter(endpoint => !this.isHealthy(endpoint) && !endpoint.wrongChain)
+            .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+        return [...healthy, ...cooling];
+    }
+
+    // Probes every endpoint once: chain id, head block and latency
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            try {
+                const chainId = await this._performOn(endpoint, {method: 'chainId'});
+                if (BigInt(chainId) !== this.staticNetwork.chainId) {
+                    endpoint.wrongChain = true;
+                    endpoint.lastError = `Endpoint is on chain ${BigInt(chainId)}, expected ${this.staticNetwork.chainId}`;
+                    this.logger.warn(`RPC ${FailoverProvider.redactUrl(endpoint.url)} ignored: ${endpoint.lastError}`);
+                    return;
+                }
+                await this._performOn(endpoint, {method: 'getBlockNumber'});
+            } catch (error) {
+                // Already recorded by _performOn
+            }
+        }));
+        return this.getHealth();
+    }
+
+    // For configs that name no chain: endpoints found on another chain go back into rotation
+    acceptOtherChains() {
+        for (const endpoint of this.endpoints) {
+            endpoint.wrongChain = false;
+        }
+    }
+
+    getHealth() {
+        const headBlock = Math.max(0, ...this.endpoints.map(endpoint => endpoint.blockNumber || 0));
+
+        return {
+            managed: true,
+            quorum: Math.min(this.options.quorum, this.endpoints.length),
+            healthyEndpoints: this.endpoints.filter(endpoint => this.isHealthy(endpoint)).length,
+            endpoints: this.endpoints.map(endpoint => ({
+                url: FailoverProvider.redactUrl(endpoint.url),
+                healthy: this.isHealthy(endpoint),
+                wrongChain: endpoint.wrongChain,
+                score: this.getScore(endpoint),
+                latencyMs: endpoint.latencyMs,
+                requests: endpoint.requests,
+                failures: endpoint.failures,
+                consecutiveFailures: endpoint.consecutiveFailures,
+                blockNumber: endpoint.blockNumber,
+                blocksBehind: endpoint.blockNumber === null ? null : headBlock - endpoint.blockNumber,
+                lastError: endpoint.lastError,
+                lastErrorAt: endpoint.lastErrorAt ? new Date(endpoint.lastErrorAt).toISOString() : null,
+                lastSuccessAt: endpoint.lastSuccessAt ? new Date(endpoint.lastSuccessAt).toISOString() : null
+            }))
+        };
+    }
+
+    // API keys usually live in the path or query string, only the origin is reported
+    static redactUrl(url) {
+        try {
+            return new URL(url).origin;
+        } catch {
+            return '[invalid url]';
+        }
+    }
+
+    destroy() {
+        for (const endpoint of this.endpoints) {
+            endpoint.provider.destroy();
+        }
+        super.destroy();
+    }
+}
+
+module.exports = FailoverProvider;
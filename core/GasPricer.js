@@ -0,0 +1,251 @@
+const {ethers} = require('ethers');
+const CONSTANTS = require('../utils/constants');
+const Logger = require('../utils/Logger');
+const {GasCapExceededError} = require('../utils/errors');
+
+const DEFAULT_OPTIONS = {
+    strategy: 'standard',
+    gasLimitMultiplier: 1.2,
+    maxGasPriceGwei: CONSTANTS.LIMITS.MAX_GAS_PRICE_GWEI,
+    maxGasLimit: CONSTANTS.LIMITS.MAX_GAS_LIMIT,
+    // Recent blocks sampled by the percentile strategies
+    blocks: 20,
+    // The max fee covers this many times the next base fee, enough for several full blocks in a row
+    baseFeeMultiplier: 2
+};
+
+// Priority fee percentile of recent blocks each speed pays; chains without EIP-1559 scale gasPrice instead
+const SPEEDS = {
+    slow: {percentile: 10, gasPriceMultiplier: 0.9},
+    standard: {percentile: 50, gasPriceMultiplier: 1},
+    fast: {percentile: 90, gasPriceMultiplier: 1.25}
+};
+
+// Fees and gas limits for every write. A strategy is a speed name, a registered name,
+// {type: 'percentile', percentile, blocks}, {type: 'fixed', ...fees in gwei} or a function returning fees
+class GasPricer {
+    constructor(provider, options = {}) {
+        const {logger, ...pricerOptions} = options;
+        this.provider = provider;
+        this.options = {...DEFAULT_OPTIONS, ...pricerOptions};
+        this.logger = logger || Logger.getDefault().child('GasPricer');
+        this.strategies = new Map();
+        this.feeHistorySupported = null;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+        this.feeHistorySupported = null;
+    }
+
+    setStrategy(strategy) {
+        this.resolveStrategy(strategy);
+        this.options.strategy = strategy;
+    }
+
+    registerStrategy(name, strategy) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Gas strategy name must be a non-empty string');
+        }
+        if (name in SPEEDS) {
+            throw new Error(`Gas strategy ${name} is built in`);
+        }
+        if (typeof strategy !== 'function' && (!strategy || typeof strategy !== 'object')) {
+            throw new Error(`Gas strategy ${name} must be a function or a strategy object`);
+        }
+        this.strategies.set(name, strategy);
+        return this;
+    }
+
+    getMaxGasPrice() {
+        return ethers.parseUnits(String(this.options.maxGasPriceGwei), 'gwei');
+    }
+
+    getMaxGasLimit() {
+        return BigInt(this.options.maxGasLimit);
+    }
+
+    resolveStrategy(strategy = this.options.strategy) {
+        if (typeof strategy === 'function') {
+            return {type: 'custom', name: strategy.name || 'custom', fn: strategy};
+        }
+        if (typeof strategy === 'string') {
+            if (SPEEDS[strategy]) {
+                return {type: 'percentile', name: strategy, ...SPEEDS[strategy]};
+            }
+            if (this.strategies.has(strategy)) {
+                return {...this.resolveStrategy(this.strategies.get(strategy)), name: strategy};
+            }
+            throw new Error(`Unknown gas strategy: ${strategy}`);
+        }
+        if (!strategy || typeof strategy !== 'object') {
+            throw new Error('Gas strategy must be a name, an object or a function');
+        }
+
+        if (strategy.type === 'percentile') {
+            const percentile = Number(strategy.percentile);
+            if (!(percentile >= 0 && percentile <= 100)) {
+                throw new Error(`Gas strategy percentile must be between 0 and 100, got ${strategy.percentile}`);
+            }
+            return {name: `p${percentile}`, gasPriceMultiplier: 1, ...strategy, percentile};
+        }
+        if (strategy.type === 'fixed') {
+            if (strategy.gasPrice === undefined && strategy.maxFeePerGas === undefined) {
+                throw new Error('Fixed gas strategy needs gasPrice or maxFeePerGas');
+            }
+            return {name: 'fixed', ...strategy};
+        }
+        throw new Error(`Unknown gas strategy type: ${strategy.type}`);
+    }
+
+    // Fees the strategy picks right now, clamped to the price cap
+    async getFees(strategy = this.options.strategy) {
+        const resolved = this.resolveStrategy(strategy);
+        let fees;
+
+        if (resolved.type === 'custom') {
+            fees = GasPricer.normalizeFees(await resolved.fn({provider: this.provider, pricer: this}));
+        } else if (resolved.type === 'fixed') {
+            fees = GasPricer.normalizeFees(resolved, 'gwei');
+        } else {
+            fees = await this._percentileFees(resolved);
+        }
+
+        return {...this._clamp(fees), strategy: resolved.name};
+    }
+
+    async _percentileFees({percentile, blocks = this.options.blocks, gasPriceMultiplier}) {
+        const history = await this._getFeeHistory(blocks, percentile);
+        if (history) {
+            const rewards = history.reward.map(reward => BigInt(reward[0] || 0)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            const maxPriorityFeePerGas = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+            const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            return {
+                maxFeePerGas: nextBaseFee * BigInt(this.options.baseFeeMultiplier) + maxPriorityFeePerGas,
+                maxPriorityFeePerGas
+            };
+        }
+
+        // No fee history: scale what the node suggests
+        const feeData = await this.provider.getFeeData();
+        const scale = value => value * BigInt(Math.round(gasPriceMultiplier * 100)) / 100n;
+        if (feeData.maxFeePerGas === null) {
+            return {gasPrice: scale(feeData.gasPrice || 0n)};
+        }
+        const maxPriorityFeePerGas = scale(feeData.maxPriorityFeePerGas || 0n);
+        return {
+            maxFeePerGas: feeData.maxFeePerGas - (feeData.maxPriorityFeePerGas || 0n) + maxPriorityFeePerGas,
+            maxPriorityFeePerGas
+        };
+    }
+
+    // eth_feeHistory over the last `blocks` blocks, or null when the chain has no base fee or the node lacks the method
+    async _getFeeHistory(blocks, percentile) {
+        if (this.feeHistorySupported === false || typeof this.provider.send !== 'function') {
+            return null;
+        }
+        try {
+            const history = await this.provider.send('eth_feeHistory', [ethers.toQuantity(blocks), 'latest', [percentile]]);
+            const baseFees = history && history.baseFeePerGas;
+            if (!baseFees || baseFees.length === 0 || !Array.isArray(history.reward) || BigInt(baseFees[baseFees.length - 1]) === 0n) {
+                this.feeHistorySupported = false;
+                return null;
+            }
+            this.feeHistorySupported = true;
+            return history;
+        } catch (error) {
+            this.logger.debug('eth_feeHistory unavailable, using getFeeData', {error});
+            this.feeHistorySupported = false;
+            return null;
+        }
+    }
+
+    _clamp(fees) {
+        const cap = this.getMaxGasPrice();
+        const clamped = {...fees};
+        for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+            if (clamped[field] !== undefined && clamped[field] > cap) {
+                this.logger.warn(`Gas strategy picked ${field} ${ethers.formatUnits(clamped[field], 'gwei')} gwei, capped at ${this.options.maxGasPriceGwei} gwei`);
+                clamped[field] = cap;
+            }
+        }
+        if (clamped.maxPriorityFeePerGas !== undefined && clamped.maxPriorityFeePerGas > clamped.maxFeePerGas) {
+            clamped.maxPriorityFeePerGas = clamped.maxFeePerGas;
+        }
+        return clamped;
+    }
+
+    // Fees or limits set by the caller are never lowered silently; anything over the caps is refused
+    enforceCaps(request, context = {}) {
+        const cap = this.getMaxGasPrice();
+        for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+            if (request[field] !== undefined && request[field] !== null && BigInt(request[field]) > cap) {
+                throw new GasCapExceededError(
+                    `${field} ${ethers.formatUnits(request[field], 'gwei')} gwei exceeds the ${this.options.maxGasPriceGwei} gwei cap`,
+                    context
+                );
+            }
+        }
+        if (request.gasLimit !== undefined && request.gasLimit !== null && BigInt(request.gasLimit) > this.getMaxGasLimit()) {
+            throw new GasCapExceededError(
+                `Gas limit ${request.gasLimit} exceeds the ${this.options.maxGasLimit} cap`,
+                context
+            );
+        }
+        return request;
+    }
+
+    applyMultiplier(gasEstimate, multiplier = this.options.gasLimitMultiplier) {
+        const padded = BigInt(gasEstimate) * BigInt(Math.round(multiplier * 100)) / 100n;
+        const cap = this.getMaxGasLimit();
+        return padded > cap ? cap : padded;
+    }
+
+    // Fills in fees and gas limit for a populated request; options.strategy and options.gasLimitMultiplier apply to this call only
+    async prepare(request, signer, options = {}, context = {}) {
+        const prepared = await this.withFees(request, options.strategy, context);
+        if (prepared.gasLimit == null) {
+            prepared.gasLimit = await this.estimateGasLimit(request, signer, options.gasLimitMultiplier, context);
+        }
+        return prepared;
+    }
+
+    async withFees(request, strategy = this.options.strategy, context = {}) {
+        const prepared = this.enforceCaps({...request}, context);
+        if (prepared.gasPrice == null && prepared.maxFeePerGas == null) {
+            const {gasPrice, maxFeePerGas, maxPriorityFeePerGas} = await this.getFees(strategy);
+            Object.assign(prepared, gasPrice !== undefined ? {gasPrice} : {maxFeePerGas, maxPriorityFeePerGas});
+        }
+        return prepared;
+    }
+
+    // estimator is a signer or a provider; the estimate is padded by the multiplier and capped
+    async estimateGasLimit(request, estimator, multiplier = this.options.gasLimitMultiplier, context = {}) {
+        const gasEstimate = await estimator.estimateGas(request);
+        if (gasEstimate > this.getMaxGasLimit()) {
+            throw new GasCapExceededError(
+                `Estimated gas ${gasEstimate} exceeds the ${this.options.maxGasLimit} cap`,
+                context
+            );
+        }
+        return this.applyMultiplier(gasEstimate, multiplier || this.options.gasLimitMultiplier);
+    }
+
+    // Fixed strategies give gwei as numbers or strings; bigints are always wei
+    static normalizeFees(fees, unit = 'wei') {
+        const toWei = value => (typeof value === 'bigint' ? value : ethers.parseUnits(String(value), unit));
+        if (!fees || (fees.gasPrice == null && fees.maxFeePerGas == null)) {
+            throw new Error('Gas strategy must return gasPrice or maxFeePerGas');
+        }
+        if (fees.maxFeePerGas != null) {
+            const maxFeePerGas = toWei(fees.maxFeePerGas);
+            const maxPriorityFeePerGas = fees.maxPriorityFeePerGas != null ? toWei(fees.maxPriorityFeePerGas) : 0n;
+            return {maxFeePerGas, maxPriorityFeePerGas};
+        }
+        return {gasPrice: toWei(fees.gasPrice)};
+    }
+}
+
+GasPricer.SPEEDS = SPEEDS;
+
+module.exports = GasPricer;
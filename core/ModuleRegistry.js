@@ -0,0 +1,236 @@
+const CONSTANTS = require('../utils/constants');
+const Logger = require('../utils/Logger');
+
+// Keeps module definitions apart from loaded instances so modules can be registered before the
+// client is initialized, loaded after their dependencies, or only on first use
+class ModuleRegistry {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.disableIncompatible = !!options.disableIncompatible;
+        this.logger = options.logger || Logger.getDefault().child('ModuleRegistry');
+        this.definitions = new Map();
+        this.instances = new Map();
+        this.loaded = new Map();
+        this.disabled = new Map();
+    }
+
+    // module is a BaseModule subclass, an instance, or a factory receiving the client
+    register(name, module, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Module name must be a non-empty string');
+        }
+        if (!module) {
+            throw new Error(`Module instance required for ${name}`);
+        }
+        if (this.definitions.has(name)) {
+            throw new Error(`Module ${name} is already registered`);
+        }
+
+        const declared = typeof module === 'function' ? module : module.constructor;
+        this.definitions.set(name, {
+            name,
+            module,
+            dependencies: options.dependencies || declared.DEPENDENCIES || [],
+            lazy: !!options.lazy
+        });
+        return this.definitions.get(name);
+    }
+
+    has(name) {
+        return this.definitions.has(name) && !this.disabled.has(name);
+    }
+
+    isLoaded(name) {
+        return this.loaded.has(name);
+    }
+
+    get(name) {
+        if (this.loaded.has(name)) {
+            return this.loaded.get(name);
+        }
+        if (!this.definitions.has(name)) {
+            throw new Error(`Module not found: ${name}`);
+        }
+        if (!this.client.contractManager) {
+            throw new Error(`Module ${name} is not loaded yet, initialize the client first`);
+        }
+
+        const module = this.load(name);
+        this.logger.info(`Module ${name} loaded on first use`);
+        return module;
+    }
+
+    // Eager modules in registration order, each after its dependencies. Unless incompatible modules are
+    // disabled, every module is checked first so one error lists all ABI problems
+    loadAll() {
+        const eager = Array.from(this.definitions.values()).filter(definition => !definition.lazy);
+
+        if (!this.disableIncompatible) {
+            const incompatible = {};
+            for (const definition of eager) {
+                const issues = this.check(definition.name);
+                if (issues.length > 0) {
+                    incompatible[definition.name] = issues;
+                }
+            }
+            if (Object.keys(incompatible).length > 0) {
+                throw ModuleRegistry.createIncompatibleError('Incompatible contract ABIs', incompatible);
+            }
+        }
+
+        for (const definition of eager) {
+            try {
+                this.load(definition.name);
+            } catch (error) {
+                if (error.code !== CONSTANTS.ERRORS.INCOMPATIBLE_ABI || !this.disableIncompatible) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    load(name, path = []) {
+        if (this.loaded.has(name)) {
+            return this.loaded.get(name);
+        }
+        if (this.disabled.has(name)) {
+            throw ModuleRegistry.createIncompatibleError(`Module ${name} is disabled`, {[name]: this.disabled.get(name)});
+        }
+        if (path.includes(name)) {
+            throw new Error(`Circular module dependency: ${[...path, name].join(' → ')}`);
+        }
+
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Module not found: ${name}`);
+        }
+
+        for (const dependency of definition.dependencies) {
+            if (!this.definitions.has(dependency)) {
+                throw new Error(`Module ${name} depends on ${dependency}, which is not registered`);
+            }
+            try {
+                this.load(dependency, [...path, name]);
+            } catch (error) {
+                if (error.code !== CONSTANTS.ERRORS.INCOMPATIBLE_ABI) {
+                    throw error;
+                }
+                const issues = [{kind: 'module', name: dependency, problem: 'disabled'}];
+                if (this.disableIncompatible) {
+                    this.disable(name, issues);
+                }
+                throw ModuleRegistry.createIncompatibleError(`Module ${name} cannot be loaded`, {[name]: issues});
+            }
+        }
+
+        const issues = this.check(name);
+        if (issues.length > 0) {
+            if (this.disableIncompatible) {
+                this.disable(name, issues);
+            }
+            throw ModuleRegistry.createIncompatibleError(`Module ${name} is incompatible with the loaded ABIs`, {[name]: issues});
+        }
+
+        const instance = this.getInstance(name);
+        if (typeof instance.initialize === 'function' && !instance.initialized) {
+            instance.initialize(this.client.getModuleContext());
+        }
+        this.loaded.set(name, instance);
+        return instance;
+    }
+
+    check(name) {
+        const instance = this.getInstance(name);
+        const requirements = typeof instance.getRequirements === 'function' ? instance.getRequirements() : {};
+        return this.client.contractManager.checkRequirements(requirements);
+    }
+
+    getInstance(name) {
+        if (!this.instances.has(name)) {
+            const {module} = this.definitions.get(name);
+            let instance = module;
+            if (typeof module === 'function') {
+                instance = module.prototype && typeof module.prototype.initialize === 'function'
+                    ? new module()
+                    : module(this.client);
+            }
+            if (!instance || typeof instance !== 'object') {
+                throw new Error(`Module factory for ${name} did not return a module`);
+            }
+            this.instances.set(name, instance);
+        }
+        return this.instances.get(name);
+    }
+
+    disable(name, issues) {
+        this.disabled.set(name, issues);
+        this.logger.warn(`Module ${name} disabled:\n${ModuleRegistry.formatIssues({[name]: issues})}`, {issues});
+    }
+
+    // Calls a lifecycle hook on every loaded module in load order; one failing module does not stop the others
+    notify(hook, ...args) {
+        for (const [name, module] of this.loaded) {
+            if (typeof module[hook] !== 'function') {
+                continue;
+            }
+            try {
+                module[hook](...args);
+            } catch (error) {
+                this.logger.warn(`Module ${name} failed in ${hook}`, {error});
+            }
+        }
+    }
+
+    // Dependents go first, so a module never outlives what it depends on
+    disposeAll() {
+        for (const [name, module] of Array.from(this.loaded).reverse()) {
+            if (typeof module.dispose !== 'function') {
+                continue;
+            }
+            try {
+                module.dispose();
+            } catch (error) {
+                this.logger.warn(`Module ${name} failed to dispose`, {error});
+            }
+        }
+        this.loaded.clear();
+        this.instances.clear();
+        this.disabled.clear();
+    }
+
+    getLoadedNames() {
+        return Array.from(this.loaded.keys());
+    }
+
+    getDisabled() {
+        return Object.fromEntries(this.disabled);
+    }
+
+    static createIncompatibleError(message, incompatible) {
+        const error = new Error(`${message}:\n${ModuleRegistry.formatIssues(incompatible)}`);
+        error.code = CONSTANTS.ERRORS.INCOMPATIBLE_ABI;
+        error.incompatibleModules = incompatible;
+        return error;
+    }
+
+    static formatIssues(incompatible) {
+        const lines = [];
+        for (const [name, issues] of Object.entries(incompatible)) {
+            lines.push(`  ${name}:`);
+            for (const issue of issues) {
+                if (issue.kind === 'module') {
+                    lines.push(`    - depends on module ${issue.name}, which is disabled`);
+                } else if (issue.kind === 'contract') {
+                    lines.push(`    - contract ${issue.contract} is not configured`);
+                } else if (issue.problem === 'missing') {
+                    lines.push(`    - ${issue.kind} ${issue.contract}.${issue.name} not found in ABI`);
+                } else {
+                    lines.push(`    - ${issue.kind} ${issue.contract}.${issue.name}: expected ${issue.expected}, ABI has ${issue.found.join(', ')}`);
+                }
+            }
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = ModuleRegistry;
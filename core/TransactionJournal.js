@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+// 'unknown' entries stay until reconciled, so they are checked again on every start
+const UNSETTLED_STATUSES = ['queued', 'pending', 'stuck', 'unknown'];
+
+// Request and fee fields that are bigints in memory and decimal strings on disk
+const BIGINT_FIELDS = ['value', 'chainId', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+// JSON lines file with one line per state change of every transaction the SDK signs or submits; the last
+// line of an id wins. Lines are appended synchronously, so a hash is on disk before the send returns
+class TransactionJournal {
+    constructor(filePath, options = {}) {
+        this.path = path.resolve(filePath);
+        this.logger = options.logger || Logger.getDefault().child('TransactionJournal');
+        // Settled transactions kept when the file is compacted, on load and after every compactEvery appended lines
+        this.keepSettled = options.keepSettled !== undefined ? options.keepSettled : 1000;
+        this.compactEvery = options.compactEvery !== undefined ? options.compactEvery : 1000;
+        this.entries = new Map();
+        this.appendedLines = 0;
+        this._load();
+    }
+
+    _load() {
+        if (!fs.existsSync(this.path)) {
+            fs.mkdirSync(path.dirname(this.path), {recursive: true});
+            return;
+        }
+
+        const lines = fs.readFileSync(this.path, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                const entry = TransactionJournal.deserialize(line);
+                this.entries.set(entry.id, entry);
+            } catch (error) {
+                // A crash in the middle of an append cuts the last line short
+                this.logger.warn(`Skipping unreadable line ${index + 1} of ${this.path}`, {error});
+            }
+        });
+        this.compact();
+    }
+
+    record(entry) {
+        const line = {...entry, updatedAt: Date.now()};
+        this.entries.set(line.id, line);
+        fs.appendFileSync(this.path, TransactionJournal.serialize(line) + '\n');
+
+        // A long-running process would otherwise grow the file and the entries without bound
+        if (this.compactEvery > 0 && ++this.appendedLines >= this.compactEvery) {
+            try {
+                this.compact();
+            } catch (error) {
+                // The line is already on disk; compaction is tried again after the next append
+                this.logger.warn(`Could not compact ${this.path}`, {error});
+            }
+        }
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    getEntries(status) {
+        return Array.from(this.entries.values()).filter(entry => !status || entry.status === status);
+    }
+
+    // Left queued, pending or stuck by a process that stopped before they settled
+    getUnsettled() {
+        return this.getEntries().filter(entry => UNSETTLED_STATUSES.includes(entry.status));
+    }
+
+    // Rewrites the file with the last line of each transaction, keeping only the newest keepSettled settled ones
+    compact() {
+        const settled = this.getEntries().filter(entry => !UNSETTLED_STATUSES.includes(entry.status));
+        for (const entry of settled.slice(0, Math.max(0, settled.length - this.keepSettled))) {
+            this.entries.delete(entry.id);
+        }
+
+        const temporaryPath = `${this.path}.tmp`;
+        const content = this.getEntries().map(entry => TransactionJournal.serialize(entry) + '\n').join('');
+        fs.writeFileSync(temporaryPath, content);
+        fs.renameSync(temporaryPath, this.path);
+        this.appendedLines = 0;
+    }
+
+    static serialize(entry) {
+        return JSON.stringify(entry, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+    }
+
+    static deserialize(line) {
+        const entry = JSON.parse(line);
+        for (const fields of [entry.request, entry.fees]) {
+            for (const field of BIGINT_FIELDS) {
+                if (fields && fields[field] !== undefined && fields[field] !== null) {
+                    fields[field] = BigInt(fields[field]);
+                }
+            }
+        }
+        if (entry.gasLimit !== undefined && entry.gasLimit !== null) {
+            entry.gasLimit = BigInt(entry.gasLimit);
+        }
+        return entry;
+    }
+}
+
+module.exports = TransactionJournal;
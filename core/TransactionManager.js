@@ -0,0 +1,774 @@
+const {ethers} = require('ethers');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const CONSTANTS = require('../utils/constants');
+const Logger = require('../utils/Logger');
+const {TransactionReplacedError, TimeoutError, GasCapExceededError, UserRejectedError} = require('../utils/errors');
+
+const DEFAULT_OPTIONS = {
+    pollIntervalMs: 2000,
+    stuckAfterMs: CONSTANTS.TIMEOUTS.TRANSACTION_TIMEOUT_MS,
+    // Nodes reject a replacement that does not raise both fee fields by at least 10%
+    bumpPercent: 15,
+    // Settled transactions kept for getTransaction(); the oldest are dropped first
+    historySize: 1000,
+    // What wait() waits for unless the call says otherwise: timeoutMs until mined, then
+    // confirmationTimeoutMs for the remaining confirmations; 0 waits forever
+    confirmations: 1,
+    timeoutMs: CONSTANTS.TIMEOUTS.TRANSACTION_TIMEOUT_MS,
+    confirmationTimeoutMs: CONSTANTS.TIMEOUTS.BLOCK_CONFIRMATION_TIMEOUT_MS
+};
+
+const PENDING_STATUSES = ['pending', 'stuck'];
+
+// Raised by the signer while signing, estimating or checking the request, before it is broadcast
+const PRE_BROADCAST_CODES = ['ACTION_REJECTED', 'INVALID_ARGUMENT', 'MISSING_ARGUMENT', 'UNEXPECTED_ARGUMENT', 'CALL_EXCEPTION', 'UNSUPPORTED_OPERATION'];
+
+// Sends every transaction of one signer: nonces are assigned here instead of by the node, so concurrent
+// writes queue up instead of colliding, and a sent transaction can be sped up or cancelled by its SDK id.
+// Each stage (awaitingSignature, submitted, mined, confirmed, failed, timeout) is emitted as 'progress' and
+// passed to meta.onProgress of the transaction
+class TransactionManager extends EventEmitter {
+    constructor(signer, options = {}) {
+        super();
+        const {logger, gasPricer, provider, address, journal, ...managerOptions} = options;
+        // Without a signer the manager only tracks transactions signed elsewhere for `address`
+        this.signer = signer || null;
+        this.provider = provider || (signer ? signer.provider : null);
+        this.gasPricer = gasPricer || null;
+        // A TransactionJournal: every signed or submitted transaction is written to it and can be recovered after a restart
+        this.journal = journal || null;
+        this.options = {...DEFAULT_OPTIONS, ...managerOptions};
+        this.logger = logger || Logger.getDefault().child('TransactionManager');
+        this.records = new Map();
+        this.nextNonce = null;
+        this.queue = Promise.resolve();
+        this.monitor = null;
+        this.waiters = 0;
+        this.address = address || null;
+    }
+
+    // Resolves with the ethers TransactionResponse once broadcast; its wait() follows replacements
+    send(request, meta = {}) {
+        const record = this._createRecord(request, meta);
+        return this._enqueue(() => this._broadcast(record));
+    }
+
+    // Broadcasts a transaction signed outside the SDK (hardware wallet, multisig owner) and tracks it like
+    // the others. Only its signer can replace it, so it cannot be sped up or cancelled from here
+    submitSigned(rawTransaction, meta = {}) {
+        const transaction = ethers.Transaction.from(rawTransaction);
+        const record = this._createRecord({
+            to: transaction.to,
+            data: transaction.data,
+            value: transaction.value,
+            chainId: transaction.chainId,
+            type: transaction.type
+        }, {...meta, external: true});
+
+        return this._enqueue(async () => {
+            record.from = transaction.from;
+            let response;
+            try {
+                response = await this.provider.broadcastTransaction(rawTransaction);
+            } catch (error) {
+                this._settle(record, 'failed', null, error);
+                throw error;
+            }
+            this._recordSent(record, response, transaction.nonce);
+            // The key signing here may also send through the SDK
+            if (this.nextNonce !== null && this.address && transaction.from.toLowerCase() === this.address.toLowerCase()) {
+                this.nextNonce = Math.max(this.nextNonce, transaction.nonce + 1);
+            }
+            return this._track(response, record);
+        });
+    }
+
+    speedUp(id, options = {}) {
+        const record = this._getPendingRecord(id);
+        return this._enqueue(() => this._replace(record, {
+            to: record.request.to,
+            data: record.request.data,
+            value: record.request.value
+        }, options.bumpPercent, 'speedUp'));
+    }
+
+    // Replaces the transaction with a zero-value send to itself at the same nonce
+    cancel(id, options = {}) {
+        const record = this._getPendingRecord(id);
+        return this._enqueue(() => this._replace(record, {
+            to: record.from,
+            data: '0x',
+            value: 0n,
+            gasLimit: CONSTANTS.LIMITS.MIN_GAS_LIMIT
+        }, options.bumpPercent, 'cancel'));
+    }
+
+    // confirmations and timeoutMs default to the transaction's meta, then to the manager's options.
+    // A timeout rejects the wait only: the transaction stays tracked and can still be sped up or cancelled
+    async wait(id, confirmations = null, timeoutMs = null) {
+        const record = this.records.get(id);
+        if (!record) {
+            throw new Error(`Unknown transaction ${id}`);
+        }
+        const required = confirmations ?? record.requiredConfirmations;
+        const minedTimeout = timeoutMs ?? record.meta.timeoutMs ?? this.options.timeoutMs;
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            if (minedTimeout) {
+                timer = setTimeout(() => reject(new TimeoutError(
+                    `Transaction ${id} (${record.hash}) not mined after ${minedTimeout}ms`,
+                    {contract: record.meta.contract, method: record.meta.method}
+                )), minedTimeout);
+            }
+        });
+
+        this.waiters++;
+        this._refMonitor();
+        try {
+            const receipt = await Promise.race([record.settled, timeout]);
+            clearTimeout(timer);
+            return await this._confirm(record, receipt, required);
+        } catch (error) {
+            if (error instanceof TimeoutError) {
+                this._progress(record, 'timeout', {error: error.message});
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.waiters--;
+            this._refMonitor();
+        }
+    }
+
+    // The monitor counts confirmations; a wait for more than the transaction asked for raises its target
+    async _confirm(record, receipt, required) {
+        if (required > record.requiredConfirmations) {
+            record.requiredConfirmations = required;
+            this._startMonitor();
+        }
+        const deadline = this.options.confirmationTimeoutMs ? Date.now() + this.options.confirmationTimeoutMs : Infinity;
+        while (record.confirmations < required) {
+            if (Date.now() > deadline) {
+                throw new TimeoutError(
+                    `Transaction ${record.id} (${record.hash}) has ${record.confirmations} of ${required} confirmations after ${this.options.confirmationTimeoutMs}ms`,
+                    {contract: record.meta.contract, method: record.meta.method}
+                );
+            }
+            await new Promise(resolve => setTimeout(resolve, this.options.pollIntervalMs));
+        }
+        return receipt;
+    }
+
+    getTransaction(id) {
+        const record = this.records.get(id);
+        return record ? TransactionManager.describe(record) : null;
+    }
+
+    has(id) {
+        return this.records.has(id);
+    }
+
+    getTransactions(status) {
+        return Array.from(this.records.values())
+            .filter(record => !status || record.status === status)
+            .map(record => TransactionManager.describe(record));
+    }
+
+    getPending() {
+        return this.getTransactions().filter(record => PENDING_STATUSES.includes(record.status));
+    }
+
+    async getNextNonce() {
+        if (this.nextNonce === null) {
+            return this.signer ? this.signer.getNonce('pending') : this.provider.getTransactionCount(this.address, 'pending');
+        }
+        return this.nextNonce;
+    }
+
+    // Forgets the local nonce, e.g. after sends from the same key outside the SDK; waits for queued sends first
+    resetNonce() {
+        return this._enqueue(async () => {
+            this.nextNonce = null;
+        });
+    }
+
+    // Same account on a new provider; pending transactions stay tracked
+    setSigner(signer) {
+        this.signer = signer;
+        this.provider = signer.provider;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    _enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    _createRecord(request, meta, id = crypto.randomUUID()) {
+        let resolve;
+        let reject;
+        const settled = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        // Nobody has to wait for a transaction; the rejection is still delivered to those who do
+        settled.catch(() => {});
+
+        const record = {
+            id,
+            request: {...request},
+            meta,
+            from: null,
+            nonce: null,
+            hash: null,
+            hashes: [],
+            fees: null,
+            gasLimit: null,
+            status: 'queued',
+            replacements: 0,
+            confirmations: 0,
+            requiredConfirmations: meta.confirmations ?? this.options.confirmations,
+            cancelHash: null,
+            receipt: null,
+            error: null,
+            createdAt: Date.now(),
+            sentAt: null,
+            settled,
+            resolve,
+            reject
+        };
+        this.records.set(id, record);
+        return record;
+    }
+
+    async _broadcast(record) {
+        if (!this.address) {
+            this.address = await this.signer.getAddress();
+        }
+        record.from = this.address;
+
+        const explicitNonce = record.request.nonce !== undefined && record.request.nonce !== null;
+        for (let attempt = 0; ; attempt++) {
+            const nonce = explicitNonce ? Number(record.request.nonce) : await this._reserveNonce();
+            try {
+                // On disk before signing, so a crash while the signer works still leaves the intent and nonce
+                record.nonce = nonce;
+                this._journal(record);
+                this._progress(record, 'awaitingSignature');
+                const response = await this.signer.sendTransaction({...record.request, nonce});
+                this._recordSent(record, response, nonce);
+                return this._track(response, record);
+            } catch (error) {
+                // The nonce is only free again when the signer failed before anything reached the node;
+                // otherwise the node may hold it and is asked for the next nonce again
+                if (!explicitNonce && !TransactionManager.isPreBroadcastError(error)) {
+                    this.nextNonce = null;
+                } else if (!explicitNonce && this.nextNonce === nonce + 1) {
+                    this.nextNonce = nonce;
+                }
+                // Someone else used the nonce: read it from the node again and retry once
+                if (!explicitNonce && attempt === 0 && TransactionManager.isNonceError(error)) {
+                    this.logger.warn(`Nonce ${nonce} already used, resyncing with the node`);
+                    this.nextNonce = null;
+                    continue;
+                }
+                this._settle(record, 'failed', null, error);
+                throw error;
+            }
+        }
+    }
+
+    async _reserveNonce() {
+        if (this.nextNonce === null) {
+            this.nextNonce = await this.signer.getNonce('pending');
+        }
+        return this.nextNonce++;
+    }
+
+    _recordSent(record, response, nonce) {
+        record.nonce = nonce;
+        record.hash = response.hash;
+        record.hashes.push(response.hash);
+        record.gasLimit = response.gasLimit;
+        record.fees = TransactionManager.feesOf(response);
+        record.request = {
+            ...record.request,
+            to: response.to,
+            data: response.data,
+            value: response.value,
+            chainId: response.chainId,
+            type: response.type
+        };
+        record.status = 'pending';
+        record.sentAt = Date.now();
+        this._journal(record);
+
+        this.logger.info(`Sent ${TransactionManager.label(record)}`, {id: record.id, hash: record.hash, nonce});
+        this.emit('sent', TransactionManager.describe(record));
+        this._progress(record, 'submitted');
+        this._startMonitor();
+    }
+
+    async _replace(record, request, bumpPercent = this.options.bumpPercent, kind) {
+        if (!PENDING_STATUSES.includes(record.status)) {
+            throw new Error(`Transaction ${record.id} is already ${record.status}`);
+        }
+
+        const fees = await this._bumpFees(record.fees, bumpPercent);
+        // A replacement must outbid the original, so a bump over the cap fails instead of being clamped
+        if (this.gasPricer) {
+            this.gasPricer.enforceCaps(fees, {contract: record.meta.contract, method: record.meta.method});
+        }
+        this._progress(record, 'awaitingSignature', {replacement: kind});
+        const response = await this.signer.sendTransaction({
+            gasLimit: record.gasLimit,
+            chainId: record.request.chainId,
+            type: record.request.type,
+            ...request,
+            ...fees,
+            nonce: record.nonce
+        });
+
+        record.hash = response.hash;
+        record.hashes.push(response.hash);
+        record.fees = TransactionManager.feesOf(response);
+        record.replacements++;
+        record.sentAt = Date.now();
+        record.status = 'pending';
+        if (kind === 'cancel') {
+            record.cancelHash = response.hash;
+        } else {
+            record.gasLimit = response.gasLimit;
+        }
+        this._journal(record);
+
+        this.logger.info(`${kind === 'cancel' ? 'Cancelling' : 'Sped up'} ${TransactionManager.label(record)}`, {
+            id: record.id,
+            hash: response.hash,
+            nonce: record.nonce
+        });
+        this.emit('replaced', {...TransactionManager.describe(record), kind});
+        this._progress(record, 'submitted', {replacement: kind});
+        return this._track(response, record);
+    }
+
+    async _bumpFees(fees, bumpPercent) {
+        const feeData = await this.provider.getFeeData();
+        const bump = value => BigInt(value || 0) * BigInt(100 + bumpPercent) / 100n;
+        const max = (a, b) => (a > b ? a : b);
+
+        if (fees.gasPrice !== null && fees.maxFeePerGas === null) {
+            return {gasPrice: max(bump(fees.gasPrice), feeData.gasPrice || 0n)};
+        }
+        return {
+            maxFeePerGas: max(bump(fees.maxFeePerGas), feeData.maxFeePerGas || 0n),
+            maxPriorityFeePerGas: max(bump(fees.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas || 0n)
+        };
+    }
+
+    // wait() on the response resolves with whichever of the transaction's hashes gets mined
+    _track(response, record) {
+        response.id = record.id;
+        response.wait = (confirmations, timeoutMs) => this.wait(record.id, confirmations, timeoutMs);
+        return response;
+    }
+
+    _getPendingRecord(id) {
+        const record = this.records.get(id);
+        if (!record) {
+            throw new Error(`Unknown transaction ${id}`);
+        }
+        if (!PENDING_STATUSES.includes(record.status) && record.status !== 'queued') {
+            throw new Error(`Transaction ${id} is already ${record.status}`);
+        }
+        if (record.meta.external || !this.signer) {
+            throw new Error(`Transaction ${id} from ${record.from} was not signed by a signer of this client, replace it with the signer that created it`);
+        }
+        return record;
+    }
+
+    _startMonitor() {
+        if (this.monitor) {
+            return;
+        }
+        this.monitor = setInterval(() => {
+            this.poll().catch(error => this.logger.warn('Transaction monitor failed', {error}));
+        }, this.options.pollIntervalMs);
+        this._refMonitor();
+    }
+
+    // The monitor keeps the process alive only while someone waits for a transaction
+    _refMonitor() {
+        if (!this.monitor || !this.monitor.ref) {
+            return;
+        }
+        if (this.waiters > 0) {
+            this.monitor.ref();
+        } else {
+            this.monitor.unref();
+        }
+    }
+
+    _stopMonitor() {
+        if (this.monitor) {
+            clearInterval(this.monitor);
+            this.monitor = null;
+        }
+    }
+
+    // One pass over pending transactions: settles mined ones, notices nonces taken by unknown
+    // transactions and flags the ones waiting longer than stuckAfterMs. Mined ones short of their
+    // confirmations are counted here too, so progress is reported whether or not anyone waits
+    async poll() {
+        const records = Array.from(this.records.values());
+        const pending = records.filter(record => PENDING_STATUSES.includes(record.status));
+        const confirming = records.filter(record => record.status === 'mined' && record.confirmations < record.requiredConfirmations);
+        if (pending.length === 0 && confirming.length === 0) {
+            this._stopMonitor();
+            return;
+        }
+
+        const provider = this.provider;
+        if (confirming.length > 0) {
+            const blockNumber = await provider.getBlockNumber();
+            for (const record of confirming) {
+                this._setConfirmations(record, blockNumber - record.receipt.blockNumber + 1);
+            }
+        }
+        let minedNonce = null;
+
+        for (const record of pending) {
+            const receipt = await this._findReceipt(provider, record);
+            if (receipt) {
+                this._settleMined(record, receipt);
+                continue;
+            }
+
+            if (minedNonce === null) {
+                minedNonce = await provider.getTransactionCount(record.from, 'latest');
+            }
+            if (minedNonce > record.nonce) {
+                // The receipt may have appeared since the first lookup
+                const lateReceipt = await this._findReceipt(provider, record);
+                if (lateReceipt) {
+                    this._settleMined(record, lateReceipt);
+                } else {
+                    this._settle(record, 'dropped', null, new TransactionReplacedError(
+                        `${TransactionManager.label(record)} was replaced by a transaction sent outside the SDK (nonce ${record.nonce})`,
+                        {contract: record.meta.contract, method: record.meta.method, reason: 'replaced'}
+                    ));
+                }
+                continue;
+            }
+
+            if (record.status === 'pending' && Date.now() - record.sentAt > this.options.stuckAfterMs) {
+                record.status = 'stuck';
+                this._journal(record);
+                this.logger.warn(`${TransactionManager.label(record)} is not mined after ${this.options.stuckAfterMs}ms`, {
+                    id: record.id,
+                    hash: record.hash,
+                    nonce: record.nonce
+                });
+                this.emit('stuck', TransactionManager.describe(record));
+            }
+        }
+    }
+
+    async _findReceipt(provider, record) {
+        for (const hash of [...record.hashes].reverse()) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    _settleMined(record, receipt) {
+        if (receipt.hash === record.cancelHash) {
+            this._settle(record, 'cancelled', receipt, new TransactionReplacedError(
+                `${TransactionManager.label(record)} was cancelled`,
+                {contract: record.meta.contract, method: record.meta.method, reason: 'cancelled'}
+            ));
+            return;
+        }
+        record.hash = receipt.hash;
+        if (receipt.status === 0) {
+            this._settle(record, 'failed', receipt, ethers.makeError('transaction execution reverted', 'CALL_EXCEPTION', {
+                action: 'sendTransaction',
+                data: null,
+                reason: null,
+                invocation: null,
+                revert: null,
+                transaction: {to: record.request.to, from: record.from, data: record.request.data, value: record.request.value},
+                receipt
+            }));
+            return;
+        }
+        this._settle(record, 'mined', receipt, null);
+    }
+
+    _settle(record, status, receipt, error) {
+        record.status = status;
+        record.receipt = receipt;
+        record.error = error;
+        this._journal(record);
+        if (error) {
+            record.reject(error);
+        } else {
+            record.resolve(receipt);
+        }
+        this.emit(status, TransactionManager.describe(record));
+        this._progress(record, status === 'mined' ? 'mined' : 'failed');
+        if (status === 'mined') {
+            // Being mined is the first confirmation; the monitor counts the rest
+            this._setConfirmations(record, 1);
+            if (record.requiredConfirmations > 1) {
+                this._startMonitor();
+            }
+        }
+        this._pruneHistory();
+    }
+
+    _setConfirmations(record, confirmations) {
+        const counted = Math.min(confirmations, record.requiredConfirmations);
+        if (counted > record.confirmations) {
+            record.confirmations = counted;
+            this._progress(record, 'confirmed', {confirmations: counted, requiredConfirmations: record.requiredConfirmations});
+        }
+    }
+
+    _progress(record, stage, details = {}) {
+        const event = {stage, ...TransactionManager.describe(record), receipt: record.receipt, ...details};
+        if (typeof record.meta.onProgress === 'function') {
+            try {
+                record.meta.onProgress(event);
+            } catch (error) {
+                this.logger.warn(`Progress callback for ${TransactionManager.label(record)} failed`, {error});
+            }
+        }
+        this.emit('progress', event);
+    }
+
+    // Takes over transactions a previous process left unsettled in the journal. Mined ones settle, ones the node
+    // still has are tracked again and the rest are marked dropped, so none of them is sent a second time
+    async recover(entries) {
+        const recovered = [];
+        for (const entry of entries) {
+            if (this.records.has(entry.id)) {
+                continue;
+            }
+            const record = this._restoreRecord(entry);
+            const context = {contract: record.meta.contract, method: record.meta.method};
+
+            if (record.hashes.length === 0) {
+                await this._recoverUnsent(record, context);
+            } else {
+                const receipt = await this._findReceipt(this.provider, record);
+                if (receipt) {
+                    this._settleMined(record, receipt);
+                } else if (await this._isKnown(record)) {
+                    this.logger.info(`Resumed ${TransactionManager.label(record)}`, {id: record.id, hash: record.hash});
+                    this._startMonitor();
+                } else {
+                    const replaced = (await this.provider.getTransactionCount(record.from, 'latest')) > record.nonce;
+                    this._settle(record, 'dropped', null, new TransactionReplacedError(
+                        replaced
+                            ? `${TransactionManager.label(record)} was replaced by a transaction sent outside the SDK (nonce ${record.nonce})`
+                            : `${TransactionManager.label(record)} is no longer known to the node and can be sent again`,
+                        {...context, reason: replaced ? 'replaced' : 'dropped'}
+                    ));
+                }
+            }
+            recovered.push(TransactionManager.describe(record));
+        }
+        return recovered;
+    }
+
+    // Written before signing, no hash yet: whether it went out before the process stopped shows only in the
+    // sender's nonce. A free nonce means it did not; a used one cannot be matched to this entry without a hash,
+    // so it is kept as 'unknown' until reconcile() is called with the hash, or without one to drop it
+    async _recoverUnsent(record, context) {
+        const [latest, pending] = await Promise.all([
+            this.provider.getTransactionCount(record.from, 'latest'),
+            this.provider.getTransactionCount(record.from, 'pending')
+        ]);
+        if (pending <= record.nonce) {
+            this._settle(record, 'dropped', null, new TransactionReplacedError(
+                `${TransactionManager.label(record)} was being signed when the process stopped and was never sent; nonce ${record.nonce} is still free`,
+                {...context, reason: 'interrupted'}
+            ));
+            return;
+        }
+
+        record.status = 'unknown';
+        record.error = new TransactionReplacedError(
+            `${TransactionManager.label(record)} was being signed when the process stopped and nonce ${record.nonce} is ` +
+            `${latest > record.nonce ? 'mined' : 'pending'}, possibly by this transaction; reconcile it with its hash or drop it`,
+            {...context, reason: 'unknown'}
+        );
+        this._journal(record);
+        this.logger.warn(record.error.message, {id: record.id, nonce: record.nonce});
+        this.emit('unknown', TransactionManager.describe(record));
+    }
+
+    // Settles a transaction recovered as 'unknown': with the hash it was sent under it is tracked again,
+    // without one it is marked dropped
+    reconcile(id, hash = null) {
+        const record = this.records.get(id);
+        if (!record) {
+            throw new Error(`Unknown transaction ${id}`);
+        }
+        if (record.status !== 'unknown') {
+            throw new Error(`Transaction ${id} is ${record.status}, only unknown transactions can be reconciled`);
+        }
+        if (!hash) {
+            this._settle(record, 'dropped', null, new TransactionReplacedError(
+                `${TransactionManager.label(record)} was dropped after reconciliation`,
+                {contract: record.meta.contract, method: record.meta.method, reason: 'interrupted'}
+            ));
+            return TransactionManager.describe(record);
+        }
+        record.hash = hash;
+        record.hashes.push(hash);
+        record.status = 'pending';
+        record.error = null;
+        record.sentAt = record.sentAt || Date.now();
+        this._journal(record);
+        this._startMonitor();
+        return TransactionManager.describe(record);
+    }
+
+    // Without a signer here, e.g. a sender that is no configured account, a recovered transaction is only tracked
+    _restoreRecord(entry) {
+        const record = this._createRecord(entry.request, {
+            contract: entry.contract,
+            method: entry.method,
+            args: entry.args,
+            external: entry.external || !this.signer
+        }, entry.id);
+        Object.assign(record, {
+            status: entry.status,
+            from: entry.from,
+            nonce: entry.nonce,
+            hash: entry.hash,
+            hashes: [...entry.hashes],
+            fees: entry.fees,
+            gasLimit: entry.gasLimit,
+            replacements: entry.replacements,
+            cancelHash: entry.cancelHash,
+            createdAt: entry.createdAt,
+            sentAt: entry.sentAt
+        });
+        return record;
+    }
+
+    async _isKnown(record) {
+        for (const hash of record.hashes) {
+            if (await this.provider.getTransaction(hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    _journal(record) {
+        if (!this.journal) {
+            return;
+        }
+        try {
+            this.journal.record(TransactionManager.toJournalEntry(record));
+        } catch (error) {
+            this.logger.error(`Could not write ${TransactionManager.label(record)} to the journal`, {error});
+        }
+    }
+
+    // Mined transactions still counting confirmations are kept, their waits are not resolved yet
+    _pruneHistory() {
+        const settled = Array.from(this.records.values())
+            .filter(record => !['queued', 'unknown'].includes(record.status) && !PENDING_STATUSES.includes(record.status))
+            .filter(record => record.status !== 'mined' || record.confirmations >= record.requiredConfirmations);
+        for (const record of settled.slice(0, Math.max(0, settled.length - this.options.historySize))) {
+            this.records.delete(record.id);
+        }
+    }
+
+    dispose() {
+        this._stopMonitor();
+    }
+
+    static describe(record) {
+        return {
+            id: record.id,
+            status: record.status,
+            from: record.from,
+            to: record.request.to,
+            nonce: record.nonce,
+            hash: record.hash,
+            hashes: [...record.hashes],
+            replacements: record.replacements,
+            confirmations: record.confirmations,
+            requiredConfirmations: record.requiredConfirmations,
+            contract: record.meta.contract || null,
+            method: record.meta.method || null,
+            args: record.meta.args || [],
+            external: !!record.meta.external,
+            blockNumber: record.receipt ? record.receipt.blockNumber : null,
+            error: record.error ? record.error.message : null,
+            createdAt: record.createdAt,
+            sentAt: record.sentAt
+        };
+    }
+
+    static toJournalEntry(record) {
+        return {
+            id: record.id,
+            status: record.status,
+            from: record.from,
+            nonce: record.nonce,
+            hash: record.hash,
+            hashes: [...record.hashes],
+            cancelHash: record.cancelHash,
+            replacements: record.replacements,
+            request: record.request,
+            fees: record.fees,
+            gasLimit: record.gasLimit,
+            contract: record.meta.contract || null,
+            method: record.meta.method || null,
+            args: record.meta.args || [],
+            external: !!record.meta.external,
+            error: record.error ? record.error.message : null,
+            createdAt: record.createdAt,
+            sentAt: record.sentAt
+        };
+    }
+
+    static label(record) {
+        const target = record.meta.contract && record.meta.method ? `${record.meta.contract}.${record.meta.method}` : 'transaction';
+        return record.nonce === null ? target : `${target} (nonce ${record.nonce})`;
+    }
+
+    static feesOf(response) {
+        return {
+            gasPrice: response.gasPrice ?? null,
+            maxFeePerGas: response.maxFeePerGas ?? null,
+            maxPriorityFeePerGas: response.maxPriorityFeePerGas ?? null
+        };
+    }
+
+    static isPreBroadcastError(error) {
+        return error instanceof GasCapExceededError || error instanceof UserRejectedError || PRE_BROADCAST_CODES.includes(error?.code);
+    }
+
+    static isNonceError(error) {
+        return error?.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error?.message || '');
+    }
+}
+
+module.exports = TransactionManager;
@@ -0,0 +1,48 @@
+// examples/importDeployment.js
+// Usage: node examples/importDeployment.js <run-latest.json | broadcast-dir | deployments-dir> <config.json> [--profile=name] [--keep-existing]
+const fs = require('fs');
+const {ConfigManager} = require('../index');
+
+function main() {
+    const args = process.argv.slice(2);
+    const options = Object.fromEntries(args
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, value] = arg.slice(2).split('=');
+            return [key, value === undefined ? true : value];
+        }));
+    const [source, configPath] = args.filter(arg => !arg.startsWith('--'));
+
+    if (!source || !configPath) {
+        console.error('Usage: node examples/importDeployment.js <run-latest.json | broadcast-dir | deployments-dir> <config.json> [--profile=name] [--keep-existing]');
+        process.exit(2);
+    }
+
+    if (!fs.existsSync(configPath)) {
+        ConfigManager.createDefault(configPath);
+    }
+
+    try {
+        const configManager = new ConfigManager(configPath, {profile: options.profile});
+        const result = configManager.importDeployment(source, {
+            overwrite: !options['keep-existing'],
+            save: true
+        });
+
+        for (const [name, address] of Object.entries(result.contracts)) {
+            const implementation = result.implementations[name];
+            const suffix = implementation ? ` (implementation ${implementation})` : '';
+            const skipped = result.skipped.includes(name) ? ' [kept existing]' : '';
+            console.log(`   ${name}: ${address}${suffix}${skipped}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = main;
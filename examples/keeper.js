@@ -34,7 +34,9 @@ async function main() {
  const {router, keeper, oracle} = await createSDK({
  rpcUrl: 'http://127.0.0.1:8545',
  privateKey: keeperPrivateKey,
- contracts: config.contracts
+ contracts: config.contracts,
+ // After a restart, executions still in flight are picked up instead of being sent again
+ transactions: {journalPath: './journal/keeper.jsonl'}
  });
 
  console.log("✅ SDK Keeper initialized");
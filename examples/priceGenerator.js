@@ -7,7 +7,6 @@ const TIMING_CONFIG = {
     DISPLAY_UPDATE_INTERVAL: 50000,
     PAUSE_CHECK_INTERVAL: 3000,
     INDIVIDUAL_UPDATE_DELAY: 1000,
-    NONCE_RETRY_DELAY: 2000,
     CONNECTION_RETRY_DELAY: 2000,
     VOLATILE_EVENT_DELAY: 200,
     ETH_VOLATILE_EVENT_DELAY: 30000,
@@ -75,7 +74,8 @@ class PriceGenerator {
         const {router, oracle} = await createSDK({
             rpcUrl: 'http://127.0.0.1:8545',
             privateKey: keeperPrivateKey,
-            contracts: this.config.contracts
+            contracts: this.config.contracts,
+            transactions: {journalPath: './journal/price-generator.jsonl'}
         });
 
         this.router = router;
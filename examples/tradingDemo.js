@@ -41,36 +41,25 @@ class TradingDemo {
             throw new Error("❌ Private keys not found. Set USER1_PRIVATE_KEY, USER2_PRIVATE_KEY, ANVIL_KEEPER_PRIVATE_KEY in .env");
         }
 
-        const [user1SDK, user2SDK, keeperSDK] = await Promise.all([
-            createSDK({
-                rpcUrl: 'http://127.0.0.1:8545',
-                privateKey: user1PrivateKey,
-                contracts: this.config.contracts
-            }),
-            createSDK({
-                rpcUrl: 'http://127.0.0.1:8545',
-                privateKey: user2PrivateKey,
-                contracts: this.config.contracts
-            }),
-            createSDK({
-                rpcUrl: 'http://127.0.0.1:8545',
-                privateKey: keeperPrivateKey,
-                contracts: this.config.contracts
-            })
-        ]);
-
-        this.users = {
-            user1: {sdk: user1SDK, router: user1SDK.router, address: await user1SDK.client.signer.getAddress()},
-            user2: {sdk: user2SDK, router: user2SDK.router, address: await user2SDK.client.signer.getAddress()},
-            keeper: {sdk: keeperSDK, router: keeperSDK.router, address: await keeperSDK.client.signer.getAddress()}
-        };
-
-        this.router = user1SDK.router;
-        this.oracle = user1SDK.oracle;
+        // One client for all three accounts: config, ABIs and contracts are loaded once
+        const sdk = await createSDK({
+            rpcUrl: 'http://127.0.0.1:8545',
+            privateKey: user1PrivateKey,
+            contracts: this.config.contracts,
+            accounts: {user1: user1PrivateKey, user2: user2PrivateKey, keeper: keeperPrivateKey}
+        });
+
+        for (const name of ['user1', 'user2', 'keeper']) {
+            const account = sdk.as(name);
+            this.users[name] = {sdk: account, router: account.router, address: await account.getAddress()};
+        }
+
+        this.router = this.users.user1.router;
+        this.oracle = this.users.user1.sdk.oracle;
 
         if (this.config.contracts.AccessControl) {
             try {
-                this.accessControl = user1SDK.client.contractManager.getContract('AccessControl');
+                this.accessControl = sdk.client.contractManager.getContract('AccessControl');
             } catch (error) {
                 console.log("⚠️ AccessControl not available");
             }
@@ -0,0 +1,54 @@
+// examples/validateConfig.js
+// Usage: node examples/validateConfig.js <config.json | config-dir> [...more] [--strict-contracts]
+const fs = require('fs');
+const path = require('path');
+const {validateConfig} = require('../index');
+
+function collectFiles(target) {
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+        return fs.readdirSync(target)
+            .filter(file => path.extname(file) === '.json')
+            .map(file => path.join(target, file));
+    }
+    return [target];
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const strictContracts = args.includes('--strict-contracts');
+    const targets = args.filter(arg => !arg.startsWith('--'));
+
+    if (targets.length === 0) {
+        console.error('Usage: node examples/validateConfig.js <config.json | config-dir> [...more] [--strict-contracts]');
+        process.exit(2);
+    }
+
+    let failed = 0;
+
+    for (const file of targets.flatMap(collectFiles)) {
+        const result = validateConfig(file, {strictContracts});
+
+        for (const warning of result.warnings) {
+            console.log(`⚠️  ${file} ${warning.path}: ${warning.message}`);
+        }
+
+        if (result.isValid) {
+            console.log(`✅ ${file}`);
+            continue;
+        }
+
+        failed++;
+        console.log(`❌ ${file}`);
+        for (const error of result.errors) {
+            console.log(`   ${error.path}: ${error.message}`);
+        }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = main;
@@ -2,6 +2,12 @@
 const DexClient = require('./core/DexClient');
 const ConfigManager = require('./core/ConfigManager');
 const ContractManager = require('./core/ContractManager');
+const FailoverProvider = require('./core/FailoverProvider');
+const ModuleRegistry = require('./core/ModuleRegistry');
+const AccountSession = require('./core/AccountSession');
+const TransactionManager = require('./core/TransactionManager');
+const TransactionJournal = require('./core/TransactionJournal');
+const GasPricer = require('./core/GasPricer');
 
 // Core modules
 const RouterModule = require('./modules/RouterModule');
@@ -18,13 +24,29 @@ const Calculator = require('./utils/Calculator');
 const Validator = require('./utils/Validator');
 const ContractHelpers = require('./utils/ContractHelpers');
 const ValidationHelpers = require('./utils/ValidationHelpers');
+const ConfigValidator = require('./utils/ConfigValidator');
+const ConfigInterpolator = require('./utils/ConfigInterpolator');
+const ConfigMigrator = require('./utils/ConfigMigrator');
+const DeploymentImporter = require('./utils/DeploymentImporter');
+const ErrorDecoder = require('./utils/ErrorDecoder');
+const errors = require('./utils/errors');
+const Logger = require('./utils/Logger');
 const constants = require('./utils/constants');
+const TxResult = require('./utils/TxResult');
 
 module.exports = {
     // Core classes
     DexClient,
     ConfigManager,
     ContractManager,
+    FailoverProvider,
+    ModuleRegistry,
+    AccountSession,
+    TransactionManager,
+    TransactionJournal,
+    GasPricer,
+    TxResult,
+    Logger,
 
     // Trading modules
     modules: {
@@ -44,15 +66,25 @@ module.exports = {
         Validator,
         ContractHelpers,
         ValidationHelpers,
+        ConfigValidator,
+        ConfigInterpolator,
+        ConfigMigrator,
+        DeploymentImporter,
+        ErrorDecoder,
+        Logger,
         constants
     },
 
+    // Typed errors thrown for reverted or rejected contract calls
+    errors,
+
     // Factory functions
     createClient: (config) => new DexClient(config),
-    createConfig: (configPath) => new ConfigManager(configPath),
+    createConfig: (configSource, options) => new ConfigManager(configSource, options),
     createValidator: (configManager) => new Validator(configManager),
     createFormatter: (configManager) => new Formatter(configManager),
     createCalculator: () => new Calculator(),
+    validateConfig: (configOrPath, options) => ConfigManager.validate(configOrPath, options),
 
     // Module factories
     createRouter: (context) => {
@@ -99,65 +131,61 @@ module.exports = {
 
     // Complete SDK factory
     createSDK: async (config) => {
-        let provider, signer;
-
-        if (config.rpcUrl) {
-            const {ethers} = require('ethers');
-            provider = new ethers.JsonRpcProvider(config.rpcUrl);
-        }
-
-        if (config.privateKey && provider) {
-            const {ethers} = require('ethers');
-            signer = new ethers.Wallet(config.privateKey, provider);
-        }
-
+        // The client builds a failover provider over rpcUrls and the wallet from privateKey
         const client = new DexClient({
+            config: config.config,
             configPath: config.configPath,
-            provider,
-            signer,
-            contracts: config.contracts
+            profile: config.profile,
+            validateConfig: config.validateConfig,
+            strictContracts: config.strictContracts,
+            provider: config.provider,
+            signer: config.signer,
+            privateKey: config.privateKey,
+            readOnly: config.readOnly,
+            accounts: config.accounts,
+            watchAddress: config.watchAddress,
+            rpcUrls: config.rpcUrls || (config.rpcUrl ? [config.rpcUrl] : undefined),
+            rpcOptions: config.rpcOptions,
+            quorumMethods: config.quorumMethods,
+            contracts: config.contracts,
+            watchConfig: config.watchConfig,
+            autoDiscoverTokens: config.autoDiscoverTokens,
+            persistDiscoveredTokens: config.persistDiscoveredTokens,
+            abis: config.abis,
+            artifactsPath: config.artifactsPath,
+            batchReads: config.batchReads,
+            multicallAddress: config.multicallAddress,
+            maxBatchSize: config.maxBatchSize,
+            implementationCheckInterval: config.implementationCheckInterval,
+            transactions: config.transactions,
+            gas: config.gas,
+            disableIncompatibleModules: config.disableIncompatibleModules,
+            logger: config.logger
         });
 
-        await client.initialize();
-
-        const context = {
-            provider: client.provider,
-            signer: client.signer,
-            contractManager: client.contractManager,
-            configManager: client.configManager,
-            logger: client.logger
-        };
-
-        const router = new RouterModule();
-        router.initialize(context);
-
-        const pool = new PoolModule();
-        pool.initialize(context);
-
-        const trading = new TradingModule();
-        trading.initialize(context);
-
-        const oracle = new OracleModule();
-        oracle.initialize(context);
-
-        const governance = new GovernanceModule();
-        governance.initialize(context);
-
-        const events = new EventModule();
-        events.initialize(context);
+        // GovernanceToken is optional in most deployments, so governance is only loaded when first used
+        client
+            .registerModule('router', RouterModule)
+            .registerModule('pool', PoolModule)
+            .registerModule('trading', TradingModule)
+            .registerModule('oracle', OracleModule)
+            .registerModule('governance', GovernanceModule, {lazy: true})
+            .registerModule('events', EventModule)
+            .registerModule('keeper', KeeperModule);
+
+        // Custom modules: {name: ModuleClass} or {name: {module, dependencies, lazy}}
+        for (const [name, definition] of Object.entries(config.modules || {})) {
+            if (definition && definition.module) {
+                client.registerModule(name, definition.module, definition);
+            } else {
+                client.registerModule(name, definition);
+            }
+        }
 
-        const keeper = new KeeperModule();
-        keeper.initialize(context);
+        await client.initialize();
 
-        return {
+        const sdk = {
             client,
-            router,
-            pool,
-            trading,
-            oracle,
-            governance,
-            events,
-            keeper,
             utils: {
                 formatter: new Formatter(client.configManager),
                 calculator: new Calculator(),
@@ -165,8 +193,33 @@ module.exports = {
                 contractHelpers: ContractHelpers,
                 validationHelpers: ValidationHelpers
             },
-            context
+            context: client.getModuleContext(),
+            // Modules acting as one of config.accounts
+            as: name => client.as(name)
         };
+
+        // Lazy modules load on first access; disabled ones read as null
+        const moduleNames = ['router', 'pool', 'trading', 'oracle', 'governance', 'events', 'keeper', ...Object.keys(config.modules || {})];
+        for (const name of moduleNames) {
+            if (name in sdk) {
+                continue;
+            }
+            Object.defineProperty(sdk, name, {
+                enumerable: true,
+                get: () => {
+                    try {
+                        return client.getModule(name);
+                    } catch (error) {
+                        if (client.hasModule(name)) {
+                            throw error;
+                        }
+                        return null;
+                    }
+                }
+            });
+        }
+
+        return sdk;
     },
 
     version: '2.1.0'
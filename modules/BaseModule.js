@@ -1,9 +1,13 @@
+const {DexError, SignerRequiredError} = require('../utils/errors');
+const Logger = require('../utils/Logger');
+
 class BaseModule {
     constructor(name, version = '1.0.0') {
         this.name = name;
         this.version = version;
         this.context = null;
         this.initialized = false;
+        this.logger = Logger.getDefault().child(name);
     }
 
     initialize(context) {
@@ -12,8 +16,43 @@ class BaseModule {
         }
 
         this.context = context;
+        if (context.logger) {
+            this.logger = context.logger.child(this.name);
+        }
         this.initialized = true;
-        console.log(`📦 Module ${this.name} v${this.version} initialized`);
+        this.logger.info(`Module ${this.name} v${this.version} initialized`);
+    }
+
+    // Modules cache contract instances here; called again whenever those instances are replaced
+    bindContracts() {
+    }
+
+    onConfigChanged(changes) {
+        if (!this.initialized) {
+            return;
+        }
+        this.bindContracts();
+        this.logInfo('Contracts rebound after config change');
+    }
+
+    // The client reconnects its contracts first, so cached instances only need to be fetched again
+    onSignerChanged(signer) {
+        if (!this.initialized) {
+            return;
+        }
+        this.context.signer = signer;
+        this.bindContracts();
+    }
+
+    // signer is the one reconnected to the new provider; account sessions pass their own
+    onNetworkChanged(network, provider, signer) {
+        if (!this.initialized) {
+            return;
+        }
+        this.context.provider = provider;
+        this.context.signer = signer !== undefined ? signer : this.context.signer;
+        this.bindContracts();
+        this.logInfo(`Contracts rebound for chain ${network.chainId}`);
     }
 
     getName() {
@@ -24,6 +63,11 @@ class BaseModule {
         return this.version;
     }
 
+    // Subclasses set Module.REQUIREMENTS: {Contract: {methods: {name: argCount}, events: [name], optional}}
+    getRequirements() {
+        return this.constructor.REQUIREMENTS || {};
+    }
+
     isInitialized() {
         return this.initialized;
     }
@@ -64,12 +108,20 @@ class BaseModule {
         return this.context.configManager.getToken(symbolOrAddress);
     }
 
+    // Falls back to the client's watched address, so view methods work on a read-only client
     async getUserAddress() {
         this.ensureInitialized();
-        if (!this.context.signer) {
-            throw new Error('Signer not connected');
+        if (this.context.signer) {
+            return this.context.signer.getAddress();
+        }
+        if (this.context.client && typeof this.context.client.getUserAddress === 'function') {
+            return this.context.client.getUserAddress();
         }
-        return this.context.signer.getAddress();
+        throw new SignerRequiredError(`${this.name}: no user address, connect a signer or pass an address explicitly`);
+    }
+
+    isReadOnly() {
+        return !this.context?.signer;
     }
 
     async getBalance(address, tokenAddress) {
@@ -164,7 +216,7 @@ class BaseModule {
                 return await operation();
             } catch (error) {
                 lastError = error;
-                console.warn(`${this.name}: Attempt ${attempt} failed:`, error.message);
+                this.logger.warn(`Attempt ${attempt} of ${maxRetries} failed`, {error});
 
                 if (attempt < maxRetries) {
                     await new Promise(resolve => setTimeout(resolve, delay * attempt));
@@ -179,7 +231,7 @@ class BaseModule {
         try {
             return await operation();
         } catch (error) {
-            console.warn(`${this.name}: Safe call failed:`, error.message);
+            this.logger.warn('Safe call failed', {error});
             return defaultValue;
         }
     }
@@ -207,10 +259,31 @@ class BaseModule {
             return result;
         } catch (error) {
             this.logError(`${description} failed`, error);
-            throw this.createError(`${description} failed: ${error.message}`, error.code);
+            throw this.createContractError(error, description);
         }
     }
 
+    // Every write resolves with this. Events are decoded against all loaded ABIs, so a Router call still sees
+    // what Trading or Pool emitted; payload may be a function of the result to read those events
+    toTxResult(receipt, payload = {}) {
+        const TxResult = require('../utils/TxResult');
+        const contractManager = this.context.contractManager;
+        const events = (receipt.logs || []).map(log => ({...contractManager.decodeLog(log), logIndex: log.index}));
+        const result = TxResult.fromReceipt(receipt, {events});
+        result.payload = typeof payload === 'function' ? payload(result) : payload;
+        return result;
+    }
+
+    // Dry runs and unsigned builds are returned as they are; a sent transaction is waited for and returned as a
+    // TxResult. payload is an object or a function of the TxResult, only called once the transaction is mined
+    async finishWrite(tx, options, description, payload = {}) {
+        if (options.simulate || options.unsigned) {
+            return tx;
+        }
+        const receipt = await this.handleTransaction(() => tx.wait(), description);
+        return this.toTxResult(receipt, payload);
+    }
+
     // New helper method for extracting event data
     extractEventData(receipt, eventName, dataField) {
         const ContractHelpers = require('../utils/ContractHelpers');
@@ -229,6 +302,28 @@ class BaseModule {
         }
     }
 
+    // Looks up unknown tokens on-chain so later symbol/decimals lookups hit the registry
+    async resolveTokens(tokenAddresses) {
+        const contractManager = this.context.contractManager;
+        if (contractManager.options.autoDiscoverTokens === false) {
+            return;
+        }
+
+        const unknown = [...new Set(tokenAddresses.filter(Boolean))].filter(address => {
+            if (this.context.configManager.isETH(address)) return false;
+            try {
+                this.context.configManager.getToken(address);
+                return false;
+            } catch {
+                return true;
+            }
+        });
+
+        await Promise.all(unknown.map(address =>
+            contractManager.discoverToken(address).catch(error => this.logWarn(error.message))
+        ));
+    }
+
     // Enhanced safe contract call with retry logic
     async safeContractCall(contractName, methodName, params = [], defaultValue = null, maxRetries = 2) {
         return this.safeCall(async () => {
@@ -240,19 +335,28 @@ class BaseModule {
         }, defaultValue);
     }
 
+    // Domain events go out on the client bus as client.on(eventName, listener)
+    publish(eventName, payload = {}) {
+        const client = this.context?.client;
+        if (client && typeof client.publish === 'function') {
+            client.publish(eventName, this.context.account ? {...payload, account: this.context.account} : payload, this.name);
+        }
+    }
+
+    logDebug(message, data) {
+        this.logger.debug(message, data);
+    }
+
     logInfo(message, data) {
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] [${this.name}] ${message}`, data || '');
+        this.logger.info(message, data);
     }
 
     logWarn(message, data) {
-        const timestamp = new Date().toISOString();
-        console.warn(`[${timestamp}] [${this.name}] ${message}`, data || '');
+        this.logger.warn(message, data);
     }
 
     logError(message, error) {
-        const timestamp = new Date().toISOString();
-        console.error(`[${timestamp}] [${this.name}] ${message}`, error?.message || error || '');
+        this.logger.error(message, error);
     }
 
     createError(message, code) {
@@ -263,6 +367,20 @@ class BaseModule {
         return error;
     }
 
+    // Reverts come back as typed errors (SlippageError, SystemPausedError, ...) with the decoded custom error attached.
+    // An error that already went through a module keeps its message, so rethrowing never stacks prefixes
+    createContractError(error, description) {
+        if (error instanceof DexError) {
+            if (!error.message.startsWith(`${this.name}: `)) {
+                error.message = `${this.name}: ${description} failed: ${error.message}`;
+            }
+            return error;
+        }
+        const decoded = this.context.contractManager.decodeError(error, {label: description});
+        decoded.message = `${this.name}: ${decoded.message}`;
+        return decoded;
+    }
+
     getModuleInfo() {
         return {
             name: this.name,
@@ -271,7 +389,7 @@ class BaseModule {
             hasContext: !!this.context,
             contracts: this.context ? Object.keys(this.context.contractManager.getAllAddresses()) : [],
             network: this.context ? this.context.configManager.getNetworkConfig() : null,
-            userAddress: this.context?.signer ? 'connected' : 'not connected'
+            userAddress: this.context?.signer ? 'connected' : 'read-only'
         };
     }
 
@@ -385,6 +385,11 @@ class EventModule extends BaseModule {
         this.logInfo('Event listener stopped');
     }
 
+    dispose() {
+        this.stopEventListener();
+        super.dispose();
+    }
+
     getSubscriptionStats() {
         return {
             activeSubscriptions: this.subscriptions.size,
@@ -398,4 +403,23 @@ class EventModule extends BaseModule {
     }
 }
 
+EventModule.REQUIREMENTS = {
+    Pool: {
+        optional: true,
+        events: ['Swap']
+    },
+    Trading: {
+        optional: true,
+        events: ['OrderCreated', 'OrderExecuted', 'PositionOpened', 'PositionClosed', 'PositionLiquidated']
+    },
+    Oracle: {
+        optional: true,
+        events: ['PriceUpdated']
+    },
+    GovernanceToken: {
+        optional: true,
+        events: ['ProposalCreated', 'Voted']
+    }
+};
+
 module.exports = EventModule;
\ No newline at end of file
@@ -8,50 +8,54 @@ class GovernanceModule extends BaseModule {
 
 initialize(context) {
     super.initialize(context);
+    this.bindContracts();
+}
+
+bindContracts() {
     if (this.hasContract('GovernanceToken')) {
         this.governanceContract = this.getContract('GovernanceToken');
     } else {
         this.governanceContract = null;
-        console.warn('⚠️  GovernanceToken contract not found - governance features disabled');
+        this.logWarn('GovernanceToken contract not found - governance features disabled');
     }
 }
 
     async stake(amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.governanceContract.stake(amountWei, options);
-
-        await this.handleTransaction(() => tx.wait(), `Stake ${amount} tokens`);
-        this.logInfo(`Staked ${amount} governance tokens`);
-        return true;
+        return this.finishWrite(tx, options, `Stake ${amount} tokens`, () => {
+            this.logInfo(`Staked ${amount} governance tokens`);
+            return {amount};
+        });
     }
 
     async unstake(amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.governanceContract.unstake(amountWei, options);
-
-        await this.handleTransaction(() => tx.wait(), `Unstake ${amount} tokens`);
-        this.logInfo(`Unstaked ${amount} governance tokens`);
-        return true;
+        return this.finishWrite(tx, options, `Unstake ${amount} tokens`, () => {
+            this.logInfo(`Unstaked ${amount} governance tokens`);
+            return {amount};
+        });
     }
 
     async claimRewards(options = {}) {
         const tx = await this.governanceContract.claimRewards(options);
+        return this.finishWrite(tx, options, 'Claim staking rewards', ({receipt}) => {
+            const reward = this.calculateValue(this.extractEventData(receipt, 'RewardClaimed', 'reward') || 0, 'formatFromWei');
 
-        const receipt = await this.handleTransaction(() => tx.wait(), 'Claim staking rewards');
-        const reward = this.extractEventData(receipt, 'RewardClaimed', 'reward');
-
-        this.logInfo(`Claimed rewards: ${this.calculateValue(reward || 0, 'formatFromWei')} tokens`);
-        return this.calculateValue(reward || 0, 'formatFromWei');
+            this.logInfo(`Claimed rewards: ${reward} tokens`);
+            return {reward};
+        });
     }
 
     async claimFees(tokenAddress, options = {}) {
         const tx = await this.governanceContract.claimFees(tokenAddress, options);
+        return this.finishWrite(tx, options, `Claim fees for ${this.getTokenSymbol(tokenAddress)}`, ({receipt}) => {
+            const amount = this.calculateValue(this.extractEventData(receipt, 'FeesClaimed', 'amount') || 0, 'formatFromWei');
 
-        const receipt = await this.handleTransaction(() => tx.wait(), `Claim fees for ${this.getTokenSymbol(tokenAddress)}`);
-        const amount = this.extractEventData(receipt, 'FeesClaimed', 'amount');
-
-        this.logInfo(`Claimed fees: ${this.calculateValue(amount || 0, 'formatFromWei')} ${this.getTokenSymbol(tokenAddress)}`);
-        return this.calculateValue(amount || 0, 'formatFromWei');
+            this.logInfo(`Claimed fees: ${amount} ${this.getTokenSymbol(tokenAddress)}`);
+            return {token: tokenAddress, amount};
+        });
     }
 
     async getBalance(userAddress) {
@@ -117,38 +121,38 @@ initialize(context) {
             data || '0x',
             options
         );
+        return this.finishWrite(tx, options, 'Create proposal', ({receipt}) => {
+            const proposalId = this.extractEventData(receipt, 'ProposalCreated', 'proposalId');
 
-        const receipt = await this.handleTransaction(() => tx.wait(), 'Create proposal');
-        const proposalId = this.extractEventData(receipt, 'ProposalCreated', 'proposalId');
-
-        this.logInfo(`Created proposal ${proposalId}: ${description.substring(0, 50)}...`);
-        return proposalId.toString();
+            this.logInfo(`Created proposal ${proposalId}: ${description.substring(0, 50)}...`);
+            return {proposalId: proposalId.toString()};
+        });
     }
 
     async vote(proposalId, support, options = {}) {
         const tx = await this.governanceContract.vote(proposalId, support, options);
+        return this.finishWrite(tx, options, `Vote on proposal ${proposalId}`, ({receipt}) => {
+            const votes = this.calculateValue(this.extractEventData(receipt, 'Voted', 'votes') || 0, 'formatFromWei');
 
-        const receipt = await this.handleTransaction(() => tx.wait(), `Vote on proposal ${proposalId}`);
-        const votes = this.extractEventData(receipt, 'Voted', 'votes');
-
-        this.logInfo(`Voted ${support ? 'FOR' : 'AGAINST'} proposal ${proposalId} with ${this.calculateValue(votes || 0, 'formatFromWei')} votes`);
-        return true;
+            this.logInfo(`Voted ${support ? 'FOR' : 'AGAINST'} proposal ${proposalId} with ${votes} votes`);
+            return {proposalId, support, votes};
+        });
     }
 
     async executeProposal(proposalId, options = {}) {
         const tx = await this.governanceContract.executeProposal(proposalId, options);
-
-        await this.handleTransaction(() => tx.wait(), `Execute proposal ${proposalId}`);
-        this.logInfo(`Executed proposal ${proposalId}`);
-        return true;
+        return this.finishWrite(tx, options, `Execute proposal ${proposalId}`, () => {
+            this.logInfo(`Executed proposal ${proposalId}`);
+            return {proposalId};
+        });
     }
 
     async cancelProposal(proposalId, options = {}) {
         const tx = await this.governanceContract.cancelProposal(proposalId, options);
-
-        await this.handleTransaction(() => tx.wait(), `Cancel proposal ${proposalId}`);
-        this.logInfo(`Cancelled proposal ${proposalId}`);
-        return true;
+        return this.finishWrite(tx, options, `Cancel proposal ${proposalId}`, () => {
+            this.logInfo(`Cancelled proposal ${proposalId}`);
+            return {proposalId};
+        });
     }
 
     async getProposal(proposalId) {
@@ -339,4 +343,34 @@ initialize(context) {
     }
 }
 
+GovernanceModule.REQUIREMENTS = {
+    GovernanceToken: {
+        optional: true,
+        methods: {
+            stake: 1,
+            unstake: 1,
+            claimRewards: 0,
+            claimFees: 1,
+            balanceOf: 1,
+            stakingBalance: 1,
+            calculateRewards: 1,
+            getUserStakingInfo: 1,
+            getTradingDiscount: 1,
+            isPremiumUser: 1,
+            getVotingPower: 1,
+            canCreateProposal: 1,
+            createProposal: 3,
+            vote: 2,
+            executeProposal: 1,
+            cancelProposal: 1,
+            getProposal: 1,
+            getClaimableFees: 2,
+            getUserInfo: 1,
+            getTokenStats: 0,
+            getDistributionInfo: 1
+        },
+        events: ['RewardClaimed', 'FeesClaimed', 'ProposalCreated', 'Voted']
+    }
+};
+
 module.exports = GovernanceModule;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // modules/KeeperModule.js (полная версия)
 const BaseModule = require('./BaseModule');
+const {LIMITS} = require('../utils/constants');
 
 class KeeperModule extends BaseModule {
 constructor() {
@@ -17,6 +18,10 @@ lastRun: null
 
 initialize(context) {
 super.initialize(context);
+this.bindContracts();
+}
+
+bindContracts() {
 this.routerContract = this.getContract('Router');
 this.tradingContract = this.getContract('Trading');
 this.oracleContract = this.getContract('Oracle');
@@ -24,12 +29,14 @@ this.oracleContract = this.getContract('Oracle');
 
 async getOrder(orderId) {
 const order = await this.routerContract.getOrder(orderId);
+await this.resolveTokens([order.tokenIn, order.tokenOut]);
 return this.formatOrderData(order);
 }
 
 async getPosition(positionId) {
 const position = await this.routerContract.getPosition(positionId);
 const currentPrice = await this.getCurrentPrice(position.token);
+await this.resolveTokens([position.token]);
 return this.formatPositionData(position, currentPrice);
 }
 
@@ -51,16 +58,18 @@ return this.routerContract.canExecuteOrder(orderId);
 
 async selfExecuteOrder(orderId, options = {}) {
 const tx = await this.routerContract.selfExecuteOrder(orderId, options);
-const receipt = await this.handleTransaction(() => tx.wait(), `Self-execute order ${orderId}`);
+return this.finishWrite(tx, options, `Self-execute order ${orderId}`, result => {
 this.stats.ordersExecuted++;
-return receipt;
+return {orderId, amountOut: result.getEventArg('OrderExecuted', 'amountOut')};
+});
 }
 
 async liquidatePosition(positionId, options = {}) {
 const tx = await this.routerContract.liquidatePosition(positionId, options);
-const receipt = await this.handleTransaction(() => tx.wait(), `Liquidate position ${positionId}`);
+return this.finishWrite(tx, options, `Liquidate position ${positionId}`, result => {
 this.stats.positionsLiquidated++;
-return receipt;
+return {positionId, reward: result.getEventArg('PositionLiquidated', 'reward')};
+});
 }
 
 async getSystemStatus() {
@@ -91,9 +100,8 @@ return { isOperational: false, error: error.message };
 
 async getContractVersion(contractName) {
 try {
-const contract = this.getContract(contractName);
-const version = await contract.version();
-return version.toString();
+const info = await this.context.contractManager.getProxyInfo(contractName);
+return info.version;
 } catch (error) {
 return null;
 }
@@ -132,10 +140,12 @@ diagnostics.keeper.tokenBalances[symbol] = formatted;
 const contractNames = ['Router', 'Pool', 'Trading', 'Oracle'];
 for (const contractName of contractNames) {
 if (this.hasContract(contractName)) {
-const version = await this.getContractVersion(contractName);
+const info = await this.safeCall(() => this.context.contractManager.getProxyInfo(contractName), null);
 diagnostics.contracts[contractName] = {
 address: this.context.contractManager.getContractAddress(contractName),
-version: version || 'Unknown'
+implementation: info?.implementation || null,
+admin: info?.admin || null,
+version: info?.version || 'Unknown'
 };
 }
 }
@@ -148,36 +158,30 @@ return diagnostics;
 
 async getAllOrders() {
 const nextOrderId = await this.getNextOrderId();
-const totalOrders = Number(nextOrderId) - 1;
-const orders = [];
-
-for (let orderId = 1; orderId <= totalOrders; orderId++) {
-try {
-const order = await this.getOrder(orderId);
-orders.push(order);
-} catch (error) {
-this.logWarn(`Failed to get order ${orderId}:`, error.message);
-}
-}
-
-return orders;
+const orderIds = Array.from({length: Number(nextOrderId) - 1}, (_, index) => index + 1);
+return this._fetchInChunks(orderIds, orderId => this.getOrder(orderId), 'order');
 }
 
 async getAllPositions() {
 const nextPositionId = await this.getNextPositionId();
-const totalPositions = Number(nextPositionId) - 1;
-const positions = [];
-
-for (let positionId = 1; positionId <= totalPositions; positionId++) {
-try {
-const position = await this.getPosition(positionId);
-positions.push(position);
-} catch (error) {
-this.logWarn(`Failed to get position ${positionId}:`, error.message);
-}
+const positionIds = Array.from({length: Number(nextPositionId) - 1}, (_, index) => index + 1);
+return this._fetchInChunks(positionIds, positionId => this.getPosition(positionId), 'position');
+}
+
+// Each chunk is issued together so the contract manager batches it into one multicall;
+// chunks run one after another so a long history never floods the RPC
+async _fetchInChunks(ids, fetch, label) {
+const results = [];
+for (let i = 0; i < ids.length; i += LIMITS.MAX_BATCH_SIZE) {
+const chunk = await Promise.all(ids.slice(i, i + LIMITS.MAX_BATCH_SIZE).map(id =>
+fetch(id).catch(error => {
+this.logWarn(`Failed to get ${label} ${id}:`, error.message);
+return null;
+})
+));
+results.push(...chunk.filter(Boolean));
 }
-
-return positions;
+return results;
 }
 
 async getExecutableOrders() {
@@ -241,6 +245,22 @@ estimatedReward: this.calculateValue({amount: position.collateralAmount, feePerc
 ];
 }
 
+// A restarted keeper gets earlier sends back from the transaction journal; those are not sent twice.
+// 'unknown' ones may have gone out before the restart, so they block a resend too
+hasPendingTransaction(contract, method, id, argIndex = 0) {
+const contractManager = this.context?.contractManager;
+if (!contractManager || typeof contractManager.getTransactions !== 'function') {
+return false;
+}
+return contractManager.getTransactions().some(transaction =>
+['queued', 'pending', 'stuck', 'unknown'].includes(transaction.status) &&
+transaction.contract === contract &&
+transaction.method === method &&
+transaction.args.length > argIndex &&
+String(transaction.args[argIndex]) === String(id)
+);
+}
+
 async executeKeeperCycle() {
 const systemStatus = await this.getSystemStatus();
 if (!systemStatus.isOperational) {
@@ -253,10 +273,14 @@ const results = { executed: 0, liquidated: 0, errors: 0, details: [] };
 try {
 const executableOrders = await this.getExecutableOrders();
 for (const order of executableOrders) {
+if (this.hasPendingTransaction('Router', 'selfExecuteOrder', order.id)) {
+results.details.push({ type: 'order', id: order.id, status: 'pending' });
+continue;
+}
 try {
-await this.selfExecuteOrder(order.id);
+const result = await this.selfExecuteOrder(order.id);
 results.executed++;
-results.details.push({ type: 'order', id: order.id, status: 'success' });
+results.details.push({ type: 'order', id: order.id, status: 'success', hash: result.hash, fee: result.fee });
 this.logInfo(`Order ${order.id} executed successfully`);
 } catch (error) {
 results.errors++;
@@ -267,10 +291,14 @@ this.logError(`Order ${order.id} execution failed:`, error.message);
 
 const liquidatablePositions = await this.getLiquidatablePositions();
 for (const position of liquidatablePositions) {
+if (this.hasPendingTransaction('Router', 'liquidatePosition', position.id)) {
+results.details.push({ type: 'position', id: position.id, status: 'pending' });
+continue;
+}
 try {
-await this.liquidatePosition(position.id);
+const result = await this.liquidatePosition(position.id);
 results.liquidated++;
-results.details.push({ type: 'position', id: position.id, status: 'success' });
+results.details.push({ type: 'position', id: position.id, status: 'success', hash: result.hash, fee: result.fee });
 this.logInfo(`Position ${position.id} liquidated successfully`);
 } catch (error) {
 results.errors++;
@@ -337,6 +365,11 @@ this.logInfo('Keeper stopped');
 return true;
 }
 
+dispose() {
+this.stopKeeper();
+super.dispose();
+}
+
 getKeeperStats() {
 return {
 ...this.stats,
@@ -419,4 +452,35 @@ return 'UNKNOWN';
 }
 }
 
+KeeperModule.REQUIREMENTS = {
+Router: {
+methods: {
+getOrder: 1,
+getPosition: 1,
+getNextOrderId: 0,
+getNextPositionId: 0,
+shouldExecuteOrder: 1,
+canExecuteOrder: 1,
+selfExecuteOrder: 1,
+liquidatePosition: 1,
+getBalance: 2,
+isSystemPaused: 0
+}
+},
+Trading: {
+methods: {}
+},
+Oracle: {
+methods: {
+getPrice: 1
+}
+},
+AccessControl: {
+optional: true,
+methods: {
+emergencyStop: 0
+}
+}
+};
+
 module.exports = KeeperModule;
\ No newline at end of file
@@ -8,6 +8,10 @@ class OracleModule extends BaseModule {
 
     initialize(context) {
         super.initialize(context);
+        this.bindContracts();
+    }
+
+    bindContracts() {
         this.oracleContract = this.getContract('Oracle');
     }
 
@@ -19,10 +23,10 @@ class OracleModule extends BaseModule {
 
         const priceWei = this.calculateValue(price, 'parseToWei');
         const tx = await this.oracleContract.updatePrice(tokenAddress, priceWei, options);
-
-        await this.handleTransaction(() => tx.wait(), `Update price for ${this.getTokenSymbol(tokenAddress)}`);
-        this.logInfo(`Updated price: ${this.getTokenSymbol(tokenAddress)} = ${price}`);
-        return true;
+        return this.finishWrite(tx, options, `Update price for ${this.getTokenSymbol(tokenAddress)}`, () => {
+            this.logInfo(`Updated price: ${this.getTokenSymbol(tokenAddress)} = ${price}`);
+            return {token: tokenAddress, price};
+        });
     }
 
     async batchUpdatePrices(tokenAddresses, prices, options = {}) {
@@ -35,13 +39,12 @@ class OracleModule extends BaseModule {
 
         const pricesWei = prices.map(price => this.calculateValue(price, 'parseToWei'));
         const tx = await this.oracleContract.batchUpdatePrices(tokenAddresses, pricesWei, options);
-
-        await this.handleTransaction(() => tx.wait(), `Batch update ${tokenAddresses.length} prices`);
-
-        for (let i = 0; i < tokenAddresses.length; i++) {
-            this.logInfo(`Updated: ${this.getTokenSymbol(tokenAddresses[i])} = ${prices[i]}`);
-        }
-        return true;
+        return this.finishWrite(tx, options, `Batch update ${tokenAddresses.length} prices`, () => {
+            for (let i = 0; i < tokenAddresses.length; i++) {
+                this.logInfo(`Updated: ${this.getTokenSymbol(tokenAddresses[i])} = ${prices[i]}`);
+            }
+            return {tokens: tokenAddresses, prices};
+        });
     }
 
     async getPrice(tokenAddress) {
@@ -51,17 +54,20 @@ class OracleModule extends BaseModule {
 
     async getAllPrices() {
         const tokens = this.context.configManager.getTokens();
-        const prices = {};
+        const entries = [
+            ['ETH', '0x0000000000000000000000000000000000000000'],
+            ...Object.entries(tokens)
+                .filter(([, tokenInfo]) => tokenInfo.address)
+                .map(([symbol, tokenInfo]) => [symbol, tokenInfo.address])
+        ];
 
-        prices['ETH'] = await this.safeCall(() => this.getPrice('0x0000000000000000000000000000000000000000'), '0');
-
-        for (const [symbol, tokenInfo] of Object.entries(tokens)) {
-            if (tokenInfo.address) {
-                const price = await this.safeCall(() => this.getPrice(tokenInfo.address), '0');
-                prices[symbol] = price;
-            }
-        }
+        // Requested together so the oracle reads are batched into a single multicall
+        const values = await Promise.all(entries.map(([, address]) => this.safeCall(() => this.getPrice(address), '0')));
 
+        const prices = {};
+        entries.forEach(([symbol], index) => {
+            prices[symbol] = values[index];
+        });
         return prices;
     }
 
@@ -75,6 +81,7 @@ class OracleModule extends BaseModule {
 
     async getTokenPriceInfo(tokenAddress) {
         const info = await this.oracleContract.getTokenPriceInfo(tokenAddress);
+        await this.resolveTokens([tokenAddress]);
 
         return {
             currentPrice: this.calculateValue(info.currentPrice, 'formatFromWei'),
@@ -131,16 +138,15 @@ class OracleModule extends BaseModule {
     async emergencyUpdatePrice(tokenAddress, price, options = {}) {
         const priceWei = this.calculateValue(price, 'parseToWei');
         const tx = await this.oracleContract.emergencyUpdatePrice(tokenAddress, priceWei, options);
-
-        await this.handleTransaction(() => tx.wait(), `Emergency price update for ${this.getTokenSymbol(tokenAddress)}`);
-        this.logWarn(`Emergency price update: ${this.getTokenSymbol(tokenAddress)} = ${price}`);
-        return true;
+        return this.finishWrite(tx, options, `Emergency price update for ${this.getTokenSymbol(tokenAddress)}`, () => {
+            this.logWarn(`Emergency price update: ${this.getTokenSymbol(tokenAddress)} = ${price}`);
+            return {token: tokenAddress, price};
+        });
     }
 
     async initializeHistoricalPrices(tokenAddress, options = {}) {
         const tx = await this.oracleContract.initializeHistoricalPrices(tokenAddress, options);
-        await this.handleTransaction(() => tx.wait(), `Initialize historical prices for ${this.getTokenSymbol(tokenAddress)}`);
-        return true;
+        return this.finishWrite(tx, options, `Initialize historical prices for ${this.getTokenSymbol(tokenAddress)}`, {token: tokenAddress});
     }
 
     async validateAllPrices() {
@@ -316,4 +322,23 @@ class OracleModule extends BaseModule {
     }
 }
 
+OracleModule.REQUIREMENTS = {
+    Oracle: {
+        methods: {
+            updatePrice: 2,
+            batchUpdatePrices: 2,
+            emergencyUpdatePrice: 2,
+            getPrice: 1,
+            getLatestPrices: 1,
+            isPriceValid: 1,
+            isPriceStale: 1,
+            getTokenPriceInfo: 1,
+            getHistoricalPrice: 2,
+            getPriceHistory: 2,
+            hasHistoricalData: 1,
+            initializeHistoricalPrices: 1
+        }
+    }
+};
+
 module.exports = OracleModule;
\ No newline at end of file
@@ -8,48 +8,67 @@ class PoolModule extends BaseModule {
 
     initialize(context) {
         super.initialize(context);
+        this.bindContracts();
+    }
+
+    bindContracts() {
         this.poolContract = this.getContract('Pool');
     }
 
     async depositETH(amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.poolContract.depositETH({value: amountWei, ...options});
-        return this.handleTransaction(() => tx.wait(), `Deposit ${amount} ETH to pool`);
+        return this.finishWrite(tx, options, `Deposit ${amount} ETH to pool`, {amount});
     }
 
     async depositToken(tokenAddress, amount, options = {}) {
         const validation = this.validateParams({tokenAddress, amount}, 'validateTokenParams');
         if (!validation.isValid) throw this.createError(`Invalid params: ${validation.errors.join(', ')}`);
 
-        const tokenContract = await this.context.contractManager.loadContract('ERC20', tokenAddress, [
+        const tokenContract = this.context.contractManager.wrapAdHoc(tokenAddress, [
             'function approve(address,uint256) returns (bool)',
             'function allowance(address,address) view returns (uint256)'
-        ]);
+        ], 'ERC20');
 
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const userAddress = await this.getUserAddress();
 
         const allowance = await tokenContract.allowance(userAddress, this.poolContract.target);
-        if (allowance < amountWei) {
+        // A dry run never approves, so with approvalRequired set the simulated deposit is expected to revert
+        if (options.simulate) {
+            const tx = await this.poolContract.depositToken(tokenAddress, amountWei, options);
+            return {...tx, approvalRequired: allowance < amountWei};
+        }
+        // Unsigned, the approval comes along to be signed first, and the deposit takes the nonce after it
+        if (options.unsigned) {
+            const approval = allowance < amountWei
+                ? await tokenContract.approve(this.poolContract.target, amountWei, {unsigned: true, from: options.from})
+                : null;
+            const nonce = approval && approval.nonce !== null ? approval.nonce + 1 : options.nonce;
+            const tx = await this.poolContract.depositToken(tokenAddress, amountWei, {...options, nonce});
+            return {...tx, approval};
+        }
+        // An externally signed deposit relies on an approval made by the same signer
+        if (allowance < amountWei && !options.signedTransaction) {
             const approveTx = await tokenContract.approve(this.poolContract.target, amountWei);
             await approveTx.wait();
             this.logInfo(`Approved ${amount} tokens for pool`);
         }
 
         const tx = await this.poolContract.depositToken(tokenAddress, amountWei, options);
-        return this.handleTransaction(() => tx.wait(), `Deposit ${amount} tokens to pool`);
+        return this.finishWrite(tx, options, `Deposit ${amount} tokens to pool`, {token: tokenAddress, amount});
     }
 
     async withdrawETH(amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.poolContract.withdrawETH(amountWei, options);
-        return this.handleTransaction(() => tx.wait(), `Withdraw ${amount} ETH from pool`);
+        return this.finishWrite(tx, options, `Withdraw ${amount} ETH from pool`, {amount});
     }
 
     async withdrawToken(tokenAddress, amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.poolContract.withdrawToken(tokenAddress, amountWei, options);
-        return this.handleTransaction(() => tx.wait(), `Withdraw ${amount} tokens from pool`);
+        return this.finishWrite(tx, options, `Withdraw ${amount} tokens from pool`, {token: tokenAddress, amount});
     }
 
     async swapTokens(tokenIn, tokenOut, amountIn, slippage = 0.5, options = {}) {
@@ -61,7 +80,7 @@ class PoolModule extends BaseModule {
 
         const userAddress = await this.getUserAddress();
         const tx = await this.poolContract.swapTokens(userAddress, tokenIn, tokenOut, amountInWei, minAmountOut, options);
-        return this.handleTransaction(() => tx.wait(), `Swap ${amountIn} tokens`);
+        return this.finishWrite(tx, options, `Swap ${amountIn} tokens`, result => ({amountOut: result.getEventArg('Swap', 'amountOut')}));
     }
 
     async addLiquidity(tokenA, tokenB, amountA, amountB, slippage = 1, options = {}) {
@@ -77,7 +96,7 @@ class PoolModule extends BaseModule {
         const tx = await this.poolContract.addLiquidity(
             tokenA, tokenB, amountAWei, amountBWei, amountAMinWei, amountBMinWei, options
         );
-        return this.handleTransaction(() => tx.wait(), `Add liquidity ${amountA}/${amountB}`);
+        return this.finishWrite(tx, options, `Add liquidity ${amountA}/${amountB}`, {tokenA, tokenB});
     }
 
     async removeLiquidity(tokenA, tokenB, liquidity, slippage = 1, options = {}) {
@@ -92,7 +111,7 @@ class PoolModule extends BaseModule {
         const tx = await this.poolContract.removeLiquidity(
             tokenA, tokenB, liquidityWei, amountAMinWei, amountBMinWei, options
         );
-        return this.handleTransaction(() => tx.wait(), `Remove liquidity ${liquidity}`);
+        return this.finishWrite(tx, options, `Remove liquidity ${liquidity}`, {tokenA, tokenB});
     }
 
     async getBalance(userAddress, tokenAddress) {
@@ -116,29 +135,28 @@ class PoolModule extends BaseModule {
         const tokens = this.context.configManager.getTokens();
         const balances = [];
 
-        const ethBalance = await this.getBalance(address, '0x0000000000000000000000000000000000000000');
-        balances.push({
-            symbol: 'ETH',
-            address: '0x0000000000000000000000000000000000000000',
-            balance: ethBalance,
-            available: await this.getAvailableBalance(address, '0x0000000000000000000000000000000000000000')
-        });
-
-        for (const [symbol, tokenInfo] of Object.entries(tokens)) {
-            if (tokenInfo.address) {
-                const balance = await this.safeCall(() => this.getBalance(address, tokenInfo.address), '0');
-                const available = await this.safeCall(() => this.getAvailableBalance(address, tokenInfo.address), '0');
-
-                balances.push({
-                    symbol,
-                    address: tokenInfo.address,
-                    balance,
-                    available
-                });
-            }
-        }
+        const ethAddress = '0x0000000000000000000000000000000000000000';
+        const tokenEntries = Object.entries(tokens).filter(([, tokenInfo]) => tokenInfo.address);
+
+        // All reads start in the same tick so they are batched into a single multicall
+        const [ethBalance, ethAvailable, tokenBalances] = await Promise.all([
+            this.getBalance(address, ethAddress),
+            this.getAvailableBalance(address, ethAddress),
+            Promise.all(tokenEntries.map(([symbol, tokenInfo]) => Promise.all([
+                this.safeCall(() => this.getBalance(address, tokenInfo.address), '0'),
+                this.safeCall(() => this.getAvailableBalance(address, tokenInfo.address), '0')
+            ]).then(([balance, available]) => ({
+                symbol,
+                address: tokenInfo.address,
+                balance,
+                available
+            }))))
+        ]);
 
-        return balances;
+        return [
+            {symbol: 'ETH', address: ethAddress, balance: ethBalance, available: ethAvailable},
+            ...tokenBalances
+        ];
     }
 
     async getAmountOut(amountIn, tokenIn, tokenOut) {
@@ -175,7 +193,7 @@ class PoolModule extends BaseModule {
 
     async claimFees(tokenAddress, options = {}) {
         const tx = await this.poolContract.claimFees(tokenAddress, options);
-        return this.handleTransaction(() => tx.wait(), `Claim fees for ${tokenAddress}`);
+        return this.finishWrite(tx, options, `Claim fees for ${tokenAddress}`, {token: tokenAddress});
     }
 
     async getClaimableFees(userAddress, tokenAddress) {
@@ -300,4 +318,27 @@ class PoolModule extends BaseModule {
     }
 }
 
+PoolModule.REQUIREMENTS = {
+    Pool: {
+        methods: {
+            depositETH: 0,
+            depositToken: 2,
+            withdrawETH: 1,
+            withdrawToken: 2,
+            swapTokens: 5,
+            addLiquidity: 6,
+            removeLiquidity: 5,
+            getBalance: 2,
+            getAvailableBalance: 2,
+            getAmountOut: 3,
+            totalTokenBalances: 1,
+            ethBalance: 0,
+            claimFees: 1,
+            getClaimableFees: 2,
+            getLiquidityStats: 1,
+            getUserLiquidityInfo: 2
+        }
+    }
+};
+
 module.exports = PoolModule;
\ No newline at end of file
@@ -8,6 +8,10 @@ class RouterModule extends BaseModule {
 
     initialize(context) {
         super.initialize(context);
+        this.bindContracts();
+    }
+
+    bindContracts() {
         this.routerContract = this.getContract('Router');
     }
 
@@ -18,46 +22,57 @@ class RouterModule extends BaseModule {
             value: this.calculateValue(amount, 'parseToWei'),
             ...options
         });
-
-        return this.handleTransaction(
-            () => tx.wait(),
-            `Deposit ${amount} ETH`
-        );
+        return this.finishWrite(tx, options, `Deposit ${amount} ETH`, {amount});
     }
 
     async depositToken(tokenAddress, amount, options = {}) {
-        const validation = this.validateParams({tokenAddress, amount}, 'validateSwapParams');
+        const validation = this.validateParams({tokenAddress, amount}, 'validateTokenParams');
         if (!validation.isValid) throw this.createError(`Invalid params: ${validation.errors.join(', ')}`);
 
-        const tokenContract = await this.context.contractManager.loadContract('ERC20', tokenAddress, [
+        const tokenContract = this.context.contractManager.wrapAdHoc(tokenAddress, [
             'function approve(address,uint256) returns (bool)',
             'function allowance(address,address) view returns (uint256)'
-        ]);
+        ], 'ERC20');
 
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const userAddress = await this.getUserAddress();
 
         const allowance = await tokenContract.allowance(userAddress, this.routerContract.target);
-        if (allowance < amountWei) {
+        // A dry run never approves, so with approvalRequired set the simulated deposit is expected to revert
+        if (options.simulate) {
+            const tx = await this.routerContract.depositToken(tokenAddress, amountWei, options);
+            return {...tx, approvalRequired: allowance < amountWei};
+        }
+        // Unsigned, the approval comes along to be signed first, and the deposit takes the nonce after it
+        if (options.unsigned) {
+            const approval = allowance < amountWei
+                ? await tokenContract.approve(this.routerContract.target, amountWei, {unsigned: true, from: options.from})
+                : null;
+            const nonce = approval && approval.nonce !== null ? approval.nonce + 1 : options.nonce;
+            const tx = await this.routerContract.depositToken(tokenAddress, amountWei, {...options, nonce});
+            return {...tx, approval};
+        }
+        // An externally signed deposit relies on an approval made by the same signer
+        if (allowance < amountWei && !options.signedTransaction) {
             const approveTx = await tokenContract.approve(this.routerContract.target, amountWei);
             await approveTx.wait();
             this.logInfo(`Approved ${amount} tokens`);
         }
 
         const tx = await this.routerContract.depositToken(tokenAddress, amountWei, options);
-        return this.handleTransaction(() => tx.wait(), `Deposit ${amount} tokens`);
+        return this.finishWrite(tx, options, `Deposit ${amount} tokens`, {token: tokenAddress, amount});
     }
 
     async withdrawETH(amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.routerContract.withdrawETH(amountWei, options);
-        return this.handleTransaction(() => tx.wait(), `Withdraw ${amount} ETH`);
+        return this.finishWrite(tx, options, `Withdraw ${amount} ETH`, {amount});
     }
 
     async withdrawToken(tokenAddress, amount, options = {}) {
         const amountWei = this.calculateValue(amount, 'parseToWei');
         const tx = await this.routerContract.withdrawToken(tokenAddress, amountWei, options);
-        return this.handleTransaction(() => tx.wait(), `Withdraw ${amount} tokens`);
+        return this.finishWrite(tx, options, `Withdraw ${amount} tokens`, {token: tokenAddress, amount});
     }
 
     async swapTokens(tokenIn, tokenOut, amountIn, slippage = 0.5, options = {}) {
@@ -71,7 +86,7 @@ class RouterModule extends BaseModule {
         const txOptions = isETHInput ? {value: amountInWei, ...options} : options;
 
         const tx = await this.routerContract.swapTokens(tokenIn, tokenOut, amountInWei, amountOutMin, txOptions);
-        return this.handleTransaction(() => tx.wait(), `Swap ${amountIn} tokens`);
+        return this.finishWrite(tx, options, `Swap ${amountIn} tokens`, result => ({amountOut: result.getEventArg('Swap', 'amountOut')}));
     }
 
     async createLimitOrder(tokenIn, tokenOut, amountIn, targetPrice, isLong = true, options = {}) {
@@ -85,7 +100,7 @@ class RouterModule extends BaseModule {
         const tx = await this.routerContract.createLimitOrder(
             tokenIn, tokenOut, amountInWei, targetPriceWei, minAmountOut, isLong, txOptions
         );
-        return this.handleTransaction(() => tx.wait(), 'Create limit order');
+        return this.finishWrite(tx, options, 'Create limit order', result => ({orderId: result.getEventArg('OrderCreated', 'orderId')}));
     }
 
     async createStopLossOrder(tokenIn, tokenOut, amountIn, stopPrice, options = {}) {
@@ -99,7 +114,7 @@ class RouterModule extends BaseModule {
         const tx = await this.routerContract.createStopLossOrder(
             tokenIn, tokenOut, amountInWei, stopPriceWei, minAmountOut, txOptions
         );
-        return this.handleTransaction(() => tx.wait(), 'Create stop-loss order');
+        return this.finishWrite(tx, options, 'Create stop-loss order', result => ({orderId: result.getEventArg('OrderCreated', 'orderId')}));
     }
 
     async openPosition(token, collateralAmount, leverage, isLong, options = {}) {
@@ -107,32 +122,32 @@ class RouterModule extends BaseModule {
         const tx = await this.routerContract.openPosition(token, collateralWei, leverage, isLong, {
             value: collateralWei, ...options
         });
-        return this.handleTransaction(() => tx.wait(), `Open ${isLong ? 'long' : 'short'} position`);
+        return this.finishWrite(tx, options, `Open ${isLong ? 'long' : 'short'} position`, result => ({positionId: result.getEventArg('PositionOpened', 'positionId')}));
     }
 
     async closePosition(positionId, options = {}) {
         const tx = await this.routerContract.closePosition(positionId, options);
-        return this.handleTransaction(() => tx.wait(), `Close position ${positionId}`);
+        return this.finishWrite(tx, options, `Close position ${positionId}`, result => ({positionId, pnl: result.getEventArg('PositionClosed', 'pnl')}));
     }
 
     async cancelOrder(orderId, options = {}) {
         const tx = await this.routerContract.cancelOrder(orderId, options);
-        return this.handleTransaction(() => tx.wait(), `Cancel order ${orderId}`);
+        return this.finishWrite(tx, options, `Cancel order ${orderId}`, {orderId});
     }
 
     async executeOrder(orderId, options = {}) {
         const tx = await this.routerContract.executeOrder(orderId, options);
-        return this.handleTransaction(() => tx.wait(), `Execute order ${orderId}`);
+        return this.finishWrite(tx, options, `Execute order ${orderId}`, result => ({orderId, amountOut: result.getEventArg('OrderExecuted', 'amountOut')}));
     }
 
     async selfExecuteOrder(orderId, options = {}) {
         const tx = await this.routerContract.selfExecuteOrder(orderId, options);
-        return this.handleTransaction(() => tx.wait(), `Self-execute order ${orderId}`);
+        return this.finishWrite(tx, options, `Self-execute order ${orderId}`, result => ({orderId, amountOut: result.getEventArg('OrderExecuted', 'amountOut')}));
     }
 
     async liquidatePosition(positionId, options = {}) {
         const tx = await this.routerContract.liquidatePosition(positionId, options);
-        return this.handleTransaction(() => tx.wait(), `Liquidate position ${positionId}`);
+        return this.finishWrite(tx, options, `Liquidate position ${positionId}`, result => ({positionId, reward: result.getEventArg('PositionLiquidated', 'reward')}));
     }
 
     async getBalance(userAddress, tokenAddress) {
@@ -211,7 +226,7 @@ class RouterModule extends BaseModule {
 
     async claimLPFees(tokenAddress, options = {}) {
         const tx = await this.routerContract.claimLPFees(tokenAddress, options);
-        return this.handleTransaction(() => tx.wait(), `Claim LP fees for ${tokenAddress}`);
+        return this.finishWrite(tx, options, `Claim LP fees for ${tokenAddress}`, {token: tokenAddress});
     }
 
     async getClaimableLPFees(userAddress, tokenAddress) {
@@ -222,13 +237,13 @@ class RouterModule extends BaseModule {
     async updateOraclePrice(tokenAddress, price, options = {}) {
         const priceWei = this.calculateValue(price, 'parseToWei');
         const tx = await this.routerContract.updateOraclePrice(tokenAddress, priceWei, options);
-        return this.handleTransaction(() => tx.wait(), `Update price for ${tokenAddress}`);
+        return this.finishWrite(tx, options, `Update price for ${tokenAddress}`, {token: tokenAddress, price});
     }
 
     async batchUpdateOraclePrices(tokenAddresses, prices, options = {}) {
         const pricesWei = prices.map(price => this.calculateValue(price, 'parseToWei'));
         const tx = await this.routerContract.batchUpdateOraclePrices(tokenAddresses, pricesWei, options);
-        return this.handleTransaction(() => tx.wait(), 'Batch update oracle prices');
+        return this.finishWrite(tx, options, 'Batch update oracle prices', {tokens: tokenAddresses, prices});
     }
 
     async shouldExecuteOrder(orderId) {
@@ -257,4 +272,46 @@ class RouterModule extends BaseModule {
     }
 }
 
+RouterModule.REQUIREMENTS = {
+    Router: {
+        methods: {
+            depositETH: 0,
+            depositToken: 2,
+            withdrawETH: 1,
+            withdrawToken: 2,
+            swapTokens: 4,
+            createLimitOrder: 6,
+            createStopLossOrder: 5,
+            openPosition: 4,
+            closePosition: 1,
+            cancelOrder: 1,
+            executeOrder: 1,
+            selfExecuteOrder: 1,
+            liquidatePosition: 1,
+            shouldExecuteOrder: 1,
+            canExecuteOrder: 1,
+            getOrder: 1,
+            getPosition: 1,
+            getNextOrderId: 0,
+            getBalance: 2,
+            getAvailableBalance: 2,
+            getPrice: 1,
+            getAmountOut: 3,
+            getUserOrders: 1,
+            getUserPositions: 1,
+            getPoolAddress: 0,
+            getTradingAddress: 0,
+            getOracleAddress: 0,
+            getGovernanceTokenAddress: 0,
+            getUserTokenomicsInfo: 1,
+            getTokenomicsStats: 0,
+            claimLPFees: 1,
+            getClaimableLPFees: 2,
+            updateOraclePrice: 2,
+            batchUpdateOraclePrices: 2,
+            isSystemPaused: 0
+        }
+    }
+};
+
 module.exports = RouterModule;
\ No newline at end of file
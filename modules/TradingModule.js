@@ -9,6 +9,10 @@ class TradingModule extends BaseModule {
 
     initialize(context) {
         super.initialize(context);
+        this.bindContracts();
+    }
+
+    bindContracts() {
         this.tradingContract = this.getContract('Trading');
         this.oracleContract = this.getContract('Oracle');
     }
@@ -24,12 +28,16 @@ class TradingModule extends BaseModule {
         const tx = await this.tradingContract.createLimitOrder(
             userAddress, tokenIn, tokenOut, amountInWei, targetPriceWei, 0, isLong, options
         );
-
-        const receipt = await this.handleTransaction(() => tx.wait(), 'Create limit order');
-        const orderId = this.extractEventData(receipt, 'OrderCreated', 'orderId');
-
-        this.logInfo(`Created limit order ${orderId}: ${amountIn} ${this.getTokenSymbol(tokenIn)} at ${targetPrice}`);
-        return orderId;
+        return this.finishWrite(tx, options, 'Create limit order', ({receipt}) => {
+            const orderId = this.extractEventData(receipt, 'OrderCreated', 'orderId');
+
+            this.logInfo(`Created limit order ${orderId}: ${amountIn} ${this.getTokenSymbol(tokenIn)} at ${targetPrice}`);
+            this.publish('orderCreated', {
+                orderId, orderType: 'LIMIT', user: userAddress, tokenIn, tokenOut, amountIn, targetPrice, isLong,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {orderId};
+        });
     }
 
     async createStopLossOrder(tokenIn, tokenOut, amountIn, stopPrice, options = {}) {
@@ -43,12 +51,16 @@ class TradingModule extends BaseModule {
         const tx = await this.tradingContract.createStopLossOrder(
             userAddress, tokenIn, tokenOut, amountInWei, stopPriceWei, 0, options
         );
-
-        const receipt = await this.handleTransaction(() => tx.wait(), 'Create stop-loss order');
-        const orderId = this.extractEventData(receipt, 'OrderCreated', 'orderId');
-
-        this.logInfo(`Created stop-loss ${orderId}: ${amountIn} ${this.getTokenSymbol(tokenIn)} at ${stopPrice}`);
-        return orderId;
+        return this.finishWrite(tx, options, 'Create stop-loss order', ({receipt}) => {
+            const orderId = this.extractEventData(receipt, 'OrderCreated', 'orderId');
+
+            this.logInfo(`Created stop-loss ${orderId}: ${amountIn} ${this.getTokenSymbol(tokenIn)} at ${stopPrice}`);
+            this.publish('orderCreated', {
+                orderId, orderType: 'STOP_LOSS', user: userAddress, tokenIn, tokenOut, amountIn, targetPrice: stopPrice, isLong: false,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {orderId};
+        });
     }
 
     async openPosition(token, collateralAmount, leverage, isLong, options = {}) {
@@ -60,32 +72,44 @@ class TradingModule extends BaseModule {
         const tx = await this.tradingContract.openPosition(
             userAddress, token, collateralWei, leverage, isLong, options
         );
-
-        const receipt = await this.handleTransaction(() => tx.wait(), `Open ${isLong ? 'long' : 'short'} position`);
-        const positionId = this.extractEventData(receipt, 'PositionOpened', 'positionId');
-
-        this.logInfo(`Opened position ${positionId}: ${collateralAmount} collateral, ${leverage}x leverage`);
-        return positionId;
+        return this.finishWrite(tx, options, `Open ${isLong ? 'long' : 'short'} position`, ({receipt}) => {
+            const positionId = this.extractEventData(receipt, 'PositionOpened', 'positionId');
+
+            this.logInfo(`Opened position ${positionId}: ${collateralAmount} collateral, ${leverage}x leverage`);
+            this.publish('positionOpened', {
+                positionId, user: userAddress, token, collateralAmount, leverage, isLong,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {positionId};
+        });
     }
 
     async closePosition(positionId, options = {}) {
         const userAddress = await this.getUserAddress();
         const tx = await this.tradingContract.closePosition(userAddress, positionId, options);
-
-        const receipt = await this.handleTransaction(() => tx.wait(), `Close position ${positionId}`);
-        const pnl = this.extractEventData(receipt, 'PositionClosed', 'pnl');
-
-        this.logInfo(`Closed position ${positionId} with PnL: ${pnl}`);
-        return {positionId, pnl};
+        return this.finishWrite(tx, options, `Close position ${positionId}`, ({receipt}) => {
+            const pnl = this.extractEventData(receipt, 'PositionClosed', 'pnl');
+
+            this.logInfo(`Closed position ${positionId} with PnL: ${pnl}`);
+            this.publish('positionClosed', {
+                positionId, user: userAddress, pnl,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {positionId, pnl};
+        });
     }
 
     async cancelOrder(orderId, options = {}) {
         const userAddress = await this.getUserAddress();
         const tx = await this.tradingContract.cancelOrder(userAddress, orderId, options);
-
-        await this.handleTransaction(() => tx.wait(), `Cancel order ${orderId}`);
-        this.logInfo(`Cancelled order ${orderId}`);
-        return true;
+        return this.finishWrite(tx, options, `Cancel order ${orderId}`, ({receipt}) => {
+            this.logInfo(`Cancelled order ${orderId}`);
+            this.publish('orderCancelled', {
+                orderId, user: userAddress,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {orderId};
+        });
     }
 
     async modifyOrder(orderId, newTargetPrice, newMinAmountOut, options = {}) {
@@ -96,51 +120,69 @@ class TradingModule extends BaseModule {
         const tx = await this.tradingContract.modifyOrder(
             userAddress, orderId, targetPriceWei, minAmountOutWei, options
         );
-
-        await this.handleTransaction(() => tx.wait(), `Modify order ${orderId}`);
-        this.logInfo(`Modified order ${orderId}: new price ${newTargetPrice}`);
-        return true;
+        return this.finishWrite(tx, options, `Modify order ${orderId}`, ({receipt}) => {
+            this.logInfo(`Modified order ${orderId}: new price ${newTargetPrice}`);
+            this.publish('orderModified', {
+                orderId, user: userAddress, targetPrice: newTargetPrice, minAmountOut: newMinAmountOut || null,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {orderId, targetPrice: newTargetPrice, minAmountOut: newMinAmountOut || null};
+        });
     }
 
     async executeOrder(orderId, options = {}) {
         const tx = await this.tradingContract.executeOrder(orderId, options);
-
-        const receipt = await this.handleTransaction(() => tx.wait(), `Execute order ${orderId}`);
-        const amountOut = this.extractEventData(receipt, 'OrderExecuted', 'amountOut');
-
-        this.logInfo(`Executed order ${orderId}, output: ${amountOut}`);
-        return {orderId, amountOut};
+        return this.finishWrite(tx, options, `Execute order ${orderId}`, ({receipt}) => {
+            const amountOut = this.extractEventData(receipt, 'OrderExecuted', 'amountOut');
+
+            this.logInfo(`Executed order ${orderId}, output: ${amountOut}`);
+            this.publish('orderExecuted', {
+                orderId, amountOut, selfExecuted: false,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {orderId, amountOut};
+        });
     }
 
     async selfExecuteOrder(orderId, options = {}) {
         const userAddress = await this.getUserAddress();
         const tx = await this.tradingContract.selfExecuteOrder(userAddress, orderId, options);
-
-        const receipt = await this.handleTransaction(() => tx.wait(), `Self-execute order ${orderId}`);
-        const amountOut = this.extractEventData(receipt, 'OrderExecuted', 'amountOut');
-
-        this.logInfo(`Self-executed order ${orderId}, output: ${amountOut}`);
-        return {orderId, amountOut};
+        return this.finishWrite(tx, options, `Self-execute order ${orderId}`, ({receipt}) => {
+            const amountOut = this.extractEventData(receipt, 'OrderExecuted', 'amountOut');
+
+            this.logInfo(`Self-executed order ${orderId}, output: ${amountOut}`);
+            this.publish('orderExecuted', {
+                orderId, amountOut, selfExecuted: true, user: userAddress,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {orderId, amountOut};
+        });
     }
 
     async liquidatePosition(positionId, options = {}) {
         const tx = await this.tradingContract.liquidatePosition(positionId, options);
-
-        const receipt = await this.handleTransaction(() => tx.wait(), `Liquidate position ${positionId}`);
-        const reward = this.extractEventData(receipt, 'PositionLiquidated', 'reward');
-
-        this.logInfo(`Liquidated position ${positionId}, reward: ${reward}`);
-        return {positionId, reward};
+        return this.finishWrite(tx, options, `Liquidate position ${positionId}`, ({receipt}) => {
+            const reward = this.extractEventData(receipt, 'PositionLiquidated', 'reward');
+
+            this.logInfo(`Liquidated position ${positionId}, reward: ${reward}`);
+            this.publish('positionLiquidated', {
+                positionId, reward,
+                transactionHash: receipt.hash, blockNumber: receipt.blockNumber
+            });
+            return {positionId, reward};
+        });
     }
 
     async getOrder(orderId) {
         const order = await this.tradingContract.getOrder(orderId);
+        await this.resolveTokens([order.tokenIn, order.tokenOut]);
         return this.formatOrderData(order);
     }
 
     async getPosition(positionId) {
         const position = await this.tradingContract.getPosition(positionId);
         const currentPrice = await this.getCurrentPrice(position.token);
+        await this.resolveTokens([position.token]);
 
         return this.formatPositionData(position, currentPrice);
     }
@@ -324,4 +366,35 @@ class TradingModule extends BaseModule {
     }
 }
 
+TradingModule.REQUIREMENTS = {
+    Trading: {
+        methods: {
+            createLimitOrder: 7,
+            createStopLossOrder: 6,
+            openPosition: 5,
+            closePosition: 2,
+            cancelOrder: 2,
+            modifyOrder: 4,
+            executeOrder: 1,
+            selfExecuteOrder: 2,
+            liquidatePosition: 1,
+            getOrder: 1,
+            getPosition: 1,
+            getUserOrders: 1,
+            getUserPositions: 1,
+            shouldExecuteOrder: 1,
+            canExecuteOrder: 1,
+            calculateMinAmountOut: 3,
+            nextOrderId: 0,
+            nextPositionId: 0
+        },
+        events: ['OrderCreated', 'OrderExecuted', 'PositionOpened', 'PositionClosed', 'PositionLiquidated']
+    },
+    Oracle: {
+        methods: {
+            getPrice: 1
+        }
+    }
+};
+
 module.exports = TradingModule;
\ No newline at end of file
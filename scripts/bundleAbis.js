@@ -0,0 +1,73 @@
+// scripts/bundleAbis.js
+// Usage: node scripts/bundleAbis.js [contracts-project-dir]
+//        node scripts/bundleAbis.js --check
+// Copies the ABI of every ContractManager.ABI_MAP entry from the Hardhat artifacts into abis/.
+// --check fails when the committed bundle is missing any of them, so an empty bundle is never published
+const fs = require('fs');
+const path = require('path');
+const {ABI_MAP} = require('../core/ContractManager');
+
+const ABIS_DIR = path.join(__dirname, '..', 'abis');
+
+function main() {
+    const projectRoot = path.resolve(process.argv[2] || process.cwd());
+    const bundled = [];
+    const missing = [];
+
+    for (const [name, artifactPath] of Object.entries(ABI_MAP)) {
+        const fullPath = path.join(projectRoot, artifactPath);
+        if (!fs.existsSync(fullPath)) {
+            missing.push(`${name} (${artifactPath})`);
+            continue;
+        }
+
+        const artifact = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        const abi = artifact.abi || artifact;
+        if (!Array.isArray(abi)) {
+            throw new Error(`Invalid ABI format in ${fullPath}`);
+        }
+
+        fs.writeFileSync(path.join(ABIS_DIR, `${name}.json`), JSON.stringify(abi, null, 2) + '\n');
+        bundled.push(name);
+    }
+
+    // Static requires keep the bundled ABIs visible to browser bundlers
+    const entries = bundled.map(name => `    ${name}: require('./${name}.json')`);
+    fs.writeFileSync(path.join(ABIS_DIR, 'index.js'), [
+        '// abis/index.js',
+        '// Generated by scripts/bundleAbis.js from the contract artifacts, do not edit by hand',
+        'module.exports = {',
+        entries.join(',\n'),
+        '};',
+        ''
+    ].join('\n'));
+
+    console.log(`✅ Bundled ${bundled.length} ABI(s) into ${ABIS_DIR}`);
+    if (missing.length > 0) {
+        console.warn(`⚠️  Missing artifacts: ${missing.join(', ')}`);
+        process.exit(1);
+    }
+}
+
+function check() {
+    const bundle = require(path.join(ABIS_DIR, 'index.js'));
+    const missing = Object.keys(ABI_MAP).filter(name => !Array.isArray(bundle[name]) || bundle[name].length === 0);
+
+    if (missing.length > 0) {
+        console.error(`❌ abis/ is missing ${missing.length} of ${Object.keys(ABI_MAP).length} ABI(s): ${missing.join(', ')}`);
+        console.error('   Run npm run bundle-abis -- <contracts-project-dir> and commit the result before publishing');
+        process.exit(1);
+    }
+    console.log(`✅ abis/ bundles all ${Object.keys(ABI_MAP).length} ABI(s)`);
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--check')) {
+        check();
+    } else {
+        main();
+    }
+}
+
+module.exports = main;
+module.exports.check = check;
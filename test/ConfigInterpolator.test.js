@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigInterpolator = require('../utils/ConfigInterpolator');
+const ConfigManager = require('../core/ConfigManager');
+const {silentLogger} = require('./helpers/mockChain');
+
+const ENV = {RPC_KEY: 'sk-live-0123456789', RPC_URL: 'https://rpc.example/v1/sk-live-0123456789', PORT: '8545'};
+const ROUTER = '0x' + '01'.repeat(20);
+
+describe('ConfigInterpolator', () => {
+    const resolve = config => ConfigInterpolator.resolve(config, ENV);
+
+    test('puts placeholders back where the resolved value is untouched', () => {
+        const {config, placeholders} = resolve({
+            rpcUrl: 'https://rpc.example/v1/${RPC_KEY}',
+            apiKey: {env: 'RPC_KEY'},
+            port: {env: 'PORT', type: 'number'}
+        });
+
+        expect(config).toEqual({rpcUrl: ENV.RPC_URL, apiKey: ENV.RPC_KEY, port: 8545});
+        expect(ConfigInterpolator.restore({...config, name: 'local'}, placeholders)).toEqual({
+            rpcUrl: 'https://rpc.example/v1/${RPC_KEY}',
+            apiKey: {env: 'RPC_KEY'},
+            port: {env: 'PORT', type: 'number'},
+            name: 'local'
+        });
+    });
+
+    test('refuses a secret edited in place', () => {
+        const {config, placeholders} = resolve({rpcUrl: 'https://rpc.example/v1/${RPC_KEY}'});
+
+        expect(() => ConfigInterpolator.restore({rpcUrl: `${config.rpcUrl}?timeout=5`}, placeholders))
+            .toThrow('Refusing to write a value resolved from the environment to $.rpcUrl');
+    });
+
+    test('refuses a secret copied into another field', () => {
+        const {config, placeholders} = resolve({rpcUrl: '${RPC_URL}', network: {name: 'mainnet'}});
+
+        expect(() => ConfigInterpolator.restore({...config, rpcUrls: [config.rpcUrl]}, placeholders))
+            .toThrow('to $.rpcUrls[0]');
+
+        const reference = resolve({apiKey: {env: 'RPC_KEY'}, network: {name: 'mainnet'}});
+        expect(() => ConfigInterpolator.restore({...reference.config, network: {name: 'mainnet', key: ENV.RPC_KEY}}, reference.placeholders))
+            .toThrow('to $.network.key');
+    });
+
+    test('short environment values and defaults are not treated as secrets', () => {
+        const {config, placeholders} = resolve({port: '${PORT}', chain: '${CHAIN:-31337}'});
+
+        expect(ConfigInterpolator.restore({...config, rpcUrl: 'http://localhost:8545', chainId: '31337'}, placeholders)).toEqual({
+            port: '${PORT}',
+            chain: '${CHAIN:-31337}',
+            rpcUrl: 'http://localhost:8545',
+            chainId: '31337'
+        });
+    });
+
+    describe('ConfigManager.save', () => {
+        let directory;
+        let configPath;
+        const original = {
+            version: 2,
+            network: 'mainnet',
+            chainId: 1,
+            rpcUrl: 'https://rpc.example/v1/${RPC_KEY}',
+            contracts: {Router: ROUTER},
+            tokens: {}
+        };
+
+        const load = () => new ConfigManager(configPath, {env: ENV, logger: silentLogger()});
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dex-config-'));
+            configPath = path.join(directory, 'dex-config.json');
+            fs.writeFileSync(configPath, JSON.stringify(original, null, 2));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        test('writes placeholders, not environment values', () => {
+            const manager = load();
+
+            manager.setContract('Pool', '0x' + '02'.repeat(20));
+            manager.save();
+
+            const written = fs.readFileSync(configPath, 'utf8');
+            expect(JSON.parse(written)).toMatchObject({rpcUrl: original.rpcUrl, contracts: {Pool: '0x' + '02'.repeat(20)}});
+            expect(written).not.toContain(ENV.RPC_KEY);
+        });
+
+        test('refuses to save a secret RPC URL copied into rpcUrls', () => {
+            const manager = load();
+
+            expect(() => manager.update({rpcUrls: [manager.getConfig().rpcUrl]})).toThrow('to $.rpcUrls[0]');
+            expect(fs.readFileSync(configPath, 'utf8')).not.toContain(ENV.RPC_KEY);
+        });
+
+        test('refuses to save a secret RPC URL edited in place', () => {
+            const manager = load();
+
+            expect(() => manager.update({rpcUrl: `${manager.getConfig().rpcUrl}/archive`})).toThrow('to $.rpcUrl');
+            expect(fs.readFileSync(configPath, 'utf8')).not.toContain(ENV.RPC_KEY);
+        });
+    });
+});
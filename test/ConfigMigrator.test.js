@@ -0,0 +1,111 @@
+const ConfigMigrator = require('../utils/ConfigMigrator');
+
+const ROUTER = '0x' + '01'.repeat(20);
+const POOL = '0x' + '02'.repeat(20);
+const USDC = '0x' + '0a'.repeat(20);
+const WETH = '0x' + '0b'.repeat(20);
+
+const legacyConfig = () => ({
+    network: 'anvil',
+    chainId: 31337,
+    contracts: {RouterUpgradeable: ROUTER, pool: POOL},
+    tokens: [
+        {symbol: 'USDC', address: USDC, decimals: 6, initialPrice: '1'},
+        {symbol: 'WETH', address: WETH, decimals: 18, price: '3000'}
+    ]
+});
+
+describe('ConfigMigrator', () => {
+    test('upgrades a version 0 config to the current version', () => {
+        const raw = legacyConfig();
+
+        const result = ConfigMigrator.migrate(raw);
+
+        expect(result).toMatchObject({from: 0, to: ConfigMigrator.CURRENT_VERSION, migrated: true});
+        expect(result.config).toEqual({
+            version: 2,
+            network: 'anvil',
+            chainId: 31337,
+            contracts: {Router: ROUTER, Pool: POOL},
+            tokens: {
+                USDC: {symbol: 'USDC', address: USDC, decimals: 6},
+                WETH: {symbol: 'WETH', address: WETH, decimals: 18}
+            },
+            initialPrices: {USDC: '1', WETH: '3000'}
+        });
+        // The input is left as it was
+        expect(raw).toEqual(legacyConfig());
+    });
+
+    test('reports every change with its version and path', () => {
+        const {changes} = ConfigMigrator.migrate(legacyConfig());
+
+        expect(changes).toEqual([
+            {version: 1, path: '$.tokens', message: 'converted token list to an object keyed by symbol (USDC, WETH)'},
+            {version: 1, path: '$.contracts.RouterUpgradeable', message: 'renamed contract RouterUpgradeable to Router'},
+            {version: 1, path: '$.contracts.pool', message: 'renamed contract pool to Pool'},
+            {version: 2, path: '$.tokens.USDC.initialPrice', message: 'moved to initialPrices.USDC'},
+            {version: 2, path: '$.tokens.WETH.price', message: 'moved to initialPrices.WETH'}
+        ]);
+    });
+
+    test('migrates the shared part and every profile', () => {
+        const {config, changes} = ConfigMigrator.migrate({
+            contracts: {router: ROUTER},
+            profiles: {
+                staging: {tokens: [{symbol: 'USDC', address: USDC, price: '1'}]},
+                prod: {contracts: {pool: POOL}}
+            }
+        });
+
+        expect(config.contracts).toEqual({Router: ROUTER});
+        expect(config.profiles.staging).toEqual({tokens: {USDC: {symbol: 'USDC', address: USDC}}, initialPrices: {USDC: '1'}});
+        expect(config.profiles.prod.contracts).toEqual({Pool: POOL});
+        expect(changes.map(change => change.path)).toEqual([
+            '$.contracts.router',
+            '$.profiles.staging.tokens',
+            '$.profiles.prod.contracts.pool',
+            '$.profiles.staging.tokens.USDC.price'
+        ]);
+    });
+
+    test('keeps names that would collide and prices that are already set', () => {
+        const {config, changes} = ConfigMigrator.migrate({
+            version: 1,
+            contracts: {Router: ROUTER, router: POOL, Custom: USDC},
+            tokens: {USDC: {address: USDC, price: '2'}},
+            initialPrices: {USDC: '1'}
+        });
+
+        expect(config.initialPrices).toEqual({USDC: '1'});
+        expect(config.tokens.USDC).toEqual({address: USDC});
+        // Version 1 steps do not run again on a version 1 config
+        expect(config.contracts).toEqual({Router: ROUTER, router: POOL, Custom: USDC});
+        expect(changes).toEqual([{version: 2, path: '$.tokens.USDC.price', message: 'dropped, initialPrices.USDC is already set'}]);
+    });
+
+    test('leaves a current config alone', () => {
+        const current = {version: ConfigMigrator.CURRENT_VERSION, contracts: {router: ROUTER}};
+
+        const result = ConfigMigrator.migrate(current);
+
+        expect(result).toMatchObject({migrated: false, changes: [], config: current});
+        expect(ConfigMigrator.needsMigration(current)).toBe(false);
+        expect(ConfigMigrator.describe(result)).toBe('config is at version 2');
+    });
+
+    test('describes the steps that ran', () => {
+        const result = ConfigMigrator.migrate(legacyConfig());
+
+        expect(ConfigMigrator.needsMigration(legacyConfig())).toBe(true);
+        expect(ConfigMigrator.describe(result)).toBe(
+            'v0 -> v2 (v1 tokens keyed by symbol, contract names matching ABI_MAP; v2 initial prices moved from tokens to initialPrices), 5 change(s)'
+        );
+    });
+
+    test('refuses versions it cannot migrate', () => {
+        expect(() => ConfigMigrator.migrate({version: 3})).toThrow('newer than this SDK supports');
+        expect(() => ConfigMigrator.migrate({version: '1'})).toThrow('Invalid config version "1"');
+        expect(() => ConfigMigrator.migrate({version: -1})).toThrow(expect.objectContaining({code: 'VALIDATION_ERROR'}));
+    });
+});
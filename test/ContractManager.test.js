@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContractManager = require('../core/ContractManager');
+const {MockChain, silentLogger} = require('./helpers/mockChain');
+
+const ORACLE = '0x' + '02'.repeat(20);
+
+describe('ContractManager ABI lookup', () => {
+    let directory;
+    let chain;
+
+    const createManager = (options = {}) => new ContractManager(
+        {getContracts: () => ({Oracle: ORACLE}), getConfig: () => ({})},
+        chain.provider,
+        null,
+        {logger: silentLogger(), batchReads: false, artifactsPath: path.join(directory, 'artifacts'), ...options}
+    );
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dex-abis-'));
+        chain = new MockChain();
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    test('a contract without an ABI anywhere fails initialize with the contract and where it was looked for', async () => {
+        const manager = createManager();
+
+        await expect(manager.initialize()).rejects.toMatchObject({
+            code: 'ABI_NOT_FOUND',
+            message: expect.stringContaining(`ABI not found for contract Oracle: it is not in options.abis, the artifacts under ${path.join(directory, 'artifacts')}`)
+        });
+        expect(() => createManager({artifactsPath: false}).loadABI('Oracle')).toThrow('artifacts (lookup disabled)');
+    });
+
+    test('an ABI from the artifacts path is used when the bundle has none', async () => {
+        fs.mkdirSync(path.join(directory, 'artifacts'));
+        fs.writeFileSync(
+            path.join(directory, 'artifacts', 'Oracle.json'),
+            JSON.stringify({abi: ['function getPrice(address) view returns (uint256)']})
+        );
+        const manager = createManager();
+
+        await manager.initialize();
+
+        expect(manager.getContract('Oracle').interface.getFunction('getPrice')).not.toBeNull();
+    });
+});
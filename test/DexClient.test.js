@@ -0,0 +1,130 @@
+const {ethers} = require('ethers');
+const DexClient = require('../core/DexClient');
+const FailoverProvider = require('../core/FailoverProvider');
+const {silentLogger} = require('./helpers/mockChain');
+
+const ORACLE = '0x' + '02'.repeat(20);
+const ABIS = {Oracle: ['function getPrice(address) view returns (uint256)']};
+
+// Answers only what initialize() asks for: the chain id
+class ChainProvider extends ethers.AbstractProvider {
+    constructor(chainId) {
+        super(chainId);
+        this.chainId = chainId;
+    }
+
+    async _detectNetwork() {
+        return ethers.Network.from(this.chainId);
+    }
+
+    async _perform(req) {
+        if (req.method === 'chainId') {
+            return this.chainId;
+        }
+        throw new Error(`unsupported ${req.method}`);
+    }
+}
+
+describe('DexClient chain verification', () => {
+    const clients = [];
+
+    const createClient = (config, options = {}) => {
+        const logger = silentLogger();
+        const warnings = [];
+        logger.warn = message => warnings.push(message);
+        const client = new DexClient({
+            config: {network: 'local', contracts: {Oracle: ORACLE}, tokens: {}, ...config},
+            artifactsPath: false,
+            abis: ABIS,
+            batchReads: false,
+            logger,
+            ...options
+        });
+        client.warnings = warnings;
+        clients.push(client);
+        return client;
+    };
+
+    afterEach(() => {
+        clients.splice(0).forEach(client => client.dispose());
+    });
+
+    test('a provider on another chain only warns when the config names no chain', async () => {
+        const client = createClient({}, {provider: new ChainProvider(1)});
+
+        await client.initialize();
+
+        expect(client.chainId).toBe(1);
+        expect(client.warnings.some(message => message.includes('Provider is on chain 1'))).toBe(true);
+    });
+
+    test('a provider on another chain is rejected when the config names its chain', async () => {
+        const client = createClient({chainId: 5}, {provider: new ChainProvider(1)});
+
+        await expect(client.initialize()).rejects.toThrow('Chain ID mismatch: provider is on chain 1');
+    });
+
+    test('connectProvider applies the same rule', async () => {
+        const lenient = createClient({}, {provider: new ChainProvider(31337)});
+        await lenient.initialize();
+        await lenient.connectProvider(new ChainProvider(1));
+        expect(lenient.chainId).toBe(1);
+
+        const strict = createClient({chainId: 31337}, {provider: new ChainProvider(31337)});
+        await strict.initialize();
+        await expect(strict.connectProvider(new ChainProvider(1))).rejects.toThrow('Chain ID mismatch');
+        expect(strict.chainId).toBe(31337);
+    });
+
+    describe('with RPC endpoints from the config', () => {
+        let answer;
+
+        beforeEach(() => {
+            jest.spyOn(FailoverProvider.prototype, '_performOn').mockImplementation(function (endpoint, req) {
+                return answer(endpoint, req).then(
+                    result => {
+                        this._recordSuccess(endpoint, 1);
+                        return result;
+                    },
+                    error => {
+                        this._recordFailure(endpoint, error);
+                        throw error;
+                    }
+                );
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('endpoints on another chain are rejected when the config names its chain', async () => {
+            answer = async (endpoint, req) => (req.method === 'chainId' ? 1n : 10);
+            const client = createClient({chainId: 5, rpcUrl: 'https://rpc.example'});
+
+            await expect(client.initialize()).rejects.toThrow('Chain ID mismatch: 1 of 1 RPC endpoint(s) do not serve chain 5');
+        });
+
+        test('endpoints on another chain stay in use with a warning on the default chain', async () => {
+            answer = async (endpoint, req) => (req.method === 'chainId' ? 1n : 10);
+            const client = createClient({rpcUrl: 'https://rpc.example'});
+
+            await client.initialize();
+
+            expect(client.getProviderHealth().healthyEndpoints).toBe(1);
+            expect(client.warnings.some(message => message.includes('do not serve chain 31337'))).toBe(true);
+        });
+
+        test('a configured chain that no endpoint could confirm fails initialize', async () => {
+            answer = async () => {
+                throw ethers.makeError('connection refused', 'SERVER_ERROR');
+            };
+            const client = createClient({chainId: 5, rpcUrl: 'https://rpc.example'});
+
+            await expect(client.initialize()).rejects.toMatchObject({
+                code: 'NETWORK_ERROR',
+                message: expect.stringContaining('cannot verify that they serve chain 5')
+            });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+const {ethers} = require('ethers');
+const FailoverProvider = require('../core/FailoverProvider');
+const {silentLogger} = require('./helpers/mockChain');
+
+const URLS = ['https://rpc-a.example/v1/secret-key', 'https://rpc-b.example', 'https://rpc-c.example'];
+const CALL = {to: '0x' + '11'.repeat(20), data: '0x12345678'};
+
+const networkError = () => ethers.makeError('connection refused', 'SERVER_ERROR');
+const revert = () => ethers.makeError('execution reverted', 'CALL_EXCEPTION');
+
+describe('FailoverProvider', () => {
+    let provider;
+
+    // Endpoint i answers every request with handlers[i](req); strings and errors are returned or thrown as is
+    const createProvider = (handlers, options = {}) => {
+        provider = new FailoverProvider(URLS.slice(0, handlers.length), 31337, {
+            logger: silentLogger(),
+            requestTimeoutMs: 50,
+            ...options
+        });
+        provider.endpoints.forEach((endpoint, index) => {
+            const answer = jest.fn(async req => {
+                const result = await handlers[index](req);
+                if (result instanceof Error) {
+                    throw result;
+                }
+                return result;
+            });
+            endpoint.provider.destroy();
+            endpoint.provider = {_perform: answer, send: (method, params) => answer({method, params}), destroy() {}};
+        });
+        return provider;
+    };
+
+    const calls = index => provider.endpoints[index].provider._perform.mock.calls.length;
+
+    afterEach(() => {
+        provider.destroy();
+    });
+
+    describe('failover', () => {
+        test('moves to the next endpoint when one is down', async () => {
+            createProvider([() => networkError(), () => '0x2a']);
+
+            expect(await provider.getBlockNumber()).toBe(42);
+            expect(calls(0)).toBe(1);
+            expect(provider.endpoints[0]).toMatchObject({failures: 1, consecutiveFailures: 1, lastError: 'connection refused'});
+        });
+
+        test('a revert is an answer and is not retried elsewhere', async () => {
+            createProvider([() => revert(), () => '0x']);
+
+            await expect(provider.call(CALL)).rejects.toMatchObject({code: 'CALL_EXCEPTION'});
+            expect(calls(1)).toBe(0);
+            expect(provider.endpoints[0].consecutiveFailures).toBe(0);
+        });
+
+        test('an endpoint that does not answer in time fails over', async () => {
+            createProvider([() => new Promise(() => {}), () => '0x2a']);
+
+            expect(await provider.send('eth_blockNumber', [])).toBe('0x2a');
+            expect(provider.endpoints[0].lastError).toContain('timed out');
+        });
+
+        test('a failing endpoint drops behind the ones that answer', async () => {
+            createProvider([() => networkError(), () => '0x2a']);
+
+            await provider.send('eth_blockNumber', []);
+            await provider.send('eth_blockNumber', []);
+            await provider.send('eth_blockNumber', []);
+
+            expect(calls(0)).toBe(1);
+            expect(calls(1)).toBe(3);
+            expect(provider.getOrderedEndpoints().map(endpoint => endpoint.url)).toEqual([URLS[1], URLS[0]]);
+        });
+
+        test('an endpoint failing repeatedly cools down but is still tried as a last resort', async () => {
+            createProvider([() => networkError()], {maxConsecutiveFailures: 2});
+
+            await expect(provider.send('eth_blockNumber', [])).rejects.toThrow('connection refused');
+            await expect(provider.send('eth_blockNumber', [])).rejects.toThrow('connection refused');
+
+            expect(provider.getHealth()).toMatchObject({healthyEndpoints: 0, endpoints: [{healthy: false, consecutiveFailures: 2}]});
+            await expect(provider.send('eth_blockNumber', [])).rejects.toThrow('connection refused');
+            expect(calls(0)).toBe(3);
+        });
+
+        test('the last error is thrown when every endpoint fails', async () => {
+            createProvider([() => networkError(), () => new Error('bad gateway')]);
+
+            await expect(provider.send('eth_blockNumber', [])).rejects.toThrow('bad gateway');
+        });
+
+        test('health checks exclude endpoints on another chain', async () => {
+            createProvider([req => (req.method === 'chainId' ? 1n : 7), req => (req.method === 'chainId' ? 31337n : 9)]);
+
+            const health = await provider.checkHealth();
+
+            expect(health.endpoints[0]).toMatchObject({wrongChain: true, healthy: false, score: 0});
+            expect(health.endpoints[1]).toMatchObject({healthy: true, blockNumber: 9, blocksBehind: 0});
+            expect(provider.getOrderedEndpoints()).toHaveLength(1);
+        });
+
+        test('reported URLs keep only the origin', () => {
+            createProvider([() => '0x1']);
+
+            expect(provider.getHealth().endpoints[0].url).toBe('https://rpc-a.example');
+        });
+    });
+
+    describe('quorum', () => {
+        test('returns the answer enough endpoints agree on', async () => {
+            createProvider([() => '0xAA', () => '0xbb', () => '0xaa']);
+
+            expect((await provider.quorumCall(CALL)).toLowerCase()).toBe('0xaa');
+        });
+
+        test('fails when too few answers match', async () => {
+            createProvider([() => '0xaa', () => networkError(), () => '0xbb']);
+
+            await expect(provider.quorumCall(CALL)).rejects.toMatchObject({
+                code: 'NETWORK_ERROR',
+                message: expect.stringContaining('RPC quorum not reached: 1/2 matching answers from 3 endpoint(s)')
+            });
+        });
+
+        test('a revert enough endpoints agree on is thrown as is', async () => {
+            createProvider([() => revert(), () => revert(), () => networkError()]);
+
+            await expect(provider.quorumCall(CALL)).rejects.toMatchObject({code: 'CALL_EXCEPTION'});
+        });
+
+        test('quorum and quorumSize can be set per call', async () => {
+            createProvider([() => '0xaa', () => '0xaa', () => '0xaa']);
+
+            expect(await provider.quorumCall(CALL, {quorum: 1, quorumSize: 1})).toBe('0xaa');
+            expect(calls(1)).toBe(0);
+            expect(await provider.quorumCall(CALL, {quorum: 3})).toBe('0xaa');
+        });
+
+        test('endpoints on another chain do not vote', async () => {
+            createProvider([() => '0xaa', () => '0xbb', () => '0xbb']);
+            provider.endpoints[1].wrongChain = true;
+
+            await expect(provider.quorumCall(CALL)).rejects.toThrow('RPC quorum not reached');
+            expect(calls(1)).toBe(0);
+        });
+    });
+});
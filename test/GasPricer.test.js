@@ -0,0 +1,144 @@
+const {ethers} = require('ethers');
+const GasPricer = require('../core/GasPricer');
+const {GasCapExceededError} = require('../utils/errors');
+const {silentLogger} = require('./helpers/mockChain');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+// Fee history of three blocks whose next base fee is 20 gwei
+const FEE_HISTORY = {
+    baseFeePerGas: [gwei(18), gwei(19), gwei(19), gwei(20)].map(ethers.toQuantity),
+    reward: [[gwei(1)], [gwei(3)], [gwei(2)]].map(reward => reward.map(ethers.toQuantity))
+};
+
+const createProvider = ({feeHistory = FEE_HISTORY, feeData = [null, gwei(30), gwei(2)]} = {}) => ({
+    send: jest.fn(async method => {
+        if (method !== 'eth_feeHistory' || !feeHistory) {
+            throw new Error(`method ${method} not supported`);
+        }
+        return feeHistory;
+    }),
+    getFeeData: jest.fn(async () => new ethers.FeeData(...feeData))
+});
+
+describe('GasPricer', () => {
+    const createPricer = (provider, options = {}) => new GasPricer(provider, {logger: silentLogger(), ...options});
+
+    describe('strategy selection', () => {
+        test('speed names map to fee history percentiles', () => {
+            const pricer = createPricer(createProvider());
+
+            expect(pricer.resolveStrategy('slow')).toMatchObject({type: 'percentile', name: 'slow', percentile: 10});
+            expect(pricer.resolveStrategy()).toMatchObject({name: 'standard', percentile: 50});
+            expect(pricer.resolveStrategy({type: 'percentile', percentile: 75})).toMatchObject({name: 'p75', percentile: 75});
+        });
+
+        test('registered strategies resolve by name', async () => {
+            const pricer = createPricer(createProvider());
+            pricer.registerStrategy('urgent', {type: 'fixed', maxFeePerGas: 50, maxPriorityFeePerGas: 5});
+
+            pricer.setStrategy('urgent');
+
+            expect(await pricer.getFees()).toEqual({maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(5), strategy: 'urgent'});
+        });
+
+        test('invalid strategies are refused', () => {
+            const pricer = createPricer(createProvider());
+
+            expect(() => pricer.setStrategy('ludicrous')).toThrow('Unknown gas strategy: ludicrous');
+            expect(() => pricer.resolveStrategy({type: 'percentile', percentile: 120})).toThrow('between 0 and 100');
+            expect(() => pricer.resolveStrategy({type: 'fixed'})).toThrow('needs gasPrice or maxFeePerGas');
+            expect(() => pricer.registerStrategy('fast', () => ({}))).toThrow('built in');
+            expect(pricer.options.strategy).toBe('standard');
+        });
+
+        test('percentile strategies price from fee history', async () => {
+            const provider = createProvider();
+            const pricer = createPricer(provider);
+
+            const fees = await pricer.getFees('fast');
+
+            expect(provider.send).toHaveBeenCalledWith('eth_feeHistory', ['0x14', 'latest', [90]]);
+            expect(fees).toEqual({maxFeePerGas: gwei(42), maxPriorityFeePerGas: gwei(2), strategy: 'fast'});
+        });
+
+        test('without fee history the node fee data is scaled by the speed', async () => {
+            const provider = createProvider({feeHistory: null});
+            const pricer = createPricer(provider);
+
+            const fees = await pricer.getFees('fast');
+            await pricer.getFees('slow');
+
+            expect(fees).toEqual({maxFeePerGas: gwei(30.5), maxPriorityFeePerGas: gwei(2.5), strategy: 'fast'});
+            // An unsupported eth_feeHistory is not asked again
+            expect(provider.send).toHaveBeenCalledTimes(1);
+        });
+
+        test('chains without EIP-1559 get a gasPrice', async () => {
+            const pricer = createPricer(createProvider({feeHistory: null, feeData: [gwei(10), null, null]}));
+
+            expect(await pricer.getFees('fast')).toEqual({gasPrice: gwei(12.5), strategy: 'fast'});
+        });
+
+        test('custom functions receive the provider and pricer', async () => {
+            const provider = createProvider();
+            const pricer = createPricer(provider);
+            let received;
+            const tip = async context => {
+                received = context;
+                return {gasPrice: 7n};
+            };
+
+            expect(await pricer.getFees(tip)).toEqual({gasPrice: 7n, strategy: 'tip'});
+            expect(received).toEqual({provider, pricer});
+            await expect(pricer.getFees(() => ({}))).rejects.toThrow('must return gasPrice or maxFeePerGas');
+        });
+    });
+
+    describe('caps', () => {
+        test('strategy fees are clamped to the gas price cap', async () => {
+            const pricer = createPricer(createProvider(), {maxGasPriceGwei: 25});
+
+            const fees = await pricer.getFees({type: 'fixed', maxFeePerGas: 100, maxPriorityFeePerGas: 40});
+
+            expect(fees).toMatchObject({maxFeePerGas: gwei(25), maxPriorityFeePerGas: gwei(25)});
+        });
+
+        test('the priority fee never exceeds a clamped max fee', async () => {
+            const pricer = createPricer(createProvider(), {maxGasPriceGwei: 30});
+
+            expect(await pricer.getFees('standard')).toMatchObject({maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2)});
+            expect(await pricer.getFees({type: 'fixed', maxFeePerGas: 29, maxPriorityFeePerGas: 35})).toMatchObject({
+                maxFeePerGas: gwei(29),
+                maxPriorityFeePerGas: gwei(29)
+            });
+        });
+
+        test('fees and limits set by the caller are refused over the caps', async () => {
+            const pricer = createPricer(createProvider(), {maxGasPriceGwei: 25, maxGasLimit: 1000000});
+
+            await expect(pricer.withFees({maxFeePerGas: gwei(26)}, 'standard', {contract: 'Router', method: 'swap'}))
+                .rejects.toMatchObject({name: 'GasCapExceededError', contract: 'Router', method: 'swap'});
+            expect(() => pricer.enforceCaps({gasLimit: 1000001n})).toThrow(GasCapExceededError);
+            expect(pricer.enforceCaps({gasPrice: gwei(25), gasLimit: 1000000n})).toEqual({gasPrice: gwei(25), gasLimit: 1000000n});
+        });
+
+        test('explicit fees are kept instead of the strategy', async () => {
+            const provider = createProvider();
+            const pricer = createPricer(provider);
+
+            expect(await pricer.withFees({gasPrice: gwei(3)})).toEqual({gasPrice: gwei(3)});
+            expect(provider.send).not.toHaveBeenCalled();
+        });
+
+        test('gas estimates are padded by the multiplier up to the limit cap', async () => {
+            const pricer = createPricer(createProvider(), {maxGasLimit: 150000});
+            const estimator = {estimateGas: jest.fn(async () => 100000n)};
+
+            expect(await pricer.estimateGasLimit({}, estimator)).toBe(120000n);
+            expect(await pricer.estimateGasLimit({}, estimator, 2)).toBe(150000n);
+            estimator.estimateGas.mockResolvedValueOnce(150001n);
+            await expect(pricer.estimateGasLimit({}, estimator)).rejects.toThrow(GasCapExceededError);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransactionManager = require('../core/TransactionManager');
+const TransactionJournal = require('../core/TransactionJournal');
+const {MockChain, silentLogger} = require('./helpers/mockChain');
+
+const TARGET = '0x' + '11'.repeat(20);
+
+describe('TransactionJournal recovery', () => {
+    let directory;
+    let journalPath;
+    let chain;
+    const managers = [];
+
+    const openJournal = () => new TransactionJournal(journalPath, {logger: silentLogger()});
+
+    const createManager = (signer = chain.signer, options = {}) => {
+        const manager = new TransactionManager(signer, {
+            logger: silentLogger(),
+            pollIntervalMs: 5,
+            journal: openJournal(),
+            ...options
+        });
+        managers.push(manager);
+        return manager;
+    };
+
+    // Restarts on the same journal file and hands the unsettled entries to a fresh manager
+    const restart = async (signer = chain.signer, options = {}) => {
+        managers.forEach(manager => manager.dispose());
+        const manager = createManager(signer, options);
+        const recovered = await manager.recover(manager.journal.getUnsettled());
+        return {manager, recovered};
+    };
+
+    const byNonce = (recovered, nonce) => recovered.find(transaction => transaction.nonce === nonce);
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dex-journal-'));
+        journalPath = path.join(directory, 'transactions.jsonl');
+        chain = new MockChain({nonce: 5});
+    });
+
+    afterEach(() => {
+        managers.splice(0).forEach(manager => manager.dispose());
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    test('keeps the last line of each transaction with bigints restored', async () => {
+        const manager = createManager();
+        const response = await manager.send({to: TARGET, data: '0x01', value: 3n}, {contract: 'Router', method: 'swap', args: ['1']});
+
+        const lines = fs.readFileSync(journalPath, 'utf8').trim().split('\n');
+        const entry = openJournal().get(response.id);
+
+        expect(lines.map(line => JSON.parse(line).status)).toEqual(['queued', 'pending']);
+        expect(entry).toMatchObject({status: 'pending', nonce: 5, hash: response.hash, contract: 'Router', method: 'swap', args: ['1']});
+        expect(entry.request.value).toBe(3n);
+        expect(entry.gasLimit).toBe(100000n);
+    });
+
+    test('skips a line cut short by a crash and compacts the file on load', async () => {
+        const manager = createManager();
+        await manager.send({to: TARGET, data: '0x01'});
+        fs.appendFileSync(journalPath, '{"id":"trunc');
+
+        const journal = openJournal();
+
+        expect(journal.getEntries()).toHaveLength(1);
+        expect(fs.readFileSync(journalPath, 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    test('compacts while running once compactEvery lines were appended', () => {
+        const journal = new TransactionJournal(journalPath, {logger: silentLogger(), keepSettled: 2, compactEvery: 4});
+        const lines = () => fs.readFileSync(journalPath, 'utf8').trim().split('\n');
+
+        journal.record({id: 'open', status: 'pending'});
+        for (const id of ['a', 'b', 'c', 'd', 'e']) {
+            journal.record({id, status: 'queued'});
+            journal.record({id, status: 'mined'});
+        }
+
+        // Compacted after the 4th and 8th lines, the last three are appended to the compacted file
+        expect(lines()).toHaveLength(7);
+        journal.record({id: 'f', status: 'queued'});
+
+        expect(lines().map(line => JSON.parse(line).id)).toEqual(['open', 'd', 'e', 'f']);
+        expect(journal.getEntries().map(entry => entry.id)).toEqual(['open', 'd', 'e', 'f']);
+        expect(openJournal().getUnsettled().map(entry => entry.id)).toEqual(['open', 'f']);
+    });
+
+    test('settles, resumes or drops what the previous process left pending', async () => {
+        const first = createManager();
+        const [mined, replaced, resumed, evicted] = await Promise.all(
+            [1, 2, 3, 4].map(i => first.send({to: TARGET, data: `0x0${i}`}))
+        );
+        first.dispose();
+        chain.mine(mined.hash);
+        chain.mempool.delete(replaced.hash);
+        chain.useNonceElsewhere(replaced.nonce);
+        // Gone from the mempool while its nonce is still free
+        chain.mempool.delete(evicted.hash);
+
+        const {manager, recovered} = await restart();
+
+        expect(byNonce(recovered, mined.nonce).status).toBe('mined');
+        expect(byNonce(recovered, resumed.nonce).status).toBe('pending');
+        expect(manager.getTransaction(evicted.id)).toMatchObject({status: 'dropped', error: expect.stringContaining('can be sent again')});
+        expect(manager.getTransaction(replaced.id)).toMatchObject({status: 'dropped', error: expect.stringContaining('replaced')});
+
+        chain.mine(resumed.hash);
+        expect((await manager.wait(resumed.id)).hash).toBe(resumed.hash);
+        expect(openJournal().getUnsettled()).toHaveLength(0);
+    });
+
+    test('a send interrupted before signing is dropped while its nonce is free', async () => {
+        const first = createManager();
+        chain.signer.sendTransaction = () => new Promise(() => {});
+        first.send({to: TARGET, data: '0x01'});
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const {manager, recovered} = await restart();
+
+        expect(recovered).toHaveLength(1);
+        expect(recovered[0]).toMatchObject({status: 'dropped', nonce: 5, hashes: []});
+        await expect(manager.wait(recovered[0].id)).rejects.toMatchObject({reason: 'interrupted'});
+    });
+
+    describe('broadcast unknown', () => {
+        let entryId;
+
+        // The signer broadcast the transaction, but the process stopped before the hash reached the journal
+        beforeEach(async () => {
+            const first = createManager();
+            const {sendTransaction} = chain.signer;
+            chain.signer.sendTransaction = async request => {
+                await sendTransaction(request);
+                return new Promise(() => {});
+            };
+            first.send({to: TARGET, data: '0x01'}, {contract: 'Router', method: 'swap', args: []});
+            await new Promise(resolve => setTimeout(resolve, 10));
+            chain.signer.sendTransaction = sendTransaction;
+            entryId = openJournal().getUnsettled()[0].id;
+        });
+
+        test('is kept as unknown, not dropped or sent again', async () => {
+            const unknown = jest.fn();
+            managers.forEach(manager => manager.dispose());
+            const manager = createManager();
+            manager.on('unknown', unknown);
+
+            const recovered = await manager.recover(manager.journal.getUnsettled());
+
+            expect(recovered[0]).toMatchObject({id: entryId, status: 'unknown', nonce: 5});
+            expect(recovered[0].error).toContain('nonce 5 is pending');
+            expect(unknown).toHaveBeenCalledTimes(1);
+            expect(chain.sent).toHaveLength(1);
+            expect(openJournal().getUnsettled().map(entry => entry.status)).toEqual(['unknown']);
+            expect(manager.getPending()).toHaveLength(0);
+        });
+
+        test('reconciling with the hash tracks it until mined', async () => {
+            const {manager} = await restart();
+
+            const reconciled = manager.reconcile(entryId, chain.sent[0].hash);
+
+            expect(reconciled.status).toBe('pending');
+            chain.mine(chain.sent[0].hash);
+            expect((await manager.wait(entryId)).hash).toBe(chain.sent[0].hash);
+            expect(openJournal().get(entryId).status).toBe('mined');
+        });
+
+        test('reconciling without a hash drops it', async () => {
+            const {manager} = await restart();
+
+            expect(manager.reconcile(entryId).status).toBe('dropped');
+            expect(() => manager.reconcile(entryId)).toThrow('only unknown transactions can be reconciled');
+            expect(openJournal().getUnsettled()).toHaveLength(0);
+        });
+
+        test('a restart before reconciling finds it unknown again', async () => {
+            await restart();
+
+            const {recovered} = await restart();
+
+            expect(recovered.map(transaction => transaction.status)).toEqual(['unknown']);
+        });
+    });
+
+    test('without the sender\'s signer recovered transactions are tracked but cannot be replaced', async () => {
+        const first = createManager();
+        const response = await first.send({to: TARGET, data: '0x01'});
+
+        const {manager, recovered} = await restart(null, {provider: chain.provider, address: chain.address});
+
+        expect(recovered[0]).toMatchObject({status: 'pending', external: true});
+        expect(() => manager.speedUp(response.id)).toThrow('was not signed by a signer of this client');
+        chain.mine(response.hash);
+        expect((await manager.wait(response.id)).hash).toBe(response.hash);
+    });
+});
@@ -0,0 +1,283 @@
+const {ethers} = require('ethers');
+const TransactionManager = require('../core/TransactionManager');
+const GasPricer = require('../core/GasPricer');
+const {TransactionReplacedError, TimeoutError, GasCapExceededError} = require('../utils/errors');
+const {MockChain, silentLogger, waitFor} = require('./helpers/mockChain');
+
+const TARGET = '0x' + '11'.repeat(20);
+
+describe('TransactionManager', () => {
+    let chain;
+    let manager;
+
+    const createManager = (options = {}) => new TransactionManager(chain.signer, {
+        logger: silentLogger(),
+        pollIntervalMs: 5,
+        ...options
+    });
+
+    beforeEach(() => {
+        chain = new MockChain({nonce: 7});
+        manager = createManager();
+    });
+
+    afterEach(() => {
+        manager.dispose();
+    });
+
+    describe('nonce queue', () => {
+        test('concurrent sends get consecutive nonces from the pending count', async () => {
+            const responses = await Promise.all([1, 2, 3].map(i => manager.send({to: TARGET, data: `0x0${i}`})));
+
+            expect(responses.map(response => response.nonce)).toEqual([7, 8, 9]);
+            expect(await manager.getNextNonce()).toBe(10);
+            expect(manager.getPending()).toHaveLength(3);
+        });
+
+        test('a send the signer refuses gives its nonce back', async () => {
+            chain.sendErrors.push(ethers.makeError('user rejected', 'ACTION_REJECTED'));
+
+            await expect(manager.send({to: TARGET, data: '0x01'})).rejects.toThrow('user rejected');
+            const response = await manager.send({to: TARGET, data: '0x02'});
+
+            expect(response.nonce).toBe(7);
+            expect(manager.getTransactions('failed')).toHaveLength(1);
+        });
+
+        test('a send that may have reached the node reads the next nonce from the node', async () => {
+            // The node took the transaction, but its answer never came back
+            const {sendTransaction} = chain.signer;
+            chain.signer.sendTransaction = async request => {
+                chain.signer.sendTransaction = sendTransaction;
+                await sendTransaction(request);
+                throw ethers.makeError('request timeout', 'TIMEOUT');
+            };
+
+            await expect(manager.send({to: TARGET, data: '0x01'})).rejects.toThrow('request timeout');
+            const response = await manager.send({to: TARGET, data: '0x02'});
+
+            expect(response.nonce).toBe(8);
+            expect(chain.sent.map(transaction => transaction.nonce)).toEqual([7, 8]);
+        });
+
+        test('resyncs with the node once when the nonce was used elsewhere', async () => {
+            await manager.send({to: TARGET, data: '0x01'});
+            chain.useNonceElsewhere(8);
+            chain.sendErrors.push(ethers.makeError('nonce too low', 'NONCE_EXPIRED'));
+
+            const response = await manager.send({to: TARGET, data: '0x02'});
+
+            expect(response.nonce).toBe(9);
+        });
+
+        test('an explicit nonce is used as is and not retried', async () => {
+            chain.sendErrors.push(ethers.makeError('nonce too low', 'NONCE_EXPIRED'));
+
+            await expect(manager.send({to: TARGET, data: '0x01', nonce: 3})).rejects.toThrow('nonce too low');
+            expect(chain.sent).toHaveLength(0);
+        });
+
+        test('resetNonce reads the nonce from the node again', async () => {
+            await manager.send({to: TARGET, data: '0x01'});
+            chain.useNonceElsewhere(20);
+
+            await manager.resetNonce();
+
+            expect((await manager.send({to: TARGET, data: '0x02'})).nonce).toBe(21);
+        });
+    });
+
+    describe('wait', () => {
+        test('resolves with the receipt once the monitor sees it mined', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            const stages = [];
+            manager.on('progress', event => stages.push(event.stage));
+
+            chain.mine(response.hash);
+            const receipt = await response.wait();
+
+            expect(receipt.hash).toBe(response.hash);
+            expect(manager.getTransaction(response.id).status).toBe('mined');
+            expect(stages).toEqual(['mined', 'confirmed']);
+        });
+
+        test('rejects with the revert when the transaction fails on chain', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+
+            chain.mine(response.hash, 0);
+
+            await expect(response.wait()).rejects.toMatchObject({code: 'CALL_EXCEPTION'});
+            expect(manager.getTransaction(response.id).status).toBe('failed');
+        });
+
+        test('counts further confirmations from new blocks', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'}, {confirmations: 3});
+            const counted = [];
+            manager.on('progress', event => event.stage === 'confirmed' && counted.push(event.confirmations));
+
+            chain.mine(response.hash);
+            await waitFor(() => manager.getTransaction(response.id).status === 'mined');
+            chain.addBlocks(2);
+            await response.wait();
+
+            expect(counted).toEqual([1, 3]);
+            expect(manager.getTransaction(response.id).confirmations).toBe(3);
+        });
+
+        test('history pruning keeps transactions still counting confirmations', async () => {
+            manager.dispose();
+            manager = createManager({historySize: 1});
+            const confirming = await manager.send({to: TARGET, data: '0x01'}, {confirmations: 10});
+            chain.mine(confirming.hash);
+            await waitFor(() => manager.getTransaction(confirming.id).status === 'mined');
+
+            for (const data of ['0x02', '0x03']) {
+                const response = await manager.send({to: TARGET, data});
+                chain.mine(response.hash);
+                await response.wait();
+            }
+
+            expect(manager.getTransaction(confirming.id).confirmations).toBeLessThan(10);
+            chain.addBlocks(10);
+            expect((await confirming.wait()).hash).toBe(confirming.hash);
+        });
+
+        test('a timeout rejects the wait and keeps the transaction tracked', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            const stages = [];
+            manager.on('progress', event => stages.push(event.stage));
+
+            await expect(response.wait(1, 20)).rejects.toBeInstanceOf(TimeoutError);
+
+            expect(stages).toContain('timeout');
+            expect(manager.getTransaction(response.id).status).toBe('pending');
+        });
+
+        test('a nonce mined by another transaction drops the tracked one', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+
+            chain.mempool.clear();
+            chain.useNonceElsewhere(7);
+
+            await expect(response.wait()).rejects.toMatchObject({reason: 'replaced'});
+            expect(manager.getTransaction(response.id).status).toBe('dropped');
+        });
+
+        test('flags transactions pending longer than stuckAfterMs', async () => {
+            manager.dispose();
+            manager = createManager({stuckAfterMs: 10});
+            const stuck = jest.fn();
+            manager.on('stuck', stuck);
+
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            await waitFor(() => stuck.mock.calls.length > 0);
+
+            expect(manager.getTransaction(response.id).status).toBe('stuck');
+        });
+    });
+
+    describe('speedUp and cancel', () => {
+        test('speedUp resends at the same nonce with fees bumped by bumpPercent', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            const replaced = jest.fn();
+            manager.on('replaced', replaced);
+
+            const replacement = await manager.speedUp(response.id);
+
+            expect(replacement.nonce).toBe(response.nonce);
+            expect(replacement.data).toBe('0x01');
+            expect(replacement.maxFeePerGas).toBe(115n);
+            expect(replacement.maxPriorityFeePerGas).toBe(11n);
+            expect(replaced).toHaveBeenCalledWith(expect.objectContaining({id: response.id, kind: 'speedUp', replacements: 1}));
+        });
+
+        test('speedUp pays at least the current network fees', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            chain.feeData = {gasPrice: null, maxFeePerGas: 500n, maxPriorityFeePerGas: 50n};
+
+            const replacement = await manager.speedUp(response.id, {bumpPercent: 10});
+
+            expect(replacement.maxFeePerGas).toBe(500n);
+            expect(replacement.maxPriorityFeePerGas).toBe(50n);
+        });
+
+        test('legacy transactions are bumped on gasPrice', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01', gasPrice: 200n});
+            chain.feeData = {gasPrice: 100n, maxFeePerGas: null, maxPriorityFeePerGas: null};
+
+            const replacement = await manager.speedUp(response.id);
+
+            expect(replacement.gasPrice).toBe(230n);
+            expect(replacement.maxFeePerGas).toBeNull();
+        });
+
+        test('the original wait resolves with the mined replacement', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            const replacement = await manager.speedUp(response.id);
+
+            chain.mine(replacement.hash);
+            const receipt = await response.wait();
+
+            expect(receipt.hash).toBe(replacement.hash);
+            expect(manager.getTransaction(response.id)).toMatchObject({status: 'mined', hash: replacement.hash, hashes: [response.hash, replacement.hash]});
+        });
+
+        test('the original is still settled when it gets mined before its replacement', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            await manager.speedUp(response.id);
+
+            chain.mine(response.hash);
+
+            expect((await response.wait()).hash).toBe(response.hash);
+        });
+
+        test('cancel sends nothing to the sender at the same nonce', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01', value: 5n});
+
+            const cancellation = await manager.cancel(response.id);
+
+            expect(cancellation).toMatchObject({nonce: response.nonce, to: chain.address, data: '0x', value: 0n});
+            chain.mine(cancellation.hash);
+            await expect(response.wait()).rejects.toBeInstanceOf(TransactionReplacedError);
+            expect(manager.getTransaction(response.id).status).toBe('cancelled');
+        });
+
+        test('settled transactions cannot be replaced', async () => {
+            const response = await manager.send({to: TARGET, data: '0x01'});
+            chain.mine(response.hash);
+            await response.wait();
+
+            expect(() => manager.speedUp(response.id)).toThrow('already mined');
+            expect(() => manager.cancel(response.id)).toThrow('already mined');
+            expect(() => manager.speedUp('missing')).toThrow('Unknown transaction missing');
+        });
+
+        test('a bump over the gas price cap is refused, not clamped', async () => {
+            manager.dispose();
+            manager = createManager({gasPricer: new GasPricer(chain.provider, {logger: silentLogger(), maxGasPriceGwei: '0.0000001'})});
+            const response = await manager.send({to: TARGET, data: '0x01', maxFeePerGas: 95n, maxPriorityFeePerGas: 10n});
+
+            await expect(manager.speedUp(response.id)).rejects.toBeInstanceOf(GasCapExceededError);
+            expect(chain.sent).toHaveLength(1);
+        });
+
+        test('transactions signed elsewhere cannot be sped up or cancelled', async () => {
+            const wallet = ethers.Wallet.createRandom();
+            const rawTransaction = await wallet.signTransaction({
+                to: TARGET,
+                nonce: 0,
+                gasLimit: 21000n,
+                maxFeePerGas: 100n,
+                maxPriorityFeePerGas: 10n,
+                chainId: 31337n,
+                type: 2
+            });
+
+            const response = await manager.submitSigned(rawTransaction);
+
+            expect(manager.getTransaction(response.id)).toMatchObject({status: 'pending', external: true, from: wallet.address});
+            expect(() => manager.speedUp(response.id)).toThrow('was not signed by a signer of this client');
+            expect(() => manager.cancel(response.id)).toThrow('was not signed by a signer of this client');
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const {ethers} = require('ethers');
+const Logger = require('../../utils/Logger');
+
+const SENDER = '0x' + 'ab'.repeat(20);
+
+// In-memory chain for one sender: sent transactions sit in the mempool until mine() is called with their hash
+class MockChain {
+    constructor(options = {}) {
+        this.address = options.address || SENDER;
+        this.chainId = BigInt(options.chainId || 31337);
+        this.minedNonce = options.nonce || 0;
+        this.blockNumber = options.blockNumber || 100;
+        this.feeData = options.feeData || {gasPrice: null, maxFeePerGas: 100n, maxPriorityFeePerGas: 10n};
+        this.mempool = new Map();
+        this.receipts = new Map();
+        this.sent = [];
+        // Errors thrown by the next sendTransaction calls, in order
+        this.sendErrors = [];
+        this.provider = this._createProvider();
+        this.signer = this._createSigner();
+    }
+
+    pendingNonce() {
+        const nonces = [...this.mempool.values()].map(transaction => transaction.nonce + 1);
+        return Math.max(this.minedNonce, ...nonces);
+    }
+
+    mine(hash, status = 1) {
+        const transaction = this.mempool.get(hash) || this.sent.find(sent => sent.hash === hash);
+        if (!transaction) {
+            throw new Error(`Unknown hash ${hash}`);
+        }
+        // Anything else at the same nonce can no longer be mined
+        for (const [other, pending] of this.mempool) {
+            if (pending.nonce === transaction.nonce) {
+                this.mempool.delete(other);
+            }
+        }
+        this.blockNumber++;
+        this.minedNonce = Math.max(this.minedNonce, transaction.nonce + 1);
+        const receipt = {hash, status, blockNumber: this.blockNumber, logs: [], gasUsed: 21000n, from: this.address, to: transaction.to};
+        this.receipts.set(hash, receipt);
+        return receipt;
+    }
+
+    // Another wallet with the same key used the nonce
+    useNonceElsewhere(nonce) {
+        this.minedNonce = Math.max(this.minedNonce, nonce + 1);
+        this.blockNumber++;
+    }
+
+    addBlocks(count) {
+        this.blockNumber += count;
+    }
+
+    _createProvider() {
+        const chain = this;
+        return {
+            async getTransactionCount(address, blockTag = 'latest') {
+                return blockTag === 'pending' ? chain.pendingNonce() : chain.minedNonce;
+            },
+            async getTransactionReceipt(hash) {
+                return chain.receipts.get(hash) || null;
+            },
+            async getTransaction(hash) {
+                return chain.mempool.has(hash) ? {hash} : null;
+            },
+            async getFeeData() {
+                return new ethers.FeeData(chain.feeData.gasPrice, chain.feeData.maxFeePerGas, chain.feeData.maxPriorityFeePerGas);
+            },
+            async getBlockNumber() {
+                return chain.blockNumber;
+            },
+            async broadcastTransaction(rawTransaction) {
+                const transaction = ethers.Transaction.from(rawTransaction);
+                return chain._accept({...transaction.toJSON(), from: transaction.from, hash: transaction.hash, nonce: transaction.nonce});
+            }
+        };
+    }
+
+    _createSigner() {
+        const chain = this;
+        return {
+            provider: chain.provider,
+            async getAddress() {
+                return chain.address;
+            },
+            async getNonce(blockTag) {
+                return chain.provider.getTransactionCount(chain.address, blockTag);
+            },
+            async sendTransaction(request) {
+                if (chain.sendErrors.length > 0) {
+                    throw chain.sendErrors.shift();
+                }
+                const hash = ethers.id(`${chain.sent.length}:${request.nonce}:${request.data || '0x'}`);
+                return chain._accept({...request, from: chain.address, hash});
+            }
+        };
+    }
+
+    _accept(request) {
+        const transaction = {
+            hash: request.hash,
+            from: request.from,
+            to: request.to || null,
+            nonce: Number(request.nonce),
+            data: request.data || '0x',
+            value: BigInt(request.value || 0),
+            gasLimit: BigInt(request.gasLimit || 100000),
+            gasPrice: request.gasPrice != null ? BigInt(request.gasPrice) : null,
+            maxFeePerGas: request.gasPrice != null ? null : BigInt(request.maxFeePerGas ?? this.feeData.maxFeePerGas),
+            maxPriorityFeePerGas: request.gasPrice != null ? null : BigInt(request.maxPriorityFeePerGas ?? this.feeData.maxPriorityFeePerGas)
+        };
+        this.sent.push(transaction);
+        this.mempool.set(transaction.hash, transaction);
+        return new ethers.TransactionResponse({
+            ...transaction,
+            blockNumber: null,
+            blockHash: null,
+            index: 0,
+            type: transaction.gasPrice !== null ? 0 : 2,
+            chainId: this.chainId,
+            signature: null,
+            accessList: [],
+            maxFeePerBlobGas: null,
+            blobVersionedHashes: null,
+            authorizationList: null
+        }, this.provider);
+    }
+}
+
+const silentLogger = () => new Logger({silent: true});
+
+// Resolves once predicate() holds, checking every few milliseconds
+async function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+module.exports = {MockChain, SENDER, silentLogger, waitFor};
@@ -0,0 +1,104 @@
+const {ethers} = require('ethers');
+const RouterModule = require('../modules/RouterModule');
+const KeeperModule = require('../modules/KeeperModule');
+const PoolModule = require('../modules/PoolModule');
+const {silentLogger} = require('./helpers/mockChain');
+
+const TRADING = '0x' + '22'.repeat(20);
+const USER = '0x' + 'ab'.repeat(20);
+const TOKEN_IN = '0x' + '0a'.repeat(20);
+const TOKEN_OUT = '0x' + '0b'.repeat(20);
+
+// Events as Trading and Pool emit them during a Router call
+const EVENTS = new ethers.Interface([
+    'event Swap(address indexed user, address tokenIn, address tokenOut, uint256 amountIn, uint256 amountOut)',
+    'event OrderCreated(uint256 indexed orderId, address indexed user)',
+    'event OrderExecuted(uint256 indexed orderId, uint256 amountOut)',
+    'event PositionOpened(uint256 indexed positionId, address indexed user)',
+    'event PositionClosed(uint256 indexed positionId, int256 pnl)',
+    'event PositionLiquidated(uint256 indexed positionId, uint256 reward)'
+]);
+
+const log = (name, values) => ({address: TRADING, index: 0, ...EVENTS.encodeEventLog(name, values)});
+
+describe('write payloads', () => {
+    let logs;
+
+    // Every write on the contract stubs is mined at once with the logs set by the test
+    const contractStub = () => new Proxy({target: TRADING}, {
+        get: (stub, method) => (method in stub ? stub[method] : async () => (
+            method === 'getAmountOut'
+                ? 1000n
+                : {wait: async () => ({hash: ethers.ZeroHash, status: 1, blockNumber: 1, gasUsed: 1n, gasPrice: 1n, logs})}
+        ))
+    });
+
+    const createModule = Module => {
+        const module = new Module();
+        module.initialize({
+            logger: silentLogger(),
+            signer: {getAddress: async () => USER},
+            configManager: {isETH: () => false},
+            contractManager: {
+                getContract: contractStub,
+                decodeLog: entry => {
+                    const parsed = EVENTS.parseLog(entry);
+                    return {address: entry.address, contract: 'Trading', name: parsed.name, signature: parsed.signature, args: parsed.args};
+                }
+            }
+        });
+        return module;
+    };
+
+    beforeEach(() => {
+        logs = [];
+    });
+
+    test('router writes return the ids and amounts decoded from the emitted events', async () => {
+        const router = createModule(RouterModule);
+
+        logs = [log('OrderCreated', [7n, USER])];
+        expect((await router.createLimitOrder(TOKEN_IN, TOKEN_OUT, '1', '2')).payload).toEqual({orderId: 7n});
+        expect((await router.createStopLossOrder(TOKEN_IN, TOKEN_OUT, '1', '2')).payload).toEqual({orderId: 7n});
+
+        logs = [log('PositionOpened', [3n, USER])];
+        expect((await router.openPosition(TOKEN_IN, '1', 5, true)).payload).toEqual({positionId: 3n});
+
+        logs = [log('PositionClosed', [3n, -25n])];
+        expect((await router.closePosition(3n)).payload).toEqual({positionId: 3n, pnl: -25n});
+
+        logs = [log('OrderExecuted', [7n, 990n])];
+        expect((await router.executeOrder(7n)).payload).toEqual({orderId: 7n, amountOut: 990n});
+        expect((await router.selfExecuteOrder(7n)).payload).toEqual({orderId: 7n, amountOut: 990n});
+
+        logs = [log('PositionLiquidated', [3n, 12n])];
+        expect((await router.liquidatePosition(3n)).payload).toEqual({positionId: 3n, reward: 12n});
+
+        logs = [log('Swap', [USER, TOKEN_IN, TOKEN_OUT, 10n ** 18n, 995n])];
+        expect((await router.swapTokens(TOKEN_IN, TOKEN_OUT, '1')).payload).toEqual({amountOut: 995n});
+    });
+
+    test('keeper and pool writes decode their results the same way', async () => {
+        const keeper = createModule(KeeperModule);
+        const pool = createModule(PoolModule);
+
+        logs = [log('OrderExecuted', [7n, 990n])];
+        expect((await keeper.selfExecuteOrder(7n)).payload).toEqual({orderId: 7n, amountOut: 990n});
+
+        logs = [log('PositionLiquidated', [3n, 12n])];
+        expect((await keeper.liquidatePosition(3n)).payload).toEqual({positionId: 3n, reward: 12n});
+        expect(keeper.stats).toMatchObject({ordersExecuted: 1, positionsLiquidated: 1});
+
+        logs = [log('Swap', [USER, TOKEN_IN, TOKEN_OUT, 10n ** 18n, 995n])];
+        expect((await pool.swapTokens(TOKEN_IN, TOKEN_OUT, '1')).payload).toEqual({amountOut: 995n});
+    });
+
+    test('values of events that were not emitted are null', async () => {
+        const router = createModule(RouterModule);
+        const keeper = createModule(KeeperModule);
+
+        expect((await router.createLimitOrder(TOKEN_IN, TOKEN_OUT, '1', '2')).payload).toEqual({orderId: null});
+        expect((await router.closePosition(3n)).payload).toEqual({positionId: 3n, pnl: null});
+        expect((await keeper.liquidatePosition(3n)).payload).toEqual({positionId: 3n, reward: null});
+    });
+});
@@ -1,15 +1,438 @@
 import { ethers } from 'ethers';
+import { EventEmitter } from 'events';
 
 export interface DexConfig {
+  config?: Partial<Config> | ProfiledConfig;
   configPath?: string;
+  profile?: string;
+  validateConfig?: boolean;
+  strictContracts?: boolean;
   provider?: ethers.Provider;
   signer?: ethers.Signer;
+  privateKey?: string;
+  readOnly?: boolean;
+  watchAddress?: string;
+  accounts?: { [name: string]: ethers.Signer | string };
+  transactions?: TransactionManagerOptions;
+  gas?: GasPricerOptions;
+  rpcUrls?: string[];
+  rpcOptions?: FailoverProviderOptions;
+  quorumMethods?: string[];
+  watchConfig?: boolean;
+  autoDiscoverTokens?: boolean;
+  persistDiscoveredTokens?: boolean;
+  abis?: AbiOverrides;
+  artifactsPath?: string | false;
+  batchReads?: boolean;
+  multicallAddress?: string;
+  maxBatchSize?: number;
+  disableIncompatibleModules?: boolean;
+  implementationCheckInterval?: number;
+  logger?: Logger | LoggerOptions | LoggerLike;
+}
+
+export type AbiOverrides = { [contractName: string]: any[] | { abi: any[] } };
+
+export interface ContractManagerOptions {
+  autoDiscoverTokens?: boolean;
+  persistDiscoveredTokens?: boolean;
+  abis?: AbiOverrides;
+  artifactsPath?: string | false;
+  batchReads?: boolean;
+  multicallAddress?: string;
+  maxBatchSize?: number;
+  quorumMethods?: string[];
+  implementationCheckInterval?: number;
+  transactions?: TransactionManagerOptions;
+  gas?: GasPricerOptions;
+  watchAddress?: string | null;
+  logger?: Logger;
+}
+
+export interface TransactionManagerOptions {
+  pollIntervalMs?: number;
+  stuckAfterMs?: number;
+  bumpPercent?: number;
+  historySize?: number;
+  confirmations?: number;
+  timeoutMs?: number;
+  confirmationTimeoutMs?: number;
+  journalPath?: string;
+  journalKeepSettled?: number;
+  journalCompactEvery?: number;
+  journal?: TransactionJournal | null;
+  gasPricer?: GasPricer;
+  provider?: ethers.Provider;
+  address?: string;
+  logger?: Logger;
+}
+
+export type GasFeeValue = number | string | bigint;
+
+export interface GasFees {
+  gasPrice?: bigint;
+  maxFeePerGas?: bigint;
+  maxPriorityFeePerGas?: bigint;
+}
+
+export type GasStrategyFunction = (context: { provider: ethers.Provider; pricer: GasPricer }) =>
+  | { gasPrice?: GasFeeValue; maxFeePerGas?: GasFeeValue; maxPriorityFeePerGas?: GasFeeValue }
+  | Promise<{ gasPrice?: GasFeeValue; maxFeePerGas?: GasFeeValue; maxPriorityFeePerGas?: GasFeeValue }>;
+
+export type GasStrategy =
+  | 'slow'
+  | 'standard'
+  | 'fast'
+  | string
+  | { type: 'percentile'; percentile: number; blocks?: number; gasPriceMultiplier?: number }
+  | { type: 'fixed'; gasPrice?: GasFeeValue; maxFeePerGas?: GasFeeValue; maxPriorityFeePerGas?: GasFeeValue }
+  | GasStrategyFunction;
+
+export interface GasPricerOptions {
+  strategy?: GasStrategy;
+  gasLimitMultiplier?: number;
+  maxGasPriceGwei?: number;
+  maxGasLimit?: number;
+  blocks?: number;
+  baseFeeMultiplier?: number;
+  logger?: Logger;
+}
+
+export interface GasOverrides extends ethers.Overrides {
+  gasStrategy?: GasStrategy;
+  gasLimitMultiplier?: number;
+}
+
+export type TransactionStage = 'awaitingSignature' | 'submitted' | 'mined' | 'confirmed' | 'failed' | 'timeout';
+
+export interface TransactionProgressEvent extends ManagedTransaction {
+  stage: TransactionStage;
+  receipt: ethers.TransactionReceipt | null;
+  requiredConfirmations?: number;
+  replacement?: 'speedUp' | 'cancel';
+}
+
+export interface TransactionLifecycleOptions {
+  confirmations?: number;
+  timeoutMs?: number;
+  onProgress?: (event: TransactionProgressEvent) => void;
+}
+
+export interface WriteOverrides extends GasOverrides, TransactionLifecycleOptions {
+  value?: ethers.BigNumberish;
+  simulate?: boolean;
+  unsigned?: boolean;
+  signedTransaction?: string;
+}
+
+export interface UnsignedTransaction {
+  unsigned: true;
+  contract: string;
+  method: string;
+  args: any[];
+  summary: string;
+  from: string | null;
+  to: string;
+  data: string;
+  value: bigint;
+  chainId: bigint;
+  nonce: number | null;
+  gasLimit: bigint | null;
+  type: 0 | 2;
+  gasPrice?: bigint;
+  maxFeePerGas?: bigint;
+  maxPriorityFeePerGas?: bigint;
+  gasError: DexError | null;
+  unsignedSerialized: string | null;
+  approval?: UnsignedTransaction | null;
+}
+
+export interface SimulatedEvent {
+  address: string;
+  contract: string | null;
+  name: string | null;
+  signature: string | null;
+  args: ethers.Result | null;
+  topics?: string[];
+  data?: string;
+}
+
+export interface SimulationResult {
+  simulated: true;
+  contract: string;
+  method: string;
+  args: any[];
+  from: string | null;
+  to: string;
+  value: bigint;
+  data: string;
+  blockNumber: number;
+  success: boolean;
+  result: any;
+  events: SimulatedEvent[] | null;
+  gas: GasEstimate | null;
+  error: DexError | null;
+  revertReason: string | null;
+  approvalRequired?: boolean;
+}
+
+export interface TxEvent extends SimulatedEvent {
+  logIndex: number;
+}
+
+export declare class TxResult<P = { [key: string]: any }> {
+  static fromReceipt(receipt: ethers.TransactionReceipt, options?: { events?: TxEvent[]; payload?: any }): TxResult;
+  constructor(fields: Partial<TxResult<P>>);
+  hash: string;
+  status: 'success' | 'reverted';
+  blockNumber: number;
+  blockHash: string | null;
+  from: string | null;
+  to: string | null;
+  gasUsed: bigint;
+  effectiveGasPrice: bigint;
+  feeWei: bigint;
+  fee: string;
+  events: TxEvent[];
+  payload: P;
+  receipt: ethers.TransactionReceipt | null;
+  readonly success: boolean;
+  getEvent(name: string): TxEvent | null;
+  getEvents(name: string): TxEvent[];
+  getEventArg(name: string, field: string): any;
+  toJSON(): { [key: string]: any };
+}
+
+export declare class GasPricer {
+  static SPEEDS: { [speed: string]: { percentile: number; gasPriceMultiplier: number } };
+  static normalizeFees(fees: { gasPrice?: GasFeeValue; maxFeePerGas?: GasFeeValue; maxPriorityFeePerGas?: GasFeeValue }, unit?: string): GasFees;
+  constructor(provider: ethers.Provider, options?: GasPricerOptions);
+  provider: ethers.Provider;
+  options: GasPricerOptions;
+  setProvider(provider: ethers.Provider): void;
+  setStrategy(strategy: GasStrategy): void;
+  registerStrategy(name: string, strategy: GasStrategy): this;
+  getMaxGasPrice(): bigint;
+  getMaxGasLimit(): bigint;
+  getFees(strategy?: GasStrategy): Promise<GasFees & { strategy: string }>;
+  enforceCaps<T extends ethers.TransactionRequest | GasFees>(request: T, context?: ErrorContext): T;
+  applyMultiplier(gasEstimate: bigint | number | string, multiplier?: number): bigint;
+  withFees(request: ethers.TransactionRequest, strategy?: GasStrategy, context?: ErrorContext): Promise<ethers.TransactionRequest>;
+  estimateGasLimit(
+    request: ethers.TransactionRequest,
+    estimator: ethers.Signer | ethers.Provider,
+    multiplier?: number,
+    context?: ErrorContext
+  ): Promise<bigint>;
+  prepare(
+    request: ethers.TransactionRequest,
+    signer: ethers.Signer,
+    options?: { strategy?: GasStrategy; gasLimitMultiplier?: number },
+    context?: ErrorContext
+  ): Promise<ethers.TransactionRequest>;
+}
+
+export type ManagedTransactionStatus = 'queued' | 'pending' | 'stuck' | 'mined' | 'failed' | 'cancelled' | 'dropped' | 'unknown';
+
+export interface ManagedTransaction {
+  id: string;
+  status: ManagedTransactionStatus;
+  from: string | null;
+  to: string | null;
+  nonce: number | null;
+  hash: string | null;
+  hashes: string[];
+  replacements: number;
+  confirmations: number;
+  requiredConfirmations: number;
+  contract: string | null;
+  method: string | null;
+  args: any[];
+  external: boolean;
+  blockNumber: number | null;
+  error: string | null;
+  createdAt: number;
+  sentAt: number | null;
+}
+
+export type ManagedTransactionResponse = ethers.TransactionResponse & {
+  id: string;
+  wait(confirmations?: number, timeoutMs?: number | null): Promise<ethers.TransactionReceipt>;
+};
+
+export interface TransactionJournalEntry {
+  id: string;
+  status: ManagedTransactionStatus;
+  from: string;
+  nonce: number | null;
+  hash: string | null;
+  hashes: string[];
+  cancelHash: string | null;
+  replacements: number;
+  request: ethers.TransactionRequest;
+  fees: { gasPrice: bigint | null; maxFeePerGas: bigint | null; maxPriorityFeePerGas: bigint | null } | null;
+  gasLimit: bigint | null;
+  contract: string | null;
+  method: string | null;
+  args: any[];
+  external: boolean;
+  error: string | null;
+  createdAt: number;
+  sentAt: number | null;
+  updatedAt?: number;
+}
+
+export declare class TransactionJournal {
+  static serialize(entry: TransactionJournalEntry): string;
+  static deserialize(line: string): TransactionJournalEntry;
+  constructor(filePath: string, options?: { keepSettled?: number; compactEvery?: number; logger?: Logger });
+  path: string;
+  keepSettled: number;
+  compactEvery: number;
+  record(entry: TransactionJournalEntry): void;
+  get(id: string): TransactionJournalEntry | null;
+  getEntries(status?: ManagedTransactionStatus): TransactionJournalEntry[];
+  getUnsettled(): TransactionJournalEntry[];
+  compact(): void;
+}
+
+export declare class TransactionManager extends EventEmitter {
+  static toJournalEntry(record: any): TransactionJournalEntry;
+  constructor(signer: ethers.Signer | null, options?: TransactionManagerOptions);
+  signer: ethers.Signer | null;
+  provider: ethers.Provider;
+  journal: TransactionJournal | null;
+  recover(entries: TransactionJournalEntry[]): Promise<ManagedTransaction[]>;
+  reconcile(id: string, hash?: string | null): ManagedTransaction;
+  submitSigned(rawTransaction: string, meta?: { contract?: string; method?: string; args?: any[] } & TransactionLifecycleOptions): Promise<ManagedTransactionResponse>;
+  setProvider(provider: ethers.Provider): void;
+  send(request: ethers.TransactionRequest, meta?: { contract?: string; method?: string; args?: any[] } & TransactionLifecycleOptions): Promise<ManagedTransactionResponse>;
+  speedUp(id: string, options?: { bumpPercent?: number }): Promise<ManagedTransactionResponse>;
+  cancel(id: string, options?: { bumpPercent?: number }): Promise<ManagedTransactionResponse>;
+  wait(id: string, confirmations?: number | null, timeoutMs?: number | null): Promise<ethers.TransactionReceipt>;
+  on(event: 'progress', listener: (event: TransactionProgressEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  getTransaction(id: string): ManagedTransaction | null;
+  has(id: string): boolean;
+  getTransactions(status?: ManagedTransactionStatus): ManagedTransaction[];
+  getPending(): ManagedTransaction[];
+  getNextNonce(): Promise<number>;
+  resetNonce(): Promise<void>;
+  setSigner(signer: ethers.Signer): void;
+  poll(): Promise<void>;
+  dispose(): void;
+}
+
+export interface ProxyInfo {
+  name: string;
+  address: string;
+  isProxy: boolean;
+  implementation: string | null;
+  admin: string | null;
+  beacon: string | null;
+  version: string | null;
+  configuredImplementation: string | null;
+  checkedAt: string;
+}
+
+export interface ImplementationChange {
+  name: string;
+  proxy: string;
+  previousImplementation: string;
+  implementation: string;
+  previousVersion: string | null;
+  version: string | null;
+  source: 'previousCheck' | 'config';
+}
+
+export interface FailoverProviderOptions {
+  requestTimeoutMs?: number;
+  maxConsecutiveFailures?: number;
+  cooldownMs?: number;
+  quorum?: number;
+  quorumSize?: number;
+  logger?: Logger;
+}
+
+export interface EndpointHealth {
+  url: string;
+  healthy: boolean;
+  wrongChain: boolean;
+  score: number;
+  latencyMs: number | null;
+  requests: number;
+  failures: number;
+  consecutiveFailures: number;
+  blockNumber: number | null;
+  blocksBehind: number | null;
+  lastError: string | null;
+  lastErrorAt: string | null;
+  lastSuccessAt: string | null;
+}
+
+export interface ProviderHealth {
+  managed: boolean;
+  quorum?: number;
+  healthyEndpoints?: number;
+  endpoints: EndpointHealth[];
+}
+
+export interface BatchStats {
+  multicall: boolean;
+  disabled?: boolean;
+  calls?: number;
+  batches?: number;
+  directCalls?: number;
+}
+
+export interface SectionChanges<T> {
+  added: { [name: string]: T };
+  removed: { [name: string]: T };
+  changed: { [name: string]: { from: T; to: T } };
+}
+
+export interface ConfigChanges {
+  hasChanges: boolean;
+  contracts: SectionChanges<string>;
+  tokens: SectionChanges<TokenConfig>;
 }
 
 export interface NetworkConfig {
   name: string;
   chainId: number;
   rpcUrl?: string;
+  rpcUrls?: string[];
+  profile?: string | null;
+}
+
+export interface EnvReference {
+  env: string;
+  default?: string | number | boolean;
+  type?: 'string' | 'number' | 'boolean';
+}
+
+export interface ConfigManagerOptions {
+  env?: { [name: string]: string | undefined };
+  profile?: string;
+  validate?: boolean;
+  strictContracts?: boolean;
+  logger?: Logger;
+}
+
+export interface ConfigValidationIssue {
+  path: string;
+  message: string;
+}
+
+export interface ConfigValidationResult {
+  isValid: boolean;
+  errors: ConfigValidationIssue[];
+  warnings: ConfigValidationIssue[];
+}
+
+export interface ConfigValidationOptions {
+  strictContracts?: boolean;
+  contractNames?: string[];
 }
 
 export interface TokenConfig {
@@ -17,6 +440,7 @@ export interface TokenConfig {
   address: string;
   decimals: number;
   name?: string;
+  discovered?: boolean;
 }
 
 export interface ContractConfig {
@@ -24,10 +448,54 @@ export interface ContractConfig {
 }
 
 export interface Config {
+  version?: number;
   network: string;
+  multicall?: string;
   chainId: number;
+  rpcUrl?: string;
+  rpcUrls?: string[];
+  privateKey?: string;
   contracts: ContractConfig;
+  implementations?: ContractConfig;
   tokens: { [symbol: string]: TokenConfig };
+  initialPrices?: { [symbol: string]: string | number };
+}
+
+export interface DeploymentImportOptions {
+  chainId?: number;
+  nameMap?: { [artifactName: string]: string };
+  overwrite?: boolean;
+  save?: boolean;
+}
+
+export interface DeploymentImportResult {
+  format: 'foundry' | 'hardhat';
+  source: string;
+  chainId: number | null;
+  contracts: ContractConfig;
+  implementations: ContractConfig;
+  unmapped: { name: string; address: string }[];
+  skipped?: string[];
+  changes?: ConfigChanges;
+}
+
+export interface ConfigMigrationChange {
+  version: number;
+  path: string;
+  message: string;
+}
+
+export interface ConfigMigrationResult {
+  config: any;
+  from: number;
+  to: number;
+  migrated: boolean;
+  changes: ConfigMigrationChange[];
+}
+
+export interface ProfiledConfig extends Partial<Config> {
+  defaultProfile?: string;
+  profiles: { [profileName: string]: Partial<Config> };
 }
 
 export interface ValidationResult {
@@ -53,9 +521,11 @@ export interface TransactionParams {
 
 export interface GasEstimate {
   gasLimit: string;
+  estimatedGas: string;
   gasPrice: string;
   maxFeePerGas?: string;
   maxPriorityFeePerGas?: string;
+  strategy: string;
 }
 
 export interface ContractInfo {
@@ -68,8 +538,12 @@ export interface SystemInfo {
   contracts: { [name: string]: string };
   tokens: { [symbol: string]: TokenConfig };
   signer: string | null;
+  readOnly: boolean;
+  watchAddress: string | null;
   modules: string[];
+  disabledModules: string[];
   initialized: boolean;
+  providerHealth: ProviderHealth;
 }
 
 export interface BalanceInfo {
@@ -95,22 +569,86 @@ export interface ModuleContext {
   configManager: ConfigManager;
   provider: ethers.Provider;
   signer: ethers.Signer | null;
+  logger: Logger;
   client: DexClient;
+  account?: string;
+}
+
+export interface ModuleRequirements {
+  [contractName: string]: {
+    optional?: boolean;
+    methods?: { [methodName: string]: number | string };
+    events?: string[];
+  };
+}
+
+export interface ModuleRequirementIssue {
+  contract?: string;
+  kind: 'contract' | 'method' | 'event' | 'module';
+  name: string;
+  problem: 'missing' | 'signature' | 'disabled';
+  expected?: string;
+  found?: string[];
 }
 
 export interface BaseModuleInterface {
   initialize(context: ModuleContext): void;
   getName(): string;
   getVersion(): string;
+  getRequirements?(): ModuleRequirements;
+  onConfigChanged?(changes: ConfigChanges): void;
+  onSignerChanged?(signer: ethers.Signer): void;
+  onNetworkChanged?(network: ethers.Network, provider: ethers.Provider, signer?: ethers.Signer | null): void;
+  dispose?(): void;
 }
 
-export declare class ConfigManager {
-  constructor(configPath?: string);
+export type ModuleSource = BaseModuleInterface | (new () => BaseModuleInterface) | ((client: DexClient) => BaseModuleInterface);
+
+export interface ModuleRegistrationOptions {
+  dependencies?: string[];
+  lazy?: boolean;
+}
+
+export declare class ModuleRegistry {
+  constructor(client: DexClient | AccountSession, options?: { disableIncompatible?: boolean; logger?: Logger });
+  register(name: string, module: ModuleSource, options?: ModuleRegistrationOptions): { name: string; module: ModuleSource; dependencies: string[]; lazy: boolean };
+  has(name: string): boolean;
+  isLoaded(name: string): boolean;
+  get(name: string): BaseModuleInterface;
+  load(name: string): BaseModuleInterface;
+  loadAll(): void;
+  check(name: string): ModuleRequirementIssue[];
+  notify(hook: string, ...args: any[]): void;
+  disposeAll(): void;
+  getLoadedNames(): string[];
+  getDisabled(): { [name: string]: ModuleRequirementIssue[] };
+  static createIncompatibleError(message: string, incompatible: { [name: string]: ModuleRequirementIssue[] }): Error & { code: string; incompatibleModules: { [name: string]: ModuleRequirementIssue[] } };
+  static formatIssues(incompatible: { [name: string]: ModuleRequirementIssue[] }): string;
+}
+
+export declare class ConfigManager extends EventEmitter {
+  constructor(configSource?: string | Partial<Config> | ProfiledConfig, options?: ConfigManagerOptions);
   load(): Config;
+  reload(): ConfigChanges;
+  watch(options?: { interval?: number; persistent?: boolean }): void;
+  unwatch(): void;
+  isWatching(): boolean;
+  on(event: 'configChanged', listener: (changes: ConfigChanges) => void): this;
+  on(event: 'configError', listener: (error: Error) => void): this;
+  static diffConfigs(previous: Partial<Config>, next: Partial<Config>): ConfigChanges;
+  static diffProfile(merged: Partial<Config>, shared: Partial<Config>, profile?: Partial<Config>): Partial<Config>;
+  getProfile(): string | null;
+  getMigrationReport(): ConfigMigrationResult;
+  listProfiles(): string[];
+  isChainIdEnforced(): boolean;
+  verifyChainId(chainId: number | bigint): boolean;
   getConfig(): Config;
   getContracts(): ContractConfig;
   getContract(name: string): string;
   setContract(name: string, address: string): void;
+  getImplementations(): ContractConfig;
+  getImplementation(name: string): string | null;
+  importDeployment(source: string, options?: DeploymentImportOptions): DeploymentImportResult;
   getTokens(): { [symbol: string]: TokenConfig };
   getToken(symbolOrAddress: string): TokenConfig;
   addToken(symbol: string, config: TokenConfig): void;
@@ -119,11 +657,17 @@ export declare class ConfigManager {
   getNetworkConfig(): NetworkConfig;
   save(): void;
   update(updates: Partial<Config>): void;
+  validateConfig(): void;
+  static validate(configOrPath: object | string, options?: ConfigValidationOptions): ConfigValidationResult;
   static createDefault(outputPath: string): Config;
 }
 
-export declare class ContractManager {
-  constructor(config: ConfigManager, provider: ethers.Provider, signer?: ethers.Signer);
+export declare class ContractManager extends EventEmitter {
+  static ABI_MAP: { [contractName: string]: string };
+  static EIP1967_SLOTS: { implementation: string; admin: string; beacon: string };
+  static slotToAddress(value: string): string | null;
+  constructor(config: ConfigManager, provider: ethers.Provider, signer?: ethers.Signer, options?: ContractManagerOptions);
+  discoverToken(address: string, options?: { persist?: boolean; force?: boolean }): Promise<TokenConfig>;
   initialize(): Promise<void>;
   loadContract(name: string, address: string, abiPath?: string): Promise<ethers.Contract>;
   loadABI(contractName: string): any[];
@@ -131,40 +675,188 @@ export declare class ContractManager {
   getContract(name: string): ethers.Contract;
   hasContract(name: string): boolean;
   addContract(name: string, address: string, abi: any[]): ethers.Contract;
+  wrapAdHoc(address: string, abi: ethers.InterfaceAbi, name?: string): ethers.Contract;
   connectSigner(signer: ethers.Signer): Promise<void>;
+  connectProvider(provider: ethers.Provider, signer?: ethers.Signer): Promise<void>;
+  applyConfigChanges(changes: ConfigChanges): string[];
+  getBatchStats(): BatchStats;
+  checkRequirements(requirements: ModuleRequirements): ModuleRequirementIssue[];
+  getProxyInfo(name: string): Promise<ProxyInfo>;
+  getImplementationInfo(name: string): ProxyInfo | null;
+  checkImplementations(names?: string[]): Promise<{ [name: string]: ProxyInfo }>;
+  watchImplementations(interval: number): Promise<void>;
+  unwatchImplementations(): void;
+  on(event: 'implementationChanged', listener: (change: ImplementationChange) => void): this;
+  on(event: 'transactionProgress', listener: (event: TransactionProgressEvent) => void): this;
+  quorumCall(contract: ethers.Contract, method: string, params?: any[]): Promise<any>;
+  getInterfaces(preferred?: string): ethers.Interface[];
+  decodeError(error: any, context?: ErrorContext): DexError;
   validateContract(name: string): Promise<{ name: string; address: string; isDeployed: boolean; network?: ethers.Network; error?: string }>;
   validateAllContracts(): Promise<Map<string, any>>;
   getContractAddress(name: string): string;
   getAllAddresses(): { [name: string]: string };
-  estimateGas(contractName: string, methodName: string, args?: any[], options?: any): Promise<GasEstimate>;
+  estimateGas(contractName: string, methodName: string, args?: any[], options?: GasOverrides): Promise<GasEstimate>;
   callMethod(contractName: string, methodName: string, args?: any[], options?: any): Promise<any>;
   getContractInfo(): { [name: string]: ContractInfo };
   clearCache(): void;
+  forSigner(signer: ethers.Signer): ContractManager;
+  sendTransaction(name: string, contract: ethers.Contract, method: string, args: any[]): Promise<ManagedTransactionResponse>;
+  decodeReceipts(response: ManagedTransactionResponse, iface: ethers.Interface | null, context?: { contract?: string; method?: string; args?: any[] }): ManagedTransactionResponse;
+  decodeMinedRevert(error: any, context?: { contract?: string; method?: string; args?: any[] }): Promise<DexError | Error>;
+  gasPricer: GasPricer;
+  journal: TransactionJournal | null;
+  recoverTransactions(signers?: ethers.Signer[]): Promise<ManagedTransaction[]>;
+  getJournalSenders(): string[];
+  watchAddress: string | null;
+  static splitCallOptions(fragment: ethers.FunctionFragment, args: any[]): {
+    args: any[];
+    gas: { strategy?: GasStrategy; gasLimitMultiplier?: number };
+    lifecycle: TransactionLifecycleOptions;
+    simulate: boolean;
+    unsigned: boolean;
+    signedTransaction: string | null;
+  };
+  static matchesCall(transaction: ethers.Transaction, populated: ethers.ContractTransaction): boolean;
+  buildTransaction(name: string, contract: ethers.Contract, method: string, args: any[]): Promise<UnsignedTransaction>;
+  describeCall(name: string, fragment: ethers.FunctionFragment, args: any[], value?: bigint): string;
+  submitSignedCall(name: string, contract: ethers.Contract, method: string, args: any[]): Promise<ManagedTransactionResponse>;
+  submitSignedTransaction(rawTransaction: string, meta?: { contract?: string; method?: string; args?: any[] }): Promise<ManagedTransactionResponse>;
+  static collectTraceLogs(frame: any, logs?: any[]): Array<{ address: string; topics: string[]; data: string }>;
+  static toRpcTransaction(request: ethers.TransactionRequest): { from?: string; to: string; data: string; value?: string };
+  simulateTransaction(name: string, contract: ethers.Contract, method: string, args: any[]): Promise<SimulationResult>;
+  traceEvents(request: ethers.TransactionRequest, preferred?: string): Promise<SimulatedEvent[] | null>;
+  decodeLog(log: { address: string; topics: string[]; data: string }, preferred?: string): SimulatedEvent;
+  getTransactionManager(signer?: ethers.Signer): TransactionManager;
+  findTransactionManager(id: string): TransactionManager;
+  getTransactions(status?: ManagedTransactionStatus): ManagedTransaction[];
+  disposeTransactionManagers(): void;
+  syncView(signer?: ethers.Signer): void;
+}
+
+export interface ClientReadyEvent {
+  chainId: number;
+  network: string;
+  modules: string[];
+  signer: string | null;
+  readOnly: boolean;
+}
+
+export interface SignerChangedEvent {
+  signer: ethers.Signer | null;
+  address: string | null;
+  previousAddress: string | null;
+}
+
+export interface NetworkChangedEvent {
+  chainId: number;
+  previousChainId: number | null;
+  chainChanged: boolean;
+  network: ethers.Network;
+  provider: ethers.Provider;
+}
+
+export interface PauseEvent {
+  blockNumber: number;
 }
 
-export declare class DexClient {
+export interface ModuleEvent {
+  event: string;
+  module: string | null;
+  payload: { [key: string]: any };
+}
+
+export declare class AccountSession {
+  constructor(client: DexClient, name: string, signer: ethers.Signer);
+  client: DexClient;
+  name: string;
+  signer: ethers.Signer;
+  logger: Logger;
+  contractManager: ContractManager;
+  moduleRegistry: ModuleRegistry;
+  getModuleContext(): ModuleContext;
+  getModule(name: string): BaseModuleInterface;
+  hasModule(name: string): boolean;
+  getAddress(): Promise<string>;
+  getTransactionManager(): TransactionManager;
+  getNonce(): Promise<number>;
+  resetNonce(): Promise<void>;
+  dispose(): void;
+  [moduleName: string]: any;
+}
+
+export declare class DexClient extends EventEmitter {
   constructor(config?: DexConfig);
+  logger: Logger;
+  readOnly: boolean;
+  watchAddress: string | null;
+  chainId: number | null;
+  systemPaused: boolean | null;
+  on(event: 'ready', listener: (event: ClientReadyEvent) => void): this;
+  on(event: 'signerChanged', listener: (event: SignerChangedEvent) => void): this;
+  on(event: 'networkChanged', listener: (event: NetworkChangedEvent) => void): this;
+  on(event: 'block', listener: (blockNumber: number) => void): this;
+  on(event: 'paused' | 'unpaused', listener: (event: PauseEvent) => void): this;
+  on(event: 'moduleEvent', listener: (event: ModuleEvent) => void): this;
+  on(event: 'transaction', listener: (event: TransactionProgressEvent) => void): this;
+  on(event: 'disposed', listener: () => void): this;
+  on(event: string, listener: (payload: any) => void): this;
+  publish(eventName: string, payload?: { [key: string]: any }, source?: string | null): void;
   initialize(): Promise<void>;
   connectSigner(signer: ethers.Signer): Promise<void>;
-  addModule(name: string, moduleInstance: BaseModuleInterface): void;
+  moduleRegistry: ModuleRegistry;
+  registerModule(name: string, module: ModuleSource, options?: ModuleRegistrationOptions): this;
+  addModule(name: string, moduleInstance: BaseModuleInterface): boolean;
+  connectProvider(provider: ethers.Provider): Promise<void>;
+  getModuleContext(): ModuleContext;
+  getDisabledModules(): { [name: string]: ModuleRequirementIssue[] };
   getModule(name: string): BaseModuleInterface;
   hasModule(name: string): boolean;
   getSystemInfo(): Promise<SystemInfo>;
+  getProviderHealth(): ProviderHealth;
   getContract(name: string): Promise<ethers.Contract>;
   addContract(name: string, address: string, abiPath?: string): Promise<ethers.Contract>;
   callContract(contractName: string, methodName: string, args?: any[], options?: any): Promise<any>;
-  estimateGas(contractName: string, methodName: string, args?: any[], options?: any): Promise<GasEstimate>;
+  estimateGas(contractName: string, methodName: string, args?: any[], options?: GasOverrides): Promise<GasEstimate>;
   getConfig(): Config;
   updateConfig(updates: Partial<Config>): void;
   addToken(symbol: string, config: TokenConfig): void;
   getToken(symbolOrAddress: string): TokenConfig;
+  resolveToken(address: string, options?: { persist?: boolean; force?: boolean }): Promise<TokenConfig>;
+  checkImplementations(): Promise<{ [name: string]: ProxyInfo }>;
   validateContracts(): Promise<Map<string, any>>;
   getBalance(address: string, tokenAddress: string): Promise<bigint>;
   getUserAddress(): Promise<string>;
+  isReadOnly(): boolean;
+  setWatchAddress(address: string | null): void;
+  addAccount(name: string, signerOrPrivateKey: ethers.Signer | string): this;
+  removeAccount(name: string): boolean;
+  getAccountNames(): string[];
+  as(name: string): AccountSession;
+  getTransaction(id: string): ManagedTransaction | null;
+  getTransactions(status?: ManagedTransactionStatus): ManagedTransaction[];
+  getPendingTransactions(): ManagedTransaction[];
+  waitForTransaction(id: string, confirmations?: number | null, timeoutMs?: number | null): Promise<ethers.TransactionReceipt>;
+  speedUpTransaction(id: string, options?: { bumpPercent?: number }): Promise<ManagedTransactionResponse>;
+  cancelTransaction(id: string, options?: { bumpPercent?: number }): Promise<ManagedTransactionResponse>;
+  reconcileTransaction(id: string, hash?: string | null): ManagedTransaction;
+  submitSignedTransaction(rawTransaction: string, meta?: { contract?: string; method?: string; args?: any[] }): Promise<ManagedTransactionResponse>;
+  getGasFees(strategy?: GasStrategy): Promise<GasFees & { strategy: string }>;
+  setGasStrategy(strategy: GasStrategy): this;
+  registerGasStrategy(name: string, strategy: GasStrategy): this;
   executeModule(moduleName: string, methodName: string, ...args: any[]): Promise<any>;
   dispose(): void;
 }
 
+export declare class FailoverProvider extends ethers.AbstractProvider {
+  constructor(rpcUrls: string[], network: ethers.Networkish, options?: FailoverProviderOptions);
+  quorumCall(transaction: ethers.TransactionRequest, options?: { quorum?: number; quorumSize?: number }): Promise<string>;
+  send(method: string, params?: any[]): Promise<any>;
+  checkHealth(): Promise<ProviderHealth>;
+  acceptOtherChains(): void;
+  getHealth(): ProviderHealth;
+  static redactUrl(url: string): string;
+}
+
 export declare class Validator {
   constructor(configManager?: ConfigManager);
   isValidAddress(address: string): boolean;
@@ -183,6 +875,143 @@ export declare class Validator {
   validateAll(params: any): ValidationResult;
 }
 
+export declare class ConfigValidator {
+  static validate(config: object, options?: ConfigValidationOptions): ConfigValidationResult;
+  static validateFile(filePath: string, options?: ConfigValidationOptions): ConfigValidationResult;
+  static formatErrors(result: ConfigValidationResult): string[];
+  static createError(result: ConfigValidationResult, source?: string): Error & { code: string; errors: ConfigValidationIssue[] };
+}
+
+export declare class ConfigInterpolator {
+  static resolve(config: object, env?: { [name: string]: string | undefined }): { config: any; placeholders: Map<string, { template: any; resolved: any; fromEnv: boolean; envValues: string[] }> };
+  static restore(config: object, placeholders: Map<string, { template: any; resolved: any; fromEnv: boolean; envValues: string[] }>): any;
+  static isEnvReference(value: any): value is EnvReference;
+}
+
+export declare class ConfigMigrator {
+  static CURRENT_VERSION: number;
+  static MIGRATIONS: { version: number; description: string; migrate(section: any, report: (path: string, message: string) => void, basePath: string): void }[];
+  static getVersion(config: object): number;
+  static needsMigration(config: object): boolean;
+  static migrate(rawConfig: object): ConfigMigrationResult;
+  static describe(result: ConfigMigrationResult): string;
+}
+
+export declare class DeploymentImporter {
+  static import(source: string, options?: { chainId?: number; nameMap?: { [artifactName: string]: string } }): DeploymentImportResult;
+  static detectFormat(source: string): 'foundry' | 'hardhat' | null;
+  static mapContractName(contractName: string, options?: { nameMap?: { [artifactName: string]: string } }): string | null;
+}
+
+export interface ErrorContext {
+  contract?: string;
+  method?: string;
+  args?: any[];
+  label?: string;
+  interfaces?: ethers.Interface[];
+}
+
+export declare class DexError extends Error {
+  static defaultCode: string;
+  constructor(message: string, details?: ErrorContext & { code?: string; cause?: any; errorName?: string; errorArgs?: { [name: string]: any }; reason?: string; panicCode?: number; data?: string });
+  code: string;
+  contract: string | null;
+  method: string | null;
+  args: any[];
+  errorName: string | null;
+  errorArgs: { [name: string]: any } | null;
+  reason: string | null;
+  panicCode: number | null;
+  data: string | null;
+  receipt?: ethers.TransactionReceipt;
+  transactionHash?: string;
+  toJSON(): { name: string; code: string; message: string; contract: string | null; method: string | null; errorName: string | null; errorArgs: { [name: string]: any } | null; reason: string | null; panicCode: number | null };
+}
+export declare class ContractRevertError extends DexError {}
+export declare class PanicError extends ContractRevertError {}
+export declare class InsufficientBalanceError extends ContractRevertError {}
+export declare class SlippageError extends ContractRevertError {}
+export declare class SystemPausedError extends ContractRevertError {}
+export declare class UnauthorizedError extends ContractRevertError {}
+export declare class InvalidTokenError extends ContractRevertError {}
+export declare class InvalidAmountError extends ContractRevertError {}
+export declare class UserRejectedError extends DexError {}
+export declare class SignerRequiredError extends DexError {}
+export declare class TransactionReplacedError extends DexError {}
+export declare class GasCapExceededError extends DexError {}
+export declare class NetworkError extends DexError {}
+export declare class TimeoutError extends DexError {}
+
+export declare const errors: {
+  DexError: typeof DexError;
+  ContractRevertError: typeof ContractRevertError;
+  PanicError: typeof PanicError;
+  InsufficientBalanceError: typeof InsufficientBalanceError;
+  SlippageError: typeof SlippageError;
+  SystemPausedError: typeof SystemPausedError;
+  UnauthorizedError: typeof UnauthorizedError;
+  InvalidTokenError: typeof InvalidTokenError;
+  InvalidAmountError: typeof InvalidAmountError;
+  UserRejectedError: typeof UserRejectedError;
+  SignerRequiredError: typeof SignerRequiredError;
+  TransactionReplacedError: typeof TransactionReplacedError;
+  GasCapExceededError: typeof GasCapExceededError;
+  NetworkError: typeof NetworkError;
+  TimeoutError: typeof TimeoutError;
+};
+
+export declare class ErrorDecoder {
+  static PANIC_REASONS: { [code: number]: string };
+  static decode(error: any, context?: ErrorContext): DexError;
+  static decodeRevertData(data: string | null, interfaces?: ethers.Interface[]): { errorName?: string | null; errorArgs?: { [name: string]: any }; signature?: string; reason?: string; panicCode?: number } | null;
+  static extractRevertData(error: any): string | null;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export type LogFields = { [key: string]: any };
+
+export interface LogEntry extends LogFields {
+  time: string;
+  level: Exclude<LogLevel, 'silent'>;
+  component?: string;
+  msg: string;
+}
+
+export interface LoggerLike {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+}
+
+export interface LoggerOptions {
+  level?: LogLevel;
+  silent?: boolean;
+  format?: 'pretty' | 'json';
+  name?: string;
+  fields?: LogFields;
+  sink?: (entry: LogEntry) => void;
+}
+
+export declare class Logger implements LoggerLike {
+  static LEVELS: { [level in LogLevel]: number };
+  static create(loggerOrOptions?: Logger | LoggerOptions | LoggerLike): Logger;
+  static wrap(external: LoggerLike): Logger;
+  static getDefault(): Logger;
+  static setDefault(loggerOrOptions?: Logger | LoggerOptions | LoggerLike): Logger;
+  constructor(options?: LoggerOptions);
+  name: string | null;
+  child(nameOrFields: string | LogFields): Logger;
+  setLevel(level: LogLevel): void;
+  getLevel(): LogLevel;
+  isLevelEnabled(level: LogLevel): boolean;
+  debug(message: string, fields?: LogFields | Error): void;
+  info(message: string, fields?: LogFields | Error): void;
+  warn(message: string, fields?: LogFields | Error): void;
+  error(message: string, fields?: LogFields | Error): void;
+}
+
 export declare class Calculator {
   constructor();
   isValidAmount(amount: string | number, decimals?: number): boolean;
@@ -237,16 +1066,35 @@ export declare class BaseModule implements BaseModuleInterface {
   protected context: ModuleContext;
   protected name: string;
   protected version: string;
+  protected logger: Logger;
 
+  static REQUIREMENTS?: ModuleRequirements;
+  static DEPENDENCIES?: string[];
   constructor(name: string, version?: string);
   initialize(context: ModuleContext): void;
+  getRequirements(): ModuleRequirements;
+  bindContracts(): void;
+  onConfigChanged(changes: ConfigChanges): void;
+  onSignerChanged(signer: ethers.Signer): void;
+  onNetworkChanged(network: ethers.Network, provider: ethers.Provider, signer?: ethers.Signer | null): void;
+  dispose(): void;
   getName(): string;
   getVersion(): string;
   getContract(name: string): ethers.Contract;
   callContract(contractName: string, methodName: string, args?: any[], options?: any): Promise<any>;
-  estimateGas(contractName: string, methodName: string, args?: any[], options?: any): Promise<GasEstimate>;
+  estimateGas(contractName: string, methodName: string, args?: any[], options?: GasOverrides): Promise<GasEstimate>;
   validateParams(params: any, validationRules: any): ValidationResult;
+  resolveTokens(tokenAddresses: string[]): Promise<void>;
   formatResult(result: any): any;
+  publish(eventName: string, payload?: { [key: string]: any }): void;
+  toTxResult<P = { [key: string]: any }>(receipt: ethers.TransactionReceipt, payload?: P | ((result: TxResult) => P)): TxResult<P>;
+  finishWrite<P = { [key: string]: any }>(tx: any, options: WriteOverrides, description: string, payload?: P | ((result: TxResult) => P)): Promise<TxResult<P> | SimulationResult | UnsignedTransaction>;
+  getUserAddress(): Promise<string>;
+  isReadOnly(): boolean;
+  logDebug(message: string, data?: LogFields): void;
+  logInfo(message: string, data?: LogFields): void;
+  logWarn(message: string, data?: LogFields): void;
+  logError(message: string, error?: Error | LogFields): void;
 }
 
 export declare const constants: {
@@ -305,9 +1153,10 @@ export declare const constants: {
 };
 
 export declare function createClient(config?: DexConfig): DexClient;
-export declare function createConfig(configPath?: string): ConfigManager;
+export declare function createConfig(configSource?: string | Partial<Config> | ProfiledConfig, options?: ConfigManagerOptions): ConfigManager;
 export declare function createValidator(configManager?: ConfigManager): Validator;
 export declare function createFormatter(configManager?: ConfigManager): Formatter;
 export declare function createCalculator(): Calculator;
+export declare function validateConfig(configOrPath: object | string, options?: ConfigValidationOptions): ConfigValidationResult;
 
 export declare const version: string;
\ No newline at end of file
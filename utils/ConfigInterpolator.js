@@ -0,0 +1,176 @@
+const CONSTANTS = require('./constants');
+
+// ${VAR} or ${VAR:-default}, anywhere inside a string value
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const ENV_REFERENCE_KEYS = ['env', 'default', 'type'];
+// Environment values shorter than this (ports, chain ids, flags) are too common to be told apart from ordinary config
+const MIN_LEAK_CHECK_LENGTH = 6;
+
+class ConfigInterpolator {
+    static resolve(config, env = process.env) {
+        const placeholders = new Map();
+        const missing = [];
+        const resolved = this.resolveValue(config, [], env, placeholders, missing);
+
+        if (missing.length > 0) {
+            throw this.createMissingError(missing);
+        }
+
+        return {config: resolved, placeholders};
+    }
+
+    static resolveValue(value, pathKeys, env, placeholders, missing) {
+        if (this.isEnvReference(value)) {
+            const resolved = this.resolveEnvReference(value, pathKeys, env, missing);
+            const fromEnv = env[value.env] !== undefined && env[value.env] !== '';
+            placeholders.set(JSON.stringify(pathKeys), {template: value, resolved, fromEnv, envValues: fromEnv ? [env[value.env]] : []});
+            return resolved;
+        }
+
+        if (typeof value === 'string') {
+            if (!value.includes('${')) return value;
+
+            const envValues = [];
+            const resolved = value.replace(PLACEHOLDER_PATTERN, (match, name, defaultValue) => {
+                const envValue = env[name];
+                if (envValue !== undefined && envValue !== '') {
+                    envValues.push(envValue);
+                    return envValue;
+                }
+                if (defaultValue !== undefined) return defaultValue;
+
+                missing.push({path: this.formatPath(pathKeys), message: `Environment variable ${name} is not set`});
+                return match;
+            });
+
+            if (resolved !== value) {
+                placeholders.set(JSON.stringify(pathKeys), {template: value, resolved, fromEnv: envValues.length > 0, envValues});
+            }
+            return resolved;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.resolveValue(item, [...pathKeys, index], env, placeholders, missing));
+        }
+
+        if (value !== null && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = this.resolveValue(item, [...pathKeys, key], env, placeholders, missing);
+            }
+            return result;
+        }
+
+        return value;
+    }
+
+    static resolveEnvReference(reference, pathKeys, env, missing) {
+        const envValue = env[reference.env];
+        let raw;
+
+        if (envValue !== undefined && envValue !== '') {
+            raw = envValue;
+        } else if (reference.default !== undefined) {
+            return reference.default;
+        } else {
+            missing.push({path: this.formatPath(pathKeys), message: `Environment variable ${reference.env} is not set`});
+            return undefined;
+        }
+
+        switch (reference.type) {
+            case undefined:
+            case 'string':
+                return raw;
+            case 'number': {
+                const number = Number(raw);
+                if (!Number.isFinite(number)) {
+                    missing.push({path: this.formatPath(pathKeys), message: `Environment variable ${reference.env} is not a number`});
+                }
+                return number;
+            }
+            case 'boolean':
+                return raw === 'true' || raw === '1';
+            default:
+                missing.push({path: this.formatPath(pathKeys), message: `Unsupported env type "${reference.type}"`});
+                return raw;
+        }
+    }
+
+    // Puts the original placeholders back wherever the resolved value is still untouched,
+    // so secrets pulled from the environment never end up in a file written by ConfigManager
+    static restore(config, placeholders) {
+        const output = JSON.parse(JSON.stringify(config));
+
+        for (const [key, {template, resolved}] of placeholders) {
+            const pathKeys = JSON.parse(key);
+            if (pathKeys.length === 0) {
+                return template;
+            }
+
+            const parent = pathKeys.slice(0, -1).reduce((node, part) => (node == null ? node : node[part]), output);
+            const field = pathKeys[pathKeys.length - 1];
+
+            if (parent == null || !(field in parent)) {
+                continue;
+            }
+            if (JSON.stringify(parent[field]) === JSON.stringify(resolved)) {
+                parent[field] = template;
+            }
+        }
+
+        this.assertNoEnvValues(output, placeholders);
+        return output;
+    }
+
+    // Every string in the output is checked, not only the interpolated paths: a secret RPC URL edited in place
+    // or copied into another field (rpcUrls: [config.rpcUrl]) must not reach the file either
+    static assertNoEnvValues(output, placeholders) {
+        const envValues = new Set();
+        for (const {envValues: values = []} of placeholders.values()) {
+            values
+                .filter(value => typeof value === 'string' && value.length >= MIN_LEAK_CHECK_LENGTH)
+                .forEach(value => envValues.add(value));
+        }
+        if (envValues.size === 0) {
+            return;
+        }
+
+        const check = (value, pathKeys) => {
+            if (typeof value === 'string') {
+                if ([...envValues].some(envValue => value.includes(envValue))) {
+                    throw new Error(`Refusing to write a value resolved from the environment to ${this.formatPath(pathKeys)}`);
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => check(item, [...pathKeys, index]));
+            } else if (value !== null && typeof value === 'object') {
+                Object.entries(value).forEach(([key, item]) => check(item, [...pathKeys, key]));
+            }
+        };
+        check(output, []);
+    }
+
+    static isEnvReference(value) {
+        return value !== null &&
+            typeof value === 'object' &&
+            !Array.isArray(value) &&
+            typeof value.env === 'string' &&
+            Object.keys(value).every(key => ENV_REFERENCE_KEYS.includes(key));
+    }
+
+    static formatPath(pathKeys) {
+        return pathKeys.reduce((result, key) => {
+            if (typeof key === 'number') return `${result}[${key}]`;
+            return /^[A-Za-z_$][\w$]*$/.test(key) ? `${result}.${key}` : `${result}[${JSON.stringify(key)}]`;
+        }, '$');
+    }
+
+    static createMissingError(missing) {
+        const lines = missing.map(issue => `${issue.path}: ${issue.message}`);
+        const error = new Error(`Unresolved environment variables in config:\n  - ${lines.join('\n  - ')}`);
+        error.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+        error.errors = missing;
+        return error;
+    }
+}
+
+module.exports = ConfigInterpolator;
@@ -0,0 +1,132 @@
+const CONSTANTS = require('./constants');
+
+const CONFIG_VERSION = 2;
+const ROOT_PATH = '$';
+
+// Each step upgrades a network section (flat config, shared part or single profile) to `version`
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'tokens keyed by symbol, contract names matching ABI_MAP',
+        migrate(section, report, basePath) {
+            if (Array.isArray(section.tokens)) {
+                const tokens = {};
+                for (const token of section.tokens) {
+                    tokens[token.symbol || token.address] = token;
+                }
+                section.tokens = tokens;
+                report(`${basePath}.tokens`, `converted token list to an object keyed by symbol (${Object.keys(tokens).join(', ')})`);
+            }
+
+            if (!section.contracts || typeof section.contracts !== 'object') return;
+
+            // anvil_final configs used artifact names (RouterUpgradeable, AccessControlContract) or lowercase keys
+            const DeploymentImporter = require('./DeploymentImporter');
+            const knownNames = Object.keys(require('../core/ContractManager').ABI_MAP);
+            const contracts = {};
+
+            for (const [name, address] of Object.entries(section.contracts)) {
+                const mapped = knownNames.includes(name)
+                    ? name
+                    : DeploymentImporter.mapContractName(name) ||
+                      knownNames.find(known => known.toLowerCase() === name.toLowerCase());
+
+                if (mapped && mapped !== name && !(mapped in section.contracts)) {
+                    contracts[mapped] = address;
+                    report(`${basePath}.contracts.${name}`, `renamed contract ${name} to ${mapped}`);
+                } else {
+                    contracts[name] = address;
+                }
+            }
+            section.contracts = contracts;
+        }
+    },
+    {
+        version: 2,
+        description: 'initial prices moved from tokens to initialPrices',
+        migrate(section, report, basePath) {
+            if (!section.tokens || typeof section.tokens !== 'object') return;
+
+            for (const [symbol, token] of Object.entries(section.tokens)) {
+                if (!token || typeof token !== 'object') continue;
+
+                for (const field of ['initialPrice', 'price']) {
+                    if (token[field] === undefined) continue;
+
+                    section.initialPrices = section.initialPrices || {};
+                    if (section.initialPrices[symbol] === undefined) {
+                        section.initialPrices[symbol] = token[field];
+                        report(`${basePath}.tokens.${symbol}.${field}`, `moved to initialPrices.${symbol}`);
+                    } else {
+                        report(`${basePath}.tokens.${symbol}.${field}`, `dropped, initialPrices.${symbol} is already set`);
+                    }
+                    delete token[field];
+                }
+            }
+        }
+    }
+];
+
+class ConfigMigrator {
+    static getVersion(config) {
+        return config.version === undefined ? 0 : config.version;
+    }
+
+    static needsMigration(config) {
+        return this.getVersion(config) < CONFIG_VERSION;
+    }
+
+    static migrate(rawConfig) {
+        const from = this.getVersion(rawConfig);
+
+        if (!Number.isInteger(from) || from < 0) {
+            throw this.createVersionError(`Invalid config version ${JSON.stringify(rawConfig.version)}, expected an integer`);
+        }
+        if (from > CONFIG_VERSION) {
+            throw this.createVersionError(`Config version ${from} is newer than this SDK supports (${CONFIG_VERSION}), upgrade the SDK`);
+        }
+
+        const config = JSON.parse(JSON.stringify(rawConfig));
+        const changes = [];
+
+        for (const step of MIGRATIONS) {
+            if (step.version <= from) continue;
+
+            const report = (path, message) => changes.push({version: step.version, path, message});
+            step.migrate(config, report, ROOT_PATH);
+            for (const [name, profile] of Object.entries(config.profiles || {})) {
+                step.migrate(profile, report, `${ROOT_PATH}.profiles.${name}`);
+            }
+        }
+
+        const {version, ...rest} = config;
+        return {
+            config: {version: CONFIG_VERSION, ...rest},
+            from,
+            to: CONFIG_VERSION,
+            migrated: from < CONFIG_VERSION,
+            changes
+        };
+    }
+
+    static describe(result) {
+        if (!result.migrated) {
+            return `config is at version ${result.to}`;
+        }
+        const steps = MIGRATIONS
+            .filter(step => step.version > result.from)
+            .map(step => `v${step.version} ${step.description}`);
+        return `v${result.from} -> v${result.to} (${steps.join('; ')}), ${result.changes.length} change(s)`;
+    }
+
+    static createVersionError(message) {
+        const error = new Error(message);
+        error.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+        return error;
+    }
+}
+
+ConfigMigrator.CURRENT_VERSION = CONFIG_VERSION;
+ConfigMigrator.MIGRATIONS = MIGRATIONS;
+
+module.exports = ConfigMigrator;
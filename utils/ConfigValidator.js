@@ -0,0 +1,301 @@
+const fs = require('fs');
+const {ethers} = require('ethers');
+const CONSTANTS = require('./constants');
+const ConfigInterpolator = require('./ConfigInterpolator');
+
+const ROOT_PATH = '$';
+
+class ConfigValidator {
+    static validate(config, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const report = {
+            error: (path, message) => errors.push({path, message}),
+            warn: (path, message) => warnings.push({path, message})
+        };
+
+        if (!this.isPlainObject(config)) {
+            report.error(ROOT_PATH, 'Config must be a JSON object');
+            return {isValid: false, errors, warnings};
+        }
+
+        if (config.version !== undefined && (!Number.isInteger(config.version) || config.version < 0)) {
+            report.error(`${ROOT_PATH}.version`, `version must be a non-negative integer, got ${JSON.stringify(config.version)}`);
+        }
+
+        if (config.profiles !== undefined) {
+            this.validateProfiles(config, report, options);
+        } else {
+            this.validateNetworkConfig(config, ROOT_PATH, report, options);
+        }
+
+        return {isValid: errors.length === 0, errors, warnings};
+    }
+
+    static validateFile(filePath, options = {}) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return {
+                isValid: false,
+                errors: [{path: ROOT_PATH, message: `Cannot read ${filePath}: ${error.message}`}],
+                warnings: []
+            };
+        }
+        return this.validate(config, options);
+    }
+
+    static validateProfiles(config, report, options) {
+        const {profiles, defaultProfile, version, ...shared} = config;
+
+        if (!this.isPlainObject(profiles) || Object.keys(profiles).length === 0) {
+            report.error(`${ROOT_PATH}.profiles`, 'profiles must be a non-empty object');
+            return;
+        }
+
+        if (defaultProfile !== undefined && !profiles[defaultProfile]) {
+            report.error(`${ROOT_PATH}.defaultProfile`, `Unknown profile "${defaultProfile}". Available: ${Object.keys(profiles).join(', ')}`);
+        }
+
+        for (const [name, profile] of Object.entries(profiles)) {
+            const profilePath = this.joinPath(`${ROOT_PATH}.profiles`, name);
+            if (!this.isPlainObject(profile)) {
+                report.error(profilePath, 'Profile must be an object');
+                continue;
+            }
+
+            // Shared sections are merged the same way ConfigManager merges them on load
+            this.validateNetworkConfig({
+                ...shared,
+                ...profile,
+                contracts: {...shared.contracts, ...profile.contracts},
+                tokens: {...shared.tokens, ...profile.tokens}
+            }, profilePath, report, options);
+        }
+    }
+
+    static validateNetworkConfig(config, basePath, report, options) {
+        if (!this.isDeferred(config.network) && (typeof config.network !== 'string' || config.network.trim() === '')) {
+            report.error(`${basePath}.network`, 'network is required and must be a non-empty string');
+        }
+
+        if (!this.isDeferred(config.chainId) && (!Number.isSafeInteger(config.chainId) || config.chainId <= 0)) {
+            report.error(`${basePath}.chainId`, `chainId is required and must be a positive integer, got ${JSON.stringify(config.chainId)}`);
+        }
+
+        if (config.rpcUrl !== undefined && !this.isDeferred(config.rpcUrl) &&
+            (typeof config.rpcUrl !== 'string' || config.rpcUrl === '')) {
+            report.error(`${basePath}.rpcUrl`, 'rpcUrl must be a non-empty string');
+        }
+
+        if (config.rpcUrls !== undefined && !this.isDeferred(config.rpcUrls)) {
+            if (!Array.isArray(config.rpcUrls) || config.rpcUrls.length === 0) {
+                report.error(`${basePath}.rpcUrls`, 'rpcUrls must be a non-empty array of URLs');
+            } else {
+                config.rpcUrls.forEach((url, index) => {
+                    if (!this.isDeferred(url) && (typeof url !== 'string' || url === '')) {
+                        report.error(`${basePath}.rpcUrls[${index}]`, 'RPC URL must be a non-empty string');
+                    }
+                });
+            }
+        }
+
+        // Never echo the value back: it is a secret
+        if (config.privateKey !== undefined && !this.isDeferred(config.privateKey) &&
+            (typeof config.privateKey !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(config.privateKey))) {
+            report.error(`${basePath}.privateKey`, 'privateKey must be a 32-byte hex string');
+        }
+
+        if (config.multicall !== undefined && !this.isDeferred(config.multicall) && !this.isAddress(config.multicall)) {
+            report.error(`${basePath}.multicall`, `multicall must be the address of a Multicall3 contract, got ${JSON.stringify(config.multicall)}`);
+        }
+
+        this.validateContracts(config.contracts, `${basePath}.contracts`, report, options);
+        this.validateContracts(config.implementations, `${basePath}.implementations`, report, options);
+        this.validateTokens(config.tokens, `${basePath}.tokens`, report);
+        this.validateInitialPrices(config.initialPrices, config.tokens, `${basePath}.initialPrices`, report);
+    }
+
+    static validateContracts(contracts, basePath, report, options) {
+        if (contracts === undefined) return;
+        if (!this.isPlainObject(contracts)) {
+            report.error(basePath, 'contracts must be an object mapping contract names to addresses');
+            return;
+        }
+
+        const knownNames = options.contractNames || Object.keys(require('../core/ContractManager').ABI_MAP);
+
+        for (const [name, address] of Object.entries(contracts)) {
+            const contractPath = this.joinPath(basePath, name);
+
+            if (!knownNames.includes(name)) {
+                const suggestion = this.findClosest(name, knownNames);
+                const hint = suggestion ? ` Did you mean "${suggestion}"?` : '';
+                const message = `Unknown contract name "${name}".${hint}`;
+                // Extra contracts are common in deployments, so they only fail validation in strict mode
+                if (options.strictContracts) {
+                    report.error(contractPath, `${message} Known contracts: ${knownNames.join(', ')}`);
+                } else {
+                    report.warn(contractPath, message);
+                }
+            }
+
+            // Empty entries are skipped by ContractManager.loadContracts
+            if (address === null || address === '' || this.isDeferred(address)) continue;
+
+            if (!this.isAddress(address)) {
+                report.error(contractPath, `Invalid address ${JSON.stringify(address)}`);
+            } else if (address === CONSTANTS.ADDRESSES.ZERO_ADDRESS) {
+                report.error(contractPath, 'Contract address cannot be the zero address');
+            }
+        }
+    }
+
+    static validateTokens(tokens, basePath, report) {
+        if (tokens === undefined) return;
+        if (!this.isPlainObject(tokens)) {
+            report.error(basePath, 'tokens must be an object keyed by token symbol');
+            return;
+        }
+
+        const seenAddresses = new Map();
+
+        for (const [symbol, token] of Object.entries(tokens)) {
+            const tokenPath = this.joinPath(basePath, symbol);
+
+            if (!this.isPlainObject(token)) {
+                report.error(tokenPath, 'Token entry must be an object with address and decimals');
+                continue;
+            }
+
+            if (token.address === undefined) {
+                report.error(`${tokenPath}.address`, 'address is required');
+            } else if (this.isDeferred(token.address)) {
+                // Checked once the placeholder is resolved
+            } else if (!this.isAddress(token.address)) {
+                report.error(`${tokenPath}.address`, `Invalid address ${JSON.stringify(token.address)}`);
+            } else {
+                const normalized = token.address.toLowerCase();
+                if (seenAddresses.has(normalized)) {
+                    report.error(`${tokenPath}.address`, `Address already used by token "${seenAddresses.get(normalized)}"`);
+                } else {
+                    seenAddresses.set(normalized, symbol);
+                }
+            }
+
+            if (token.decimals === undefined) {
+                report.error(`${tokenPath}.decimals`, 'decimals is required');
+            } else if (!this.isDeferred(token.decimals) &&
+                (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255)) {
+                report.error(`${tokenPath}.decimals`, `decimals must be an integer between 0 and 255, got ${JSON.stringify(token.decimals)}`);
+            }
+
+            if (token.symbol !== undefined) {
+                if (typeof token.symbol !== 'string' || token.symbol === '') {
+                    report.error(`${tokenPath}.symbol`, 'symbol must be a non-empty string');
+                } else if (token.symbol !== symbol) {
+                    report.warn(`${tokenPath}.symbol`, `symbol "${token.symbol}" differs from its key "${symbol}"`);
+                }
+            }
+
+            if (token.name !== undefined && typeof token.name !== 'string') {
+                report.error(`${tokenPath}.name`, 'name must be a string');
+            }
+        }
+    }
+
+    static validateInitialPrices(initialPrices, tokens, basePath, report) {
+        if (initialPrices === undefined) return;
+        if (!this.isPlainObject(initialPrices)) {
+            report.error(basePath, 'initialPrices must be an object keyed by token symbol');
+            return;
+        }
+
+        const symbols = ['ETH', ...Object.keys(this.isPlainObject(tokens) ? tokens : {})];
+
+        for (const [symbol, price] of Object.entries(initialPrices)) {
+            const pricePath = this.joinPath(basePath, symbol);
+
+            if (!symbols.includes(symbol)) {
+                const suggestion = this.findClosest(symbol, symbols);
+                const hint = suggestion ? ` Did you mean "${suggestion}"?` : '';
+                report.error(pricePath, `No token configured for symbol "${symbol}".${hint}`);
+            }
+
+            if (this.isDeferred(price)) continue;
+
+            const isNumeric = typeof price === 'number' || (typeof price === 'string' && price.trim() !== '');
+            if (!isNumeric || !Number.isFinite(Number(price)) || Number(price) <= 0) {
+                report.error(pricePath, `Price must be a positive number, got ${JSON.stringify(price)}`);
+            }
+        }
+    }
+
+    static formatErrors(result) {
+        return result.errors.map(issue => `${issue.path}: ${issue.message}`);
+    }
+
+    static createError(result, source = 'config') {
+        const lines = this.formatErrors(result);
+        const error = new Error(`Invalid ${source} (${lines.length} problem${lines.length === 1 ? '' : 's'}):\n  - ${lines.join('\n  - ')}`);
+        error.code = CONSTANTS.ERRORS.VALIDATION_ERROR;
+        error.errors = result.errors;
+        error.warnings = result.warnings;
+        return error;
+    }
+
+    // Placeholders can only be checked after ConfigManager resolves them against the environment
+    static isDeferred(value) {
+        return ConfigInterpolator.isEnvReference(value) || (typeof value === 'string' && value.includes('${'));
+    }
+
+    static isAddress(value) {
+        return typeof value === 'string' && ethers.isAddress(value);
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static joinPath(basePath, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${basePath}.${key}` : `${basePath}[${JSON.stringify(key)}]`;
+    }
+
+    static findClosest(value, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of candidates) {
+            const distance = this.editDistance(value.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        return bestDistance <= Math.max(2, Math.floor(value.length / 3)) ? best : null;
+    }
+
+    static editDistance(a, b) {
+        const row = Array.from({length: b.length + 1}, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(
+                    row[j] + 1,
+                    row[j - 1] + 1,
+                    previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                previous = current;
+            }
+        }
+
+        return row[b.length];
+    }
+}
+
+module.exports = ConfigValidator;
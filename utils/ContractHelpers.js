@@ -1,3 +1,5 @@
+const Logger = require('./Logger');
+
 class ContractHelpers {
  static parseEventData(receipt, eventName, dataField) {
  if (!receipt?.logs) return null;
@@ -53,7 +55,20 @@ class ContractHelpers {
  }
  }
 
- static parseContractError(error) {
+ static parseContractError(error, context = {}) {
+ const ErrorDecoder = require('./ErrorDecoder');
+ const errors = require('./errors');
+ if (error instanceof errors.DexError || ErrorDecoder.extractRevertData(error)) {
+ const decoded = ErrorDecoder.decode(error, context);
+ return {
+ type: decoded instanceof errors.PanicError ? 'panic' : decoded instanceof errors.UserRejectedError ? 'rejected' : 'revert',
+ message: decoded.message,
+ code: decoded.code,
+ errorName: decoded.errorName,
+ errorArgs: decoded.errorArgs,
+ reason: decoded.reason
+ };
+ }
  if (error?.reason) return { type: 'revert', message: error.reason };
  if (error?.code === 'INSUFFICIENT_FUNDS') return { type: 'funds', message: 'Insufficient balance' };
  if (error?.code === 'UNPREDICTABLE_GAS_LIMIT') return { type: 'gas', message: 'Transaction may fail' };
@@ -120,11 +135,12 @@ class ContractHelpers {
  };
  }
 
+ // Multicall3 Call3 structs; a failing call only fails its own entry unless allowFailure is false
  static createBatchCall(calls) {
  return calls.map(call => ({
  target: call.contract.target,
- callData: this.encodeCallData(call.contract.interface, call.method, call.params),
- value: call.value || 0
+ allowFailure: call.allowFailure !== false,
+ callData: this.encodeCallData(call.contract.interface, call.method, call.params)
  }));
  }
 
@@ -132,12 +148,26 @@ class ContractHelpers {
  const batchCalls = this.createBatchCall(calls);
 
  try {
- const results = await multicallContract.aggregate(batchCalls, options);
- return results.map((result, index) => ({
- success: result.success,
- data: result.returnData,
- call: calls[index]
- }));
+ const results = await multicallContract.aggregate3.staticCall(batchCalls, options);
+ return results.map((result, index) => {
+ const call = calls[index];
+ let success = result.success;
+ let data = null;
+ if (success) {
+ try {
+ data = call.contract.interface.decodeFunctionResult(call.method, result.returnData);
+ } catch {
+ // Calls to addresses without code succeed with empty return data
+ success = false;
+ }
+ }
+ return {
+ success,
+ data,
+ returnData: result.returnData,
+ call
+ };
+ });
  } catch (error) {
  throw new Error(`Batch call failed: ${error.message}`);
  }
@@ -245,7 +275,7 @@ class ContractHelpers {
  try {
  return await this.retryCall(() => contract[method](...params));
  } catch (error) {
- console.warn(`Safe call failed for ${method}:`, error.message);
+ Logger.getDefault().warn(`Safe call failed for ${method}`, {error});
  return defaultValue;
  }
  }
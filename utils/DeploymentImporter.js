@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const {ethers} = require('ethers');
+
+const FOUNDRY_RUN_FILE = 'run-latest.json';
+const HARDHAT_CHAIN_ID_FILE = '.chainId';
+const PROXY_NAME_PATTERN = /Proxy$/;
+const CREATE_TYPES = ['CREATE', 'CREATE2'];
+
+class DeploymentImporter {
+    static import(source, options = {}) {
+        if (!fs.existsSync(source)) {
+            throw new Error(`Deployment source not found: ${source}`);
+        }
+
+        const format = this.detectFormat(source);
+        if (format === 'foundry') {
+            return this.importFoundry(source, options);
+        }
+        if (format === 'hardhat') {
+            return this.importHardhat(source, options);
+        }
+        throw new Error(`Unrecognized deployment output: ${source}. Expected a Foundry ${FOUNDRY_RUN_FILE} or a hardhat-deploy deployments folder`);
+    }
+
+    static detectFormat(source) {
+        if (fs.statSync(source).isFile()) {
+            const data = this.readJSON(source);
+            return Array.isArray(data.transactions) ? 'foundry' : null;
+        }
+
+        if (this.findFiles(source, file => path.basename(file) === FOUNDRY_RUN_FILE).length > 0) {
+            return 'foundry';
+        }
+        if (this.findFiles(source, file => path.basename(file) === HARDHAT_CHAIN_ID_FILE).length > 0) {
+            return 'hardhat';
+        }
+        return null;
+    }
+
+    static importFoundry(source, options = {}) {
+        const runFile = fs.statSync(source).isFile() ? source : this.selectFoundryRun(source, options.chainId);
+        const run = this.readJSON(runFile);
+        const result = this.createResult('foundry', runFile, run.chain);
+
+        const creations = run.transactions.filter(tx =>
+            CREATE_TYPES.includes(tx.transactionType) && tx.contractName && tx.contractAddress
+        );
+
+        const implementationNames = new Map();
+        for (const tx of creations) {
+            if (!PROXY_NAME_PATTERN.test(tx.contractName)) {
+                implementationNames.set(tx.contractAddress.toLowerCase(), tx.contractName);
+            }
+        }
+
+        for (const tx of creations) {
+            const address = ethers.getAddress(tx.contractAddress);
+
+            if (PROXY_NAME_PATTERN.test(tx.contractName)) {
+                // ERC1967Proxy / TransparentUpgradeableProxy take the implementation as first constructor argument
+                const implementation = tx.arguments?.[0];
+                const implementationName = implementation && implementationNames.get(implementation.toLowerCase());
+                const name = implementationName && this.mapContractName(implementationName, options);
+
+                if (name) {
+                    result.contracts[name] = address;
+                    result.implementations[name] = ethers.getAddress(implementation);
+                } else {
+                    result.unmapped.push({name: tx.contractName, address});
+                }
+                continue;
+            }
+
+            const name = this.mapContractName(tx.contractName, options);
+            if (!name) {
+                result.unmapped.push({name: tx.contractName, address});
+            } else if (!result.implementations[name]) {
+                result.contracts[name] = address;
+            }
+        }
+
+        return result;
+    }
+
+    static importHardhat(source, options = {}) {
+        const deploymentDir = fs.existsSync(path.join(source, HARDHAT_CHAIN_ID_FILE))
+            ? source
+            : this.selectHardhatNetwork(source, options.chainId);
+
+        const chainId = fs.readFileSync(path.join(deploymentDir, HARDHAT_CHAIN_ID_FILE), 'utf8').trim();
+        const result = this.createResult('hardhat', deploymentDir, chainId);
+
+        const files = fs.readdirSync(deploymentDir).filter(file => path.extname(file) === '.json');
+        for (const file of files) {
+            const deploymentName = path.basename(file, '.json');
+            const deployment = this.readJSON(path.join(deploymentDir, file));
+            if (!deployment.address) continue;
+
+            // hardhat-deploy writes Name.json (proxy), Name_Implementation.json and Name_Proxy.json for proxied deployments
+            if (deploymentName.endsWith('_Proxy')) continue;
+
+            const isImplementation = deploymentName.endsWith('_Implementation');
+            const baseName = isImplementation ? deploymentName.slice(0, -'_Implementation'.length) : deploymentName;
+            const name = this.mapContractName(baseName, options);
+
+            if (!name) {
+                result.unmapped.push({name: deploymentName, address: deployment.address});
+                continue;
+            }
+
+            if (isImplementation) {
+                result.implementations[name] = ethers.getAddress(deployment.address);
+            } else {
+                result.contracts[name] = ethers.getAddress(deployment.address);
+                if (deployment.implementation) {
+                    result.implementations[name] = ethers.getAddress(deployment.implementation);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    static selectFoundryRun(directory, chainId) {
+        const runs = this.findFiles(directory, file => path.basename(file) === FOUNDRY_RUN_FILE);
+        const matching = chainId ? runs.filter(file => path.basename(path.dirname(file)) === String(chainId)) : runs;
+
+        if (matching.length === 0) {
+            throw new Error(`No ${FOUNDRY_RUN_FILE} found in ${directory}${chainId ? ` for chain ${chainId}` : ''}`);
+        }
+        if (matching.length > 1) {
+            throw new Error(`Several Foundry runs found in ${directory}, pass one run file: ${matching.join(', ')}`);
+        }
+        return matching[0];
+    }
+
+    static selectHardhatNetwork(directory, chainId) {
+        const networks = this.findFiles(directory, file => path.basename(file) === HARDHAT_CHAIN_ID_FILE)
+            .map(file => path.dirname(file));
+        const matching = chainId
+            ? networks.filter(dir => fs.readFileSync(path.join(dir, HARDHAT_CHAIN_ID_FILE), 'utf8').trim() === String(chainId))
+            : networks;
+
+        if (matching.length === 0) {
+            throw new Error(`No hardhat-deploy network found in ${directory}${chainId ? ` for chain ${chainId}` : ''}`);
+        }
+        if (matching.length > 1) {
+            throw new Error(`Several hardhat-deploy networks found in ${directory}, pass one network folder: ${matching.join(', ')}`);
+        }
+        return matching[0];
+    }
+
+    // Maps artifact names (RouterUpgradeable, AccessControlContract...) to the keys ContractManager.ABI_MAP uses
+    static mapContractName(contractName, options = {}) {
+        if (options.nameMap && options.nameMap[contractName]) {
+            return options.nameMap[contractName];
+        }
+
+        const abiMap = require('../core/ContractManager').ABI_MAP;
+        if (abiMap[contractName]) {
+            return contractName;
+        }
+
+        const byArtifact = Object.keys(abiMap).find(key => path.basename(abiMap[key], '.json') === contractName);
+        if (byArtifact) {
+            return byArtifact;
+        }
+
+        const stripped = contractName.replace(/Upgradeable$/, '');
+        return abiMap[stripped] ? stripped : null;
+    }
+
+    static createResult(format, source, chainId) {
+        return {
+            format,
+            source,
+            chainId: chainId !== undefined && chainId !== null ? Number(chainId) : null,
+            contracts: {},
+            implementations: {},
+            unmapped: []
+        };
+    }
+
+    static findFiles(directory, predicate, depth = 4) {
+        const found = [];
+        if (depth < 0) return found;
+
+        for (const entry of fs.readdirSync(directory, {withFileTypes: true})) {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                found.push(...this.findFiles(fullPath, predicate, depth - 1));
+            } else if (predicate(fullPath)) {
+                found.push(fullPath);
+            }
+        }
+        return found;
+    }
+
+    static readJSON(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read ${filePath}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = DeploymentImporter;
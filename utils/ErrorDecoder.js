@@ -0,0 +1,193 @@
+const {ethers} = require('ethers');
+const CONSTANTS = require('./constants');
+const errors = require('./errors');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+    0x00: 'generic compiler panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'corrupted storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+// Checked in order against the custom error name or the require() message
+const REVERT_CLASSIFIERS = [
+    {
+        errorClass: errors.SystemPausedError,
+        pattern: /paused|EnforcedPause|emergency ?stop/i
+    },
+    {
+        errorClass: errors.UnauthorizedError,
+        pattern: /unauthori[sz]ed|AccessControl|OwnableUnauthorized|caller is not|not (the )?(owner|admin|keeper|authorized)|access denied|forbidden|^only/i
+    },
+    {
+        errorClass: errors.SlippageError,
+        pattern: /slippage|min(imum)? ?amount ?out|insufficient ?output|too little received|excessive ?input|price ?impact/i
+    },
+    {
+        errorClass: errors.InsufficientBalanceError,
+        pattern: /insufficient ?(balance|funds|liquidity|allowance|collateral|margin)|ERC20Insufficient|exceeds balance/i
+    },
+    {
+        errorClass: errors.InvalidTokenError,
+        pattern: /(invalid|unsupported|unknown) ?token|token ?not ?(supported|allowed|found)/i
+    },
+    {
+        errorClass: errors.InvalidAmountError,
+        pattern: /(invalid|zero) ?amount|amount ?(must|cannot|is) ?(be )?(zero|positive|too)/i
+    }
+];
+
+// Turns ethers errors and raw revert data into the typed errors from utils/errors
+class ErrorDecoder {
+    static decode(error, context = {}) {
+        if (error instanceof errors.DexError) {
+            return error;
+        }
+
+        const details = {
+            cause: error,
+            contract: context.contract,
+            method: context.method,
+            args: context.args
+        };
+        const target = this.describeTarget(context);
+
+        if (error?.code === 'ACTION_REJECTED') {
+            return new errors.UserRejectedError(`${target} was rejected by the signer`, details);
+        }
+        if (error?.code === 'INSUFFICIENT_FUNDS') {
+            return new errors.InsufficientBalanceError(`${target}: insufficient funds for gas and value`, details);
+        }
+        if (error?.code === 'TIMEOUT') {
+            return new errors.TimeoutError(`${target} timed out: ${error.shortMessage || error.message}`, details);
+        }
+        if (['NETWORK_ERROR', 'SERVER_ERROR'].includes(error?.code)) {
+            return new errors.NetworkError(`${target} failed: ${error.shortMessage || error.message}`, details);
+        }
+
+        const data = this.extractRevertData(error);
+        const decoded = this.decodeRevertData(data, context.interfaces || []);
+
+        if (!decoded && error?.code !== 'CALL_EXCEPTION') {
+            const wrapped = new errors.DexError(`${target} failed: ${error?.shortMessage || error?.message || 'Unknown contract error'}`, details);
+            if (error?.code && Object.values(CONSTANTS.ERRORS).includes(error.code)) {
+                wrapped.code = error.code;
+            }
+            return wrapped;
+        }
+
+        const info = decoded || {reason: error?.reason || null};
+        Object.assign(details, info, {data});
+
+        if (info.panicCode !== undefined) {
+            return new errors.PanicError(`${target} panicked: ${info.reason}`, details);
+        }
+
+        const label = info.errorName || info.reason || '';
+        const classifier = REVERT_CLASSIFIERS.find(entry => label && entry.pattern.test(label));
+        const ErrorClass = classifier ? classifier.errorClass : errors.ContractRevertError;
+
+        return new ErrorClass(`${target} reverted: ${this.describeRevert(info)}`, details);
+    }
+
+    static decodeRevertData(data, interfaces = []) {
+        if (!data || data === '0x' || data.length < 10) {
+            return null;
+        }
+
+        const selector = data.slice(0, 10).toLowerCase();
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+
+        try {
+            if (selector === ERROR_STRING_SELECTOR) {
+                const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+                return {reason};
+            }
+            if (selector === PANIC_SELECTOR) {
+                const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+                const panicCode = Number(code);
+                const description = PANIC_REASONS[panicCode] || 'unknown panic';
+                return {panicCode, reason: `${description} (0x${panicCode.toString(16)})`};
+            }
+        } catch {
+            return null;
+        }
+
+        for (const contractInterface of interfaces) {
+            try {
+                const parsed = contractInterface.parseError(data);
+                if (parsed) {
+                    return {
+                        errorName: parsed.name,
+                        errorArgs: this.toPlainArgs(parsed.fragment.inputs, parsed.args),
+                        signature: parsed.signature
+                    };
+                }
+            } catch {
+                // Matching selector with different argument types, keep looking
+            }
+        }
+
+        return {errorName: null, reason: `unknown custom error ${selector}`};
+    }
+
+    // Revert data sits at different depths depending on the provider and on whether the call was sent or estimated
+    static extractRevertData(error, depth = 0) {
+        if (!error || typeof error !== 'object' || depth > 4) {
+            return null;
+        }
+
+        if (typeof error.data === 'string' && ethers.isHexString(error.data)) {
+            return error.data;
+        }
+
+        for (const key of ['data', 'error', 'info', 'cause']) {
+            const nested = this.extractRevertData(error[key], depth + 1);
+            if (nested) {
+                return nested;
+            }
+        }
+        return null;
+    }
+
+    static toPlainArgs(inputs, args) {
+        const plain = {};
+        inputs.forEach((input, index) => {
+            plain[input.name || String(index)] = args[index];
+        });
+        return plain;
+    }
+
+    static describeTarget(context) {
+        if (context.label) {
+            return context.label;
+        }
+        if (context.contract && context.method) {
+            return `${context.contract}.${context.method}`;
+        }
+        return context.contract || context.method || 'Contract call';
+    }
+
+    static describeRevert(info) {
+        if (info.errorName) {
+            const args = Object.entries(info.errorArgs || {})
+                .map(([name, value]) => `${name}=${value}`)
+                .join(', ');
+            return `${info.errorName}(${args})`;
+        }
+        return info.reason || 'no reason given';
+    }
+}
+
+ErrorDecoder.PANIC_REASONS = PANIC_REASONS;
+
+module.exports = ErrorDecoder;
@@ -0,0 +1,180 @@
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+};
+
+const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+};
+
+const ENV = typeof process !== 'undefined' ? process.env : {};
+
+let defaultLogger = null;
+
+// Leveled logger with pretty or JSON lines. Anything with debug/info/warn/error methods can be
+// passed instead (winston, console, a test spy); Logger.create wraps it so child() keeps working
+class Logger {
+    constructor(options = {}) {
+        const level = options.silent ? 'silent' : (options.level || ENV.DEX_LOG_LEVEL || 'info');
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+
+        this.level = level;
+        this.format = options.format || ENV.DEX_LOG_FORMAT || 'pretty';
+        this.name = options.name || null;
+        this.fields = options.fields || {};
+        this.sink = options.sink || null;
+    }
+
+    static create(loggerOrOptions) {
+        if (loggerOrOptions instanceof Logger) {
+            return loggerOrOptions;
+        }
+        if (loggerOrOptions && Logger.isLoggerLike(loggerOrOptions)) {
+            return Logger.wrap(loggerOrOptions);
+        }
+        return new Logger(loggerOrOptions || {});
+    }
+
+    // External loggers receive (message, fields) and do their own level filtering
+    static wrap(external) {
+        return new Logger({
+            level: 'debug',
+            sink: entry => {
+                const {time, level, msg, ...fields} = entry;
+                external[level](msg, fields);
+            }
+        });
+    }
+
+    static isLoggerLike(value) {
+        return ['debug', 'info', 'warn', 'error'].every(level => typeof value[level] === 'function');
+    }
+
+    // Used by classes created without a logger, e.g. a ConfigManager built outside DexClient
+    static getDefault() {
+        if (!defaultLogger) {
+            defaultLogger = new Logger();
+        }
+        return defaultLogger;
+    }
+
+    static setDefault(loggerOrOptions) {
+        defaultLogger = Logger.create(loggerOrOptions);
+        return defaultLogger;
+    }
+
+    child(nameOrFields) {
+        const fields = typeof nameOrFields === 'string' ? {} : nameOrFields || {};
+        const name = typeof nameOrFields === 'string'
+            ? (this.name ? `${this.name}:${nameOrFields}` : nameOrFields)
+            : this.name;
+
+        const child = new Logger({level: this.level, format: this.format, name, fields: {...this.fields, ...fields}, sink: this.sink});
+        // Children follow setLevel() on the parent
+        child.parent = this;
+        return child;
+    }
+
+    setLevel(level) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        this.level = level;
+        this.parent = null;
+    }
+
+    getLevel() {
+        return this.parent ? this.parent.getLevel() : this.level;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.getLevel()];
+    }
+
+    debug(message, fields) {
+        this._write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this._write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this._write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this._write('error', message, fields);
+    }
+
+    _write(level, message, fields) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...(this.name ? {component: this.name} : {}),
+            msg: message,
+            ...this.fields,
+            ...Logger.normalizeFields(fields)
+        };
+
+        if (this.sink) {
+            this.sink(entry);
+            return;
+        }
+
+        console[CONSOLE_METHODS[level]](this.format === 'json' ? Logger.toJSON(entry) : Logger.toPretty(entry));
+    }
+
+    static normalizeFields(fields) {
+        if (fields === undefined || fields === null) {
+            return {};
+        }
+        if (fields instanceof Error) {
+            return {error: Logger.serializeError(fields)};
+        }
+        if (typeof fields !== 'object' || Array.isArray(fields)) {
+            return {detail: fields};
+        }
+
+        const normalized = {};
+        for (const [key, value] of Object.entries(fields)) {
+            normalized[key] = value instanceof Error ? Logger.serializeError(value) : value;
+        }
+        return normalized;
+    }
+
+    static serializeError(error) {
+        return {
+            name: error.name,
+            message: error.message,
+            ...(error.code ? {code: error.code} : {})
+        };
+    }
+
+    static toJSON(entry) {
+        return JSON.stringify(entry, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+    }
+
+    static toPretty(entry) {
+        const {time, level, component, msg, ...fields} = entry;
+        const prefix = `[${time}] ${level.toUpperCase().padEnd(5)}${component ? ` [${component}]` : ''}`;
+        const details = Object.keys(fields).length > 0 ? ` ${Logger.toJSON(fields)}` : '';
+        return `${prefix} ${msg}${details}`;
+    }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
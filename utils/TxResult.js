@@ -0,0 +1,98 @@
+const {ethers} = require('ethers');
+
+// What every write method resolves with once mined. payload holds what the operation produced
+// (orderId, positionId, amountOut, ...); receipt is the raw receipt for anything not covered here
+class TxResult {
+    constructor(fields) {
+        this.hash = fields.hash;
+        this.status = fields.status;
+        this.blockNumber = fields.blockNumber;
+        this.blockHash = fields.blockHash || null;
+        this.from = fields.from || null;
+        this.to = fields.to || null;
+        this.gasUsed = fields.gasUsed;
+        this.effectiveGasPrice = fields.effectiveGasPrice;
+        this.feeWei = fields.feeWei;
+        this.fee = fields.fee;
+        this.events = fields.events || [];
+        this.payload = fields.payload || {};
+        this.receipt = fields.receipt || null;
+    }
+
+    // events are already decoded ({address, contract, name, signature, args, logIndex}); the receipt's own logs are not used
+    static fromReceipt(receipt, {events = [], payload = {}} = {}) {
+        const gasUsed = BigInt(receipt.gasUsed ?? 0);
+        // ethers v6 receipts carry the effective price as gasPrice
+        const effectiveGasPrice = BigInt(receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0);
+        const feeWei = gasUsed * effectiveGasPrice;
+
+        return new TxResult({
+            hash: receipt.hash,
+            status: receipt.status === 1 ? 'success' : 'reverted',
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            from: receipt.from,
+            to: receipt.to,
+            gasUsed,
+            effectiveGasPrice,
+            feeWei,
+            fee: ethers.formatEther(feeWei),
+            events,
+            payload,
+            receipt
+        });
+    }
+
+    get success() {
+        return this.status === 'success';
+    }
+
+    getEvent(name) {
+        return this.events.find(event => event.name === name) || null;
+    }
+
+    getEvents(name) {
+        return this.events.filter(event => event.name === name);
+    }
+
+    getEventArg(name, field) {
+        const event = this.getEvent(name);
+        return event && event.args ? event.args[field] ?? null : null;
+    }
+
+    toJSON() {
+        const plain = value => {
+            if (typeof value === 'bigint') return value.toString();
+            if (value && typeof value.toObject === 'function') {
+                try {
+                    return plain(value.toObject());
+                } catch {
+                    // Unnamed outputs cannot become an object
+                    return plain(Array.from(value));
+                }
+            }
+            if (Array.isArray(value)) return value.map(plain);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain(item)]));
+            }
+            return value;
+        };
+
+        return {
+            hash: this.hash,
+            status: this.status,
+            blockNumber: this.blockNumber,
+            blockHash: this.blockHash,
+            from: this.from,
+            to: this.to,
+            gasUsed: this.gasUsed.toString(),
+            effectiveGasPrice: this.effectiveGasPrice.toString(),
+            feeWei: this.feeWei.toString(),
+            fee: this.fee,
+            events: plain(this.events),
+            payload: plain(this.payload)
+        };
+    }
+}
+
+module.exports = TxResult;
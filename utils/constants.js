@@ -64,10 +64,17 @@ module.exports = {
         SLIPPAGE_TOO_HIGH: 'SLIPPAGE_TOO_HIGH',
         TRANSACTION_FAILED: 'TRANSACTION_FAILED',
         CONTRACT_NOT_FOUND: 'CONTRACT_NOT_FOUND',
+        ABI_NOT_FOUND: 'ABI_NOT_FOUND',
         METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
         NETWORK_ERROR: 'NETWORK_ERROR',
         TIMEOUT_ERROR: 'TIMEOUT_ERROR',
         UNAUTHORIZED: 'UNAUTHORIZED',
+        SYSTEM_PAUSED: 'SYSTEM_PAUSED',
+        USER_REJECTED: 'USER_REJECTED',
+        INCOMPATIBLE_ABI: 'INCOMPATIBLE_ABI',
+        SIGNER_REQUIRED: 'SIGNER_REQUIRED',
+        TRANSACTION_REPLACED: 'TRANSACTION_REPLACED',
+        GAS_CAP_EXCEEDED: 'GAS_CAP_EXCEEDED',
         VALIDATION_ERROR: 'VALIDATION_ERROR'
     },
 
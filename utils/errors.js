@@ -0,0 +1,96 @@
+const CONSTANTS = require('./constants');
+
+// Base class for every error the SDK raises from a contract interaction
+class DexError extends Error {
+    constructor(message, details = {}) {
+        super(message, details.cause ? {cause: details.cause} : undefined);
+        this.name = this.constructor.name;
+        this.code = details.code || this.constructor.defaultCode;
+        this.contract = details.contract || null;
+        this.method = details.method || null;
+        this.args = details.args || [];
+        this.errorName = details.errorName || null;
+        this.errorArgs = details.errorArgs || null;
+        this.reason = details.reason || null;
+        this.panicCode = details.panicCode !== undefined ? details.panicCode : null;
+        this.data = details.data || null;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            contract: this.contract,
+            method: this.method,
+            errorName: this.errorName,
+            errorArgs: this.errorArgs,
+            reason: this.reason,
+            panicCode: this.panicCode
+        };
+    }
+}
+DexError.defaultCode = CONSTANTS.ERRORS.TRANSACTION_FAILED;
+
+class ContractRevertError extends DexError {}
+ContractRevertError.defaultCode = CONSTANTS.ERRORS.TRANSACTION_FAILED;
+
+class PanicError extends ContractRevertError {}
+PanicError.defaultCode = CONSTANTS.ERRORS.TRANSACTION_FAILED;
+
+class InsufficientBalanceError extends ContractRevertError {}
+InsufficientBalanceError.defaultCode = CONSTANTS.ERRORS.INSUFFICIENT_BALANCE;
+
+class SlippageError extends ContractRevertError {}
+SlippageError.defaultCode = CONSTANTS.ERRORS.SLIPPAGE_TOO_HIGH;
+
+class SystemPausedError extends ContractRevertError {}
+SystemPausedError.defaultCode = CONSTANTS.ERRORS.SYSTEM_PAUSED;
+
+class UnauthorizedError extends ContractRevertError {}
+UnauthorizedError.defaultCode = CONSTANTS.ERRORS.UNAUTHORIZED;
+
+class InvalidTokenError extends ContractRevertError {}
+InvalidTokenError.defaultCode = CONSTANTS.ERRORS.INVALID_TOKEN;
+
+class InvalidAmountError extends ContractRevertError {}
+InvalidAmountError.defaultCode = CONSTANTS.ERRORS.INVALID_AMOUNT;
+
+class UserRejectedError extends DexError {}
+UserRejectedError.defaultCode = CONSTANTS.ERRORS.USER_REJECTED;
+
+// Thrown before anything is sent when a write is attempted on a read-only client
+class SignerRequiredError extends DexError {}
+SignerRequiredError.defaultCode = CONSTANTS.ERRORS.SIGNER_REQUIRED;
+
+// A sent transaction that will never be mined: cancelled through the SDK or its nonce reused elsewhere
+class TransactionReplacedError extends DexError {}
+TransactionReplacedError.defaultCode = CONSTANTS.ERRORS.TRANSACTION_REPLACED;
+
+// A fee or gas limit above the configured hard caps, refused before signing
+class GasCapExceededError extends DexError {}
+GasCapExceededError.defaultCode = CONSTANTS.ERRORS.GAS_CAP_EXCEEDED;
+
+class NetworkError extends DexError {}
+NetworkError.defaultCode = CONSTANTS.ERRORS.NETWORK_ERROR;
+
+class TimeoutError extends DexError {}
+TimeoutError.defaultCode = CONSTANTS.ERRORS.TIMEOUT_ERROR;
+
+module.exports = {
+    DexError,
+    ContractRevertError,
+    PanicError,
+    InsufficientBalanceError,
+    SlippageError,
+    SystemPausedError,
+    UnauthorizedError,
+    InvalidTokenError,
+    InvalidAmountError,
+    UserRejectedError,
+    SignerRequiredError,
+    TransactionReplacedError,
+    GasCapExceededError,
+    NetworkError,
+    TimeoutError
+};